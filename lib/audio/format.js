@@ -0,0 +1,52 @@
+const { isUtf8 } = require('buffer');
+
+// Identify audio containers by their leading magic bytes
+
+// Returns { format, contentType } or null when the bytes are not a known container
+function sniffAudioFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return { format: 'wav', contentType: 'audio/wav' };
+  }
+
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) {
+    return { format: 'webm', contentType: 'audio/webm' };
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'OggS') {
+    return { format: 'ogg', contentType: 'audio/ogg' };
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') {
+    return { format: 'flac', contentType: 'audio/flac' };
+  }
+
+  // MP3: ID3v2 tag or an MPEG audio frame sync
+  if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return { format: 'mp3', contentType: 'audio/mpeg' };
+  }
+
+  return null;
+}
+
+// Pick the Content-Type for bytes produced by the speech stage: a known audio
+// container, plain text (the text TTS adapter and mocks return text), or
+// opaque bytes
+function detectContentType(buffer) {
+  const sniffed = sniffAudioFormat(buffer);
+  if (sniffed) {
+    return sniffed.contentType;
+  }
+  if (isUtf8(buffer)) {
+    return 'text/plain; charset=utf-8';
+  }
+  return 'application/octet-stream';
+}
+
+module.exports = {
+  sniffAudioFormat,
+  detectContentType
+};
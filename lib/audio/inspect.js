@@ -0,0 +1,462 @@
+const { VoiceAgentError } = require('../errors');
+const { sniffAudioFormat } = require('./format');
+
+// Read container headers to validate audio and extract its parameters.
+// inspectAudio returns { format, contentType, codec, sampleRate, channels,
+// durationMs } plus bitsPerSample/dataOffset/dataLength for PCM data; any
+// field the container does not reveal is null. Unrecognized or truncated
+// input throws a VALIDATION_ERROR so bad uploads fail before reaching STT.
+
+const MIN_PCM_SAMPLE_RATE = 8000;
+const MAX_PCM_SAMPLE_RATE = 48000;
+
+function invalid(message) {
+  return new VoiceAgentError(message, 'VALIDATION_ERROR', 400);
+}
+
+function truncated(format) {
+  return invalid(`Audio file is truncated (incomplete ${format} data)`);
+}
+
+function durationFromBytes(byteLength, sampleRate, channels, bitsPerSample) {
+  const bytesPerSecond = sampleRate * channels * (bitsPerSample / 8);
+  return bytesPerSecond > 0 ? Math.round(byteLength / bytesPerSecond * 1000) : null;
+}
+
+// RIFF/WAVE: walk the chunks for fmt and data
+function inspectWav(buffer) {
+  let fmt = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ') {
+      if (start + 16 > buffer.length) {
+        throw truncated('WAV');
+      }
+      const formatTag = buffer.readUInt16LE(start);
+      fmt = {
+        // 0xFFFE (extensible) carries the real format in its sub-format GUID
+        encoding: formatTag === 1 || formatTag === 0xfffe ? 'pcm' : formatTag === 3 ? 'float' : `format-${formatTag}`,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+      if (formatTag === 0xfffe && size >= 26 && start + 26 <= buffer.length) {
+        const subFormat = buffer.readUInt16LE(start + 24);
+        fmt.encoding = subFormat === 1 ? 'pcm' : subFormat === 3 ? 'float' : `format-${subFormat}`;
+      }
+    } else if (id === 'data') {
+      if (!fmt) {
+        throw invalid('WAV data chunk appears before its format chunk');
+      }
+      // Streaming writers leave the size as 0 or 0xFFFFFFFF; read to the end then
+      const open = size === 0 || size === 0xffffffff;
+      if (!open && start + size > buffer.length) {
+        throw truncated('WAV');
+      }
+      const dataLength = open ? buffer.length - start : size;
+      if (dataLength === 0) {
+        throw invalid('WAV file contains no audio samples');
+      }
+      if (fmt.channels === 0 || fmt.sampleRate === 0 || fmt.bitsPerSample === 0) {
+        throw invalid('WAV format chunk is invalid');
+      }
+      // Resampling a very low rate to STT_SAMPLE_RATE would multiply the upload's size
+      if (fmt.sampleRate < MIN_PCM_SAMPLE_RATE || fmt.sampleRate > MAX_PCM_SAMPLE_RATE) {
+        throw invalid(`WAV sample rate must be between ${MIN_PCM_SAMPLE_RATE} and ${MAX_PCM_SAMPLE_RATE}`);
+      }
+
+      return {
+        format: 'wav',
+        contentType: 'audio/wav',
+        codec: fmt.encoding === 'pcm' ? `pcm_s${fmt.bitsPerSample}le` : fmt.encoding === 'float' ? `pcm_f${fmt.bitsPerSample}le` : fmt.encoding,
+        encoding: fmt.encoding,
+        sampleRate: fmt.sampleRate,
+        channels: fmt.channels,
+        bitsPerSample: fmt.bitsPerSample,
+        durationMs: durationFromBytes(dataLength, fmt.sampleRate, fmt.channels, fmt.bitsPerSample),
+        dataOffset: start,
+        dataLength: dataLength
+      };
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  throw truncated('WAV');
+}
+
+// FLAC: the mandatory STREAMINFO block follows the "fLaC" marker
+function inspectFlac(buffer) {
+  if (buffer.length < 42) {
+    throw truncated('FLAC');
+  }
+  if ((buffer[4] & 0x7f) !== 0) {
+    throw invalid('FLAC stream is missing its STREAMINFO block');
+  }
+
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const channels = ((buffer[20] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((buffer[20] & 0x01) << 4) | (buffer[21] >> 4)) + 1;
+  const totalSamples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+
+  return {
+    format: 'flac',
+    contentType: 'audio/flac',
+    codec: 'flac',
+    sampleRate: sampleRate,
+    channels: channels,
+    bitsPerSample: bitsPerSample,
+    durationMs: sampleRate > 0 && totalSamples > 0 ? Math.round(totalSamples / sampleRate * 1000) : null
+  };
+}
+
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Parse an MPEG Layer III frame header, or return null if it is not one
+function parseMp3Header(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const mpeg1 = version === 3;
+  const divisor = version === 3 ? 1 : version === 2 ? 2 : 4;
+  return {
+    mpeg1: mpeg1,
+    bitrate: (mpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[bitrateIndex],
+    sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / divisor,
+    channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2
+  };
+}
+
+// MP3: skip any ID3v2 tag, then read the first frame header. Duration comes
+// from a Xing/Info header when present, otherwise from the bitrate.
+function inspectMp3(buffer) {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    if (buffer.length < 10) {
+      throw truncated('MP3');
+    }
+    const tagSize = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    offset = 10 + tagSize + (buffer[5] & 0x10 ? 10 : 0);
+    if (offset >= buffer.length) {
+      throw truncated('MP3');
+    }
+  }
+
+  // Allow a little padding between the tag and the first frame
+  let header = null;
+  const searchEnd = Math.min(buffer.length - 4, offset + 4096);
+  for (; offset <= searchEnd; offset++) {
+    header = parseMp3Header(buffer, offset);
+    if (header) {
+      break;
+    }
+  }
+  if (!header) {
+    throw invalid('Unrecognized audio format (no MP3 frame found)');
+  }
+
+  let durationMs = Math.round((buffer.length - offset) * 8 / header.bitrate);
+  const sideInfo = header.mpeg1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = xing + 12 <= buffer.length ? buffer.toString('ascii', xing, xing + 4) : '';
+  if ((tag === 'Xing' || tag === 'Info') && (buffer.readUInt32BE(xing + 4) & 0x01)) {
+    const frames = buffer.readUInt32BE(xing + 8);
+    durationMs = Math.round(frames * (header.mpeg1 ? 1152 : 576) / header.sampleRate * 1000);
+  }
+
+  return {
+    format: 'mp3',
+    contentType: 'audio/mpeg',
+    codec: 'mp3',
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    durationMs: durationMs
+  };
+}
+
+// Ogg: the first page carries the codec header (Opus or Vorbis); the granule
+// position of the last page gives the length
+function inspectOgg(buffer) {
+  if (buffer.length < 27) {
+    throw truncated('Ogg');
+  }
+  const segments = buffer[26];
+  let packetStart = 27 + segments;
+  if (packetStart > buffer.length) {
+    throw truncated('Ogg');
+  }
+  let packetLength = 0;
+  for (let i = 0; i < segments; i++) {
+    packetLength += buffer[27 + i];
+  }
+  if (packetStart + packetLength > buffer.length) {
+    throw truncated('Ogg');
+  }
+
+  let codec;
+  let sampleRate;
+  let channels;
+  let granuleRate;
+  let preSkip = 0;
+  if (buffer.toString('ascii', packetStart, packetStart + 8) === 'OpusHead' && packetLength >= 19) {
+    codec = 'opus';
+    channels = buffer[packetStart + 9];
+    preSkip = buffer.readUInt16LE(packetStart + 10);
+    // Opus always decodes at 48 kHz; the header records the original rate
+    sampleRate = buffer.readUInt32LE(packetStart + 12) || 48000;
+    granuleRate = 48000;
+  } else if (buffer[packetStart] === 0x01 && buffer.toString('ascii', packetStart + 1, packetStart + 7) === 'vorbis' && packetLength >= 16) {
+    codec = 'vorbis';
+    channels = buffer[packetStart + 11];
+    sampleRate = buffer.readUInt32LE(packetStart + 12);
+    granuleRate = sampleRate;
+  } else {
+    throw invalid('Unsupported Ogg codec (expected Opus or Vorbis)');
+  }
+
+  let durationMs = null;
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (lastPage > 0 && lastPage + 14 <= buffer.length) {
+    const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+    if (granule > preSkip && granuleRate > 0) {
+      durationMs = Math.round((granule - preSkip) / granuleRate * 1000);
+    }
+  }
+
+  return {
+    format: 'ogg',
+    contentType: codec === 'opus' ? 'audio/ogg; codecs=opus' : 'audio/ogg',
+    codec: codec,
+    sampleRate: sampleRate,
+    channels: channels,
+    durationMs: durationMs
+  };
+}
+
+// EBML variable-length integer. IDs keep their length marker bits; sizes do
+// not, and a size with every value bit set means "unknown" (live streams).
+function readVint(buffer, offset, isId) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) {
+    return null;
+  }
+  let length = 1;
+  let mask = 0x80;
+  while (!(first & mask)) {
+    mask >>= 1;
+    length++;
+  }
+  if (offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = isId ? first : first & (mask - 1);
+  let unknown = !isId && value === mask - 1;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) {
+      unknown = false;
+    }
+  }
+  return { value, length, unknown };
+}
+
+// Yield the child elements between start and end
+function* ebmlElements(buffer, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) {
+      yield { truncated: true };
+      return;
+    }
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.unknown ? end : dataStart + size.value;
+    yield { id: id.value, dataStart, dataEnd: Math.min(dataEnd, buffer.length), truncated: dataEnd > buffer.length };
+    offset = dataEnd;
+  }
+}
+
+function readEbmlUint(buffer, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+}
+
+function readEbmlFloat(buffer, start, end) {
+  if (end - start === 4) {
+    return buffer.readFloatBE(start);
+  }
+  if (end - start === 8) {
+    return buffer.readDoubleBE(start);
+  }
+  return null;
+}
+
+const EBML = {
+  header: 0x1a45dfa3,
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  codecId: 0x86,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  cluster: 0x1f43b675
+};
+
+// WebM/Matroska: read the segment's Info and the first audio track. Recordings
+// from MediaRecorder usually omit the duration, so it may be null.
+function inspectWebm(buffer) {
+  const top = ebmlElements(buffer, 0, buffer.length);
+  const header = top.next().value;
+  if (!header || header.truncated || header.id !== EBML.header) {
+    throw truncated('WebM');
+  }
+  const segment = top.next().value;
+  if (!segment || segment.id !== EBML.segment || segment.dataStart >= buffer.length) {
+    throw truncated('WebM');
+  }
+
+  let timecodeScale = 1000000;
+  let duration = null;
+  let track = null;
+
+  for (const element of ebmlElements(buffer, segment.dataStart, segment.dataEnd)) {
+    if (element.id === EBML.cluster || element.truncated && track) {
+      break;
+    }
+    if (element.truncated) {
+      throw truncated('WebM');
+    }
+
+    if (element.id === EBML.info) {
+      for (const child of ebmlElements(buffer, element.dataStart, element.dataEnd)) {
+        if (child.id === EBML.timecodeScale) {
+          timecodeScale = readEbmlUint(buffer, child.dataStart, child.dataEnd);
+        } else if (child.id === EBML.duration) {
+          duration = readEbmlFloat(buffer, child.dataStart, child.dataEnd);
+        }
+      }
+    } else if (element.id === EBML.tracks && !track) {
+      for (const entry of ebmlElements(buffer, element.dataStart, element.dataEnd)) {
+        if (entry.id !== EBML.trackEntry) {
+          continue;
+        }
+        const candidate = { codecId: null, sampleRate: null, channels: null };
+        for (const child of ebmlElements(buffer, entry.dataStart, entry.dataEnd)) {
+          if (child.id === EBML.codecId) {
+            candidate.codecId = buffer.toString('ascii', child.dataStart, child.dataEnd).replace(/\0+$/, '');
+          } else if (child.id === EBML.audio) {
+            for (const setting of ebmlElements(buffer, child.dataStart, child.dataEnd)) {
+              if (setting.id === EBML.samplingFrequency) {
+                candidate.sampleRate = readEbmlFloat(buffer, setting.dataStart, setting.dataEnd);
+              } else if (setting.id === EBML.channels) {
+                candidate.channels = readEbmlUint(buffer, setting.dataStart, setting.dataEnd);
+              }
+            }
+          }
+        }
+        if (candidate.codecId && candidate.codecId.startsWith('A_')) {
+          track = candidate;
+          break;
+        }
+      }
+    }
+  }
+
+  if (!track) {
+    throw invalid('WebM file has no audio track');
+  }
+
+  const codec = track.codecId.replace(/^A_/, '').toLowerCase();
+  return {
+    format: 'webm',
+    contentType: codec === 'opus' ? 'audio/webm; codecs=opus' : 'audio/webm',
+    codec: codec,
+    sampleRate: track.sampleRate ? Math.round(track.sampleRate) : null,
+    channels: track.channels || 1,
+    durationMs: duration ? Math.round(duration * timecodeScale / 1000000) : null
+  };
+}
+
+// Raw 16-bit little-endian PCM; the caller declares the sample rate and channels
+function inspectPcm(buffer, { sampleRate, channels = 1 }) {
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_PCM_SAMPLE_RATE || sampleRate > MAX_PCM_SAMPLE_RATE) {
+    throw invalid(`PCM sample rate must be an integer between ${MIN_PCM_SAMPLE_RATE} and ${MAX_PCM_SAMPLE_RATE}`);
+  }
+  if (channels !== 1 && channels !== 2) {
+    throw invalid('PCM channels must be 1 or 2');
+  }
+  if (buffer.length === 0) {
+    throw invalid('PCM audio is empty');
+  }
+  if (buffer.length % (2 * channels) !== 0) {
+    throw truncated('PCM');
+  }
+
+  return {
+    format: 'pcm',
+    contentType: 'audio/L16',
+    codec: 'pcm_s16le',
+    encoding: 'pcm',
+    sampleRate: sampleRate,
+    channels: channels,
+    bitsPerSample: 16,
+    durationMs: durationFromBytes(buffer.length, sampleRate, channels, 16),
+    dataOffset: 0,
+    dataLength: buffer.length
+  };
+}
+
+const INSPECTORS = {
+  wav: inspectWav,
+  flac: inspectFlac,
+  mp3: inspectMp3,
+  ogg: inspectOgg,
+  webm: inspectWebm
+};
+
+// Identify and validate audio by its bytes. Pass { pcm: { sampleRate, channels } }
+// for headerless PCM, which cannot be recognized from its contents.
+function inspectAudio(buffer, { pcm } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw invalid('Audio is empty');
+  }
+  if (pcm) {
+    return inspectPcm(buffer, pcm);
+  }
+
+  const sniffed = sniffAudioFormat(buffer);
+  if (!sniffed) {
+    throw invalid('Unrecognized audio format (expected WAV, WebM, Ogg, MP3, FLAC or declared PCM)');
+  }
+  return INSPECTORS[sniffed.format](buffer);
+}
+
+module.exports = {
+  inspectAudio
+};
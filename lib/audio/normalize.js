@@ -0,0 +1,120 @@
+const { encodeWav } = require('./wav');
+
+// Convert PCM audio (WAV or raw) to 16-bit mono at the STT sample rate.
+// Compressed containers (WebM, Ogg, MP3, FLAC) pass through unchanged since
+// decoding them would need a codec; the STT provider accepts them as-is.
+
+// Read one sample as a float in -1..1
+function sampleReader(encoding, bitsPerSample) {
+  if (encoding === 'float' && bitsPerSample === 32) {
+    return (buffer, offset) => buffer.readFloatLE(offset);
+  }
+  if (encoding === 'float' && bitsPerSample === 64) {
+    return (buffer, offset) => buffer.readDoubleLE(offset);
+  }
+  if (encoding !== 'pcm') {
+    return null;
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (buffer, offset) => (buffer[offset] - 128) / 128;
+    case 16:
+      return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+    default:
+      return null;
+  }
+}
+
+// Average all channels of each frame into one mono sample
+function decodeToMono(buffer, info, readSample) {
+  const bytesPerSample = info.bitsPerSample / 8;
+  const frameSize = bytesPerSample * info.channels;
+  const frames = Math.floor(info.dataLength / frameSize);
+  const mono = new Float32Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    const frameOffset = info.dataOffset + i * frameSize;
+    let sum = 0;
+    for (let channel = 0; channel < info.channels; channel++) {
+      sum += readSample(buffer, frameOffset + channel * bytesPerSample);
+    }
+    mono[i] = sum / info.channels;
+  }
+
+  return mono;
+}
+
+// Resample for speech recognition input: box-filter averaging when reducing
+// the rate (a crude low-pass that keeps aliasing down), linear interpolation
+// when raising it
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+  const ratio = fromRate / toRate;
+  const length = Math.max(1, Math.floor(samples.length / ratio));
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    if (ratio > 1) {
+      const end = Math.min(samples.length, Math.max(index + 1, Math.floor(position + ratio)));
+      let sum = 0;
+      for (let j = index; j < end; j++) {
+        sum += samples[j];
+      }
+      output[i] = sum / (end - index);
+    } else {
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      output[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+    }
+  }
+
+  return output;
+}
+
+// Returns { audio, info } where info describes the audio actually returned
+function normalizeForSTT(buffer, info, { sampleRate = 16000 } = {}) {
+  const readSample = info.dataOffset !== undefined ? sampleReader(info.encoding, info.bitsPerSample) : null;
+  if (!readSample) {
+    return { audio: buffer, info };
+  }
+
+  // Already in the target shape: nothing to do
+  if (info.format === 'wav' && info.encoding === 'pcm' && info.bitsPerSample === 16 && info.channels === 1 && info.sampleRate === sampleRate) {
+    return { audio: buffer, info };
+  }
+
+  const samples = resample(decodeToMono(buffer, info, readSample), info.sampleRate, sampleRate);
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767);
+  }
+
+  const audio = encodeWav(pcm, sampleRate, 1);
+  return {
+    audio,
+    info: {
+      format: 'wav',
+      contentType: 'audio/wav',
+      codec: 'pcm_s16le',
+      encoding: 'pcm',
+      sampleRate: sampleRate,
+      channels: 1,
+      bitsPerSample: 16,
+      durationMs: Math.round(pcm.length / sampleRate * 1000),
+      dataOffset: 44,
+      dataLength: pcm.length * 2
+    }
+  };
+}
+
+module.exports = {
+  normalizeForSTT
+};
@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+
+// RMS of the frame's whole samples; a trailing odd byte is ignored and a
+// frame without samples is silent
+function frameLevel(frame) {
+  const samples = Math.floor(frame.length / 2);
+  if (samples === 0) {
+    return 0;
+  }
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// Energy-based voice activity detection for 16-bit little-endian mono PCM.
+// Audio is cut into fixed frames; a frame whose RMS level (0..1) reaches
+// energyThreshold counts as speech. Once an utterance has minSpeechMs of
+// speech the detector emits 'start' with the audio buffered so far (including
+// preRollMs before the onset), then 'audio' for each following frame, and
+// finally 'end' with { audio, durationMs } after silenceMs of silence (or at
+// maxUtteranceMs). Shorter bursts such as clicks are dropped without events.
+function createVoiceActivityDetector({
+  sampleRate = 16000,
+  frameMs = 20,
+  energyThreshold = 0.02,
+  silenceMs = 800,
+  minSpeechMs = 300,
+  maxUtteranceMs = 30000,
+  preRollMs = 200
+} = {}) {
+  const emitter = new EventEmitter();
+  const frameBytes = Math.round(sampleRate * frameMs / 1000) * 2;
+  // Without a whole sample per frame write() could never consume its input
+  if (!Number.isFinite(frameBytes) || frameBytes < 2) {
+    throw new Error(`Frames of ${frameMs} ms at ${sampleRate} Hz hold no samples`);
+  }
+  const preRollFrames = Math.ceil(preRollMs / frameMs);
+
+  let remainder = Buffer.alloc(0);
+  let preRoll = [];
+  let utterance = null;
+
+  function finish() {
+    const { frames, speechMs, confirmed } = utterance;
+    utterance = null;
+    if (!confirmed) {
+      return;
+    }
+    // Keep the trailing silence out of the reported length
+    emitter.emit('end', {
+      audio: Buffer.concat(frames),
+      durationMs: speechMs
+    });
+  }
+
+  function processFrame(frame) {
+    const voiced = frameLevel(frame) >= energyThreshold;
+
+    if (!utterance) {
+      if (!voiced) {
+        preRoll.push(frame);
+        if (preRoll.length > preRollFrames) {
+          preRoll.shift();
+        }
+        return;
+      }
+      utterance = { frames: preRoll, elapsedMs: 0, speechMs: 0, silentMs: 0, confirmed: false };
+      preRoll = [];
+    }
+
+    utterance.frames.push(frame);
+    utterance.elapsedMs += frameMs;
+    if (voiced) {
+      utterance.speechMs = utterance.elapsedMs;
+      utterance.silentMs = 0;
+    } else {
+      utterance.silentMs += frameMs;
+    }
+
+    if (utterance.confirmed) {
+      emitter.emit('audio', frame);
+    } else if (utterance.speechMs >= minSpeechMs) {
+      utterance.confirmed = true;
+      emitter.emit('start', { audio: Buffer.concat(utterance.frames) });
+    }
+
+    if (utterance.silentMs >= silenceMs || utterance.elapsedMs >= maxUtteranceMs) {
+      finish();
+    }
+  }
+
+  // Feed a chunk of PCM; chunks need not align with frames or samples
+  emitter.write = (chunk) => {
+    const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+    let offset = 0;
+    while (data.length - offset >= frameBytes) {
+      processFrame(data.subarray(offset, offset + frameBytes));
+      offset += frameBytes;
+    }
+    remainder = Buffer.from(data.subarray(offset));
+  };
+
+  // End the current utterance (if any) without waiting for silence
+  emitter.flush = () => {
+    if (utterance) {
+      finish();
+    }
+  };
+
+  emitter.reset = () => {
+    remainder = Buffer.alloc(0);
+    preRoll = [];
+    utterance = null;
+  };
+
+  return emitter;
+}
+
+module.exports = {
+  createVoiceActivityDetector,
+  frameLevel
+};
@@ -0,0 +1,34 @@
+// Minimal PCM WAV (RIFF) encoding helpers
+
+// Encode 16-bit PCM samples as a WAV file
+function encodeWav(samples, sampleRate, channels = 1) {
+  const bytesPerSample = 2;
+  const dataSize = samples.length * bytesPerSample;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8, 'ascii');
+
+  // fmt chunk: PCM, channels, sample rate, byte rate, block align, bits per sample
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  buffer.writeUInt16LE(channels * bytesPerSample, 32);
+  buffer.writeUInt16LE(16, 34);
+
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], 44 + i * bytesPerSample);
+  }
+
+  return buffer;
+}
+
+module.exports = {
+  encodeWav
+};
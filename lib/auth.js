@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { VoiceAgentError } = require('./errors');
+
+// Client authentication for HTTP routes and WebSocket upgrades. Clients send
+// either an API key (X-API-Key, or Authorization: Bearer <key>) or an HS256
+// JWT (Authorization: Bearer <jwt>) whose `sub` names the client. Browsers
+// cannot set headers on a WebSocket, so upgrades may also pass
+// ?access_token=. Authentication is off when neither API_KEYS nor JWT_SECRET
+// is configured.
+
+// API_KEYS is a JSON object of client ID to key: {"web-app": "k_..."}
+function parseApiKeys(value) {
+  if (!value) {
+    return new Map();
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new VoiceAgentError(`API_KEYS is not valid JSON: ${error.message}`, 'CONFIG_ERROR', 500);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new VoiceAgentError('API_KEYS must be a JSON object of client ID to key', 'CONFIG_ERROR', 500);
+  }
+
+  const keys = new Map();
+  for (const [clientId, key] of Object.entries(parsed)) {
+    if (typeof key !== 'string' || key.length < 16) {
+      throw new VoiceAgentError(`API key for ${clientId} must be a string of at least 16 characters`, 'CONFIG_ERROR', 500);
+    }
+    keys.set(digest(key), clientId);
+  }
+  return keys;
+}
+
+// Keys are compared by digest so lookups don't leak timing on the key itself
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('base64');
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new VoiceAgentError('Malformed token', 'AUTH_ERROR', 401);
+  }
+}
+
+// Verify an HS256 JWT and return its payload. exp and nbf are enforced (with
+// 30 seconds of clock skew), as are iss and aud when configured.
+function verifyJwt(token, secret, { issuer, audience, now = Date.now() } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new VoiceAgentError('Malformed token', 'AUTH_ERROR', 401);
+  }
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  if (header.alg !== 'HS256') {
+    throw new VoiceAgentError('Token must be signed with HS256', 'AUTH_ERROR', 401);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new VoiceAgentError('Invalid token signature', 'AUTH_ERROR', 401);
+  }
+
+  const payload = decodeSegment(encodedPayload);
+  const seconds = Math.floor(now / 1000);
+  if (typeof payload.exp === 'number' && seconds > payload.exp + 30) {
+    throw new VoiceAgentError('Token has expired', 'AUTH_ERROR', 401);
+  }
+  if (typeof payload.nbf === 'number' && seconds < payload.nbf - 30) {
+    throw new VoiceAgentError('Token is not valid yet', 'AUTH_ERROR', 401);
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new VoiceAgentError('Token issuer is not accepted', 'AUTH_ERROR', 401);
+  }
+  if (audience && !(Array.isArray(payload.aud) ? payload.aud.includes(audience) : payload.aud === audience)) {
+    throw new VoiceAgentError('Token audience is not accepted', 'AUTH_ERROR', 401);
+  }
+  if (typeof payload.sub !== 'string' || payload.sub === '') {
+    throw new VoiceAgentError('Token has no subject', 'AUTH_ERROR', 401);
+  }
+  return payload;
+}
+
+function createAuthenticator(config) {
+  const apiKeys = parseApiKeys(config.API_KEYS);
+  const jwtSecret = config.JWT_SECRET || null;
+  const enabled = apiKeys.size > 0 || Boolean(jwtSecret);
+
+  function credentialOf(req, allowQueryToken) {
+    const header = req.headers.authorization;
+    if (typeof header === 'string' && /^Bearer\s+/i.test(header)) {
+      return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (typeof req.headers['x-api-key'] === 'string') {
+      return req.headers['x-api-key'].trim();
+    }
+    if (allowQueryToken) {
+      return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+    }
+    return null;
+  }
+
+  // The authenticated client ({ id, method }), null when authentication is
+  // off, or an AUTH_ERROR
+  function authenticate(req, { allowQueryToken = false } = {}) {
+    if (!enabled) {
+      return null;
+    }
+    const credential = credentialOf(req, allowQueryToken);
+    if (!credential) {
+      throw new VoiceAgentError('Authentication required: send an API key or bearer token', 'AUTH_ERROR', 401);
+    }
+
+    const clientId = apiKeys.get(digest(credential));
+    if (clientId) {
+      return { id: clientId, method: 'api-key' };
+    }
+    if (jwtSecret && credential.split('.').length === 3) {
+      const payload = verifyJwt(credential, jwtSecret, { issuer: config.JWT_ISSUER, audience: config.JWT_AUDIENCE });
+      return { id: payload.sub, method: 'jwt' };
+    }
+    throw new VoiceAgentError('Invalid API key', 'AUTH_ERROR', 401);
+  }
+
+  // Express middleware setting req.client
+  function middleware(req, res, next) {
+    try {
+      req.client = authenticate(req);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return {
+    enabled,
+    authenticate,
+    middleware
+  };
+}
+
+module.exports = {
+  parseApiKeys,
+  verifyJwt,
+  createAuthenticator
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const dotenv = require('dotenv');
+const { VoiceAgentError } = require('./errors');
+
+// Layered configuration. Each setting is declared with a type, a default and
+// limits; its value comes from the first layer that has it:
+//   environment variables > .env > config file (CONFIG_FILE) > default
+// Everything is validated at startup and all problems are reported at once,
+// so a bad value stops the server instead of surfacing mid-conversation.
+// Settings declared secret never appear in logs or the admin view.
+
+const DEFAULT_CONFIG_FILE = 'agent.config.json';
+const REDACTED = '[REDACTED]';
+
+// Per loaded config: its schema and where each value came from
+const loaded = new WeakMap();
+
+// Environment values are strings and file values are JSON; an empty
+// environment value counts as unset for everything but strings
+function isUnset(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function string(defaultValue = '', { secret = false, pattern, description } = {}) {
+  return {
+    type: 'string',
+    default: defaultValue,
+    secret,
+    parse(value) {
+      if (typeof value !== 'string') {
+        throw new Error('must be a string');
+      }
+      if (pattern && value !== '' && !pattern.test(value)) {
+        throw new Error(`must match ${description || pattern}`);
+      }
+      return value;
+    }
+  };
+}
+
+function integer(defaultValue, { min = -Infinity, max = Infinity } = {}) {
+  return {
+    type: 'integer',
+    default: defaultValue,
+    parse(value) {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) {
+        throw new Error('must be a whole number');
+      }
+      if (number < min || number > max) {
+        throw new Error(max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`);
+      }
+      return number;
+    }
+  };
+}
+
+function number(defaultValue, { min = -Infinity, max = Infinity } = {}) {
+  return {
+    type: 'number',
+    default: defaultValue,
+    parse(value) {
+      const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+        throw new Error(`must be a number between ${min} and ${max}`);
+      }
+      return parsed;
+    }
+  };
+}
+
+function boolean(defaultValue) {
+  return {
+    type: 'boolean',
+    default: defaultValue,
+    parse(value) {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) {
+        return true;
+      }
+      if (['false', '0', 'no', 'off'].includes(text)) {
+        return false;
+      }
+      throw new Error('must be true or false');
+    }
+  };
+}
+
+function oneOf(values, defaultValue) {
+  return {
+    type: 'enum',
+    default: defaultValue,
+    values: values,
+    parse(value) {
+      if (!values.includes(value)) {
+        throw new Error(`must be one of ${values.join(', ')}`);
+      }
+      return value;
+    }
+  };
+}
+
+function url(defaultValue = '', { protocols = ['http:', 'https:'] } = {}) {
+  return {
+    type: 'url',
+    default: defaultValue,
+    parse(value) {
+      if (value === '') {
+        return value;
+      }
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch (error) {
+        throw new Error('must be an absolute URL');
+      }
+      if (!protocols.includes(parsed.protocol)) {
+        throw new Error(`must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`);
+      }
+      return value;
+    }
+  };
+}
+
+// A JSON object kept as its JSON text (the form consumers already parse). A
+// config file may give the object itself.
+function jsonObject({ secret = false } = {}) {
+  return {
+    type: 'json',
+    default: '',
+    secret,
+    parse(value) {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      if (text === '') {
+        return text;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        throw new Error('must be valid JSON');
+      }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('must be a JSON object');
+      }
+      return text;
+    }
+  };
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  let values;
+  if (extension === '.yaml' || extension === '.yml') {
+    let YAML;
+    try {
+      YAML = require('yaml');
+    } catch (error) {
+      throw new VoiceAgentError('YAML config files require the yaml package', 'CONFIG_ERROR', 500);
+    }
+    values = YAML.parse(text);
+  } else {
+    values = JSON.parse(text);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new VoiceAgentError(`${file} must contain an object of settings`, 'CONFIG_ERROR', 500);
+  }
+  return values;
+}
+
+// Build the config object for schema ({ NAME: field }) from every layer.
+// Throws a CONFIG_ERROR listing each invalid or unknown setting.
+function loadConfig(schema, { env = process.env, cwd = process.cwd() } = {}) {
+  const envFile = path.resolve(cwd, '.env');
+  const dotenvValues = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+  const variables = { ...dotenvValues, ...env };
+
+  const configFile = variables.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  const configPath = path.resolve(cwd, configFile);
+  let fileValues = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      fileValues = readConfigFile(configPath);
+    } catch (error) {
+      throw error instanceof VoiceAgentError
+        ? error
+        : new VoiceAgentError(`Could not read ${configFile}: ${error.message}`, 'CONFIG_ERROR', 500);
+    }
+  } else if (variables.CONFIG_FILE) {
+    throw new VoiceAgentError(`CONFIG_FILE ${configFile} does not exist`, 'CONFIG_ERROR', 500);
+  }
+
+  const config = {};
+  const sources = {};
+  const problems = [];
+  for (const [name, field] of Object.entries(schema)) {
+    let value = field.default;
+    let source = 'default';
+    if (!isUnset(env[name]) || (field.type === 'string' && env[name] === '')) {
+      value = env[name];
+      source = 'environment';
+    } else if (!isUnset(dotenvValues[name]) || (field.type === 'string' && dotenvValues[name] === '')) {
+      value = dotenvValues[name];
+      source = '.env';
+    } else if (!isUnset(fileValues[name])) {
+      value = fileValues[name];
+      source = configFile;
+    }
+
+    try {
+      config[name] = source === 'default' ? value : field.parse(value);
+    } catch (error) {
+      problems.push(`${name} (from ${source}) ${error.message}`);
+    }
+    sources[name] = source;
+  }
+
+  for (const name of Object.keys(fileValues)) {
+    if (!schema[name]) {
+      problems.push(`${name} in ${configFile} is not a known setting`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new VoiceAgentError(`Invalid configuration:\n  - ${problems.join('\n  - ')}`, 'CONFIG_ERROR', 500);
+  }
+
+  loaded.set(config, { schema, sources, configFile: fs.existsSync(configPath) ? configFile : null });
+  return config;
+}
+
+// Values that must not be shown: each secret setting, plus the values inside
+// secret JSON settings (API_KEYS holds one key per client)
+function secretValues(config) {
+  const { schema } = loaded.get(config) || { schema: {} };
+  const values = [];
+  for (const [name, field] of Object.entries(schema)) {
+    const value = config[name];
+    if (!field.secret || typeof value !== 'string' || value === '') {
+      continue;
+    }
+    values.push(value);
+    if (field.type === 'json') {
+      Object.values(JSON.parse(value)).filter(item => typeof item === 'string').forEach(item => values.push(item));
+    }
+  }
+  // Longest first so a value containing another is replaced whole
+  return values.filter(value => value.length >= 4).sort((a, b) => b.length - a.length);
+}
+
+// Replace any secret value that appears in text
+function redactText(config, text) {
+  let redacted = text;
+  for (const value of secretValues(config)) {
+    redacted = redacted.split(value).join(REDACTED);
+  }
+  return redacted;
+}
+
+// Setting name -> { value, source, secret } with secret values hidden, for
+// the admin view. Values changed at runtime are shown as they are now.
+function describeConfig(config) {
+  const { schema, sources } = loaded.get(config) || { schema: {}, sources: {} };
+  const description = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const value = config[name];
+    const hidden = field.secret && value !== '' && value !== null && value !== undefined;
+    description[name] = {
+      value: hidden ? REDACTED : value,
+      source: sources[name],
+      secret: Boolean(field.secret)
+    };
+  }
+  return description;
+}
+
+// Layers that contributed values, for the startup log
+function configSources(config) {
+  const { sources } = loaded.get(config) || { sources: {} };
+  return [...new Set(Object.values(sources))];
+}
+
+// Scrub secret values from everything written through console
+function redactConsoleOutput(config) {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const write = console[method].bind(console);
+    console[method] = (...args) => write(redactText(config, util.format(...args)));
+  }
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  oneOf,
+  url,
+  jsonObject,
+  loadConfig,
+  redactText,
+  describeConfig,
+  configSources,
+  redactConsoleOutput
+};
@@ -0,0 +1,235 @@
+const { VoiceAgentError } = require('./errors');
+const { parseSessionInput, formatSession } = require('./sessions');
+
+// Conversation exports (GET /agent/chat/:sessionId/export) and imports
+// (POST /agent/sessions/import). The JSON export is the interchange format:
+//
+//   {
+//     format: 'ai-voice-agent.conversation', version: 1,
+//     exportedAt: '2025-01-01T12:10:00.000Z',
+//     session: { sessionId, userId, locale, persona, ... },   // as GET /agent/sessions/:id
+//     summary: null,
+//     messages: [{ role, content, timestamp, provenance, audio, ... }]   // as stored
+//   }
+//
+// Markdown, plain text and WebVTT are read-only transcripts of the user and
+// assistant messages; tool calls and results only appear in the JSON.
+
+const EXPORT_FORMAT = 'ai-voice-agent.conversation';
+const EXPORT_VERSION = 1;
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  zip: { contentType: 'application/zip', extension: 'zip' }
+};
+
+const SPEAKERS = { user: 'User', assistant: 'Assistant' };
+const MESSAGE_ROLES = ['user', 'assistant', 'tool'];
+const MAX_IMPORT_MESSAGES = 2000;
+
+// Captions without a following message stay up for the time it takes to read
+// them at about 150 words a minute, within these bounds
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 10000;
+const CUE_MS_PER_WORD = 400;
+
+// Validate ?format=; json when absent
+function parseExportFormat(value) {
+  if (value === undefined || value === '') {
+    return 'json';
+  }
+  if (typeof value !== 'string' || !FORMATS[value]) {
+    throw new VoiceAgentError(`format must be one of ${Object.keys(FORMATS).join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+  return value;
+}
+
+function buildConversationExport(session, messages, { now = new Date() } = {}) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    session: formatSession(session),
+    summary: session.summary || null,
+    messages: messages
+  };
+}
+
+// The user and assistant messages with text, as { speaker, text, time, interrupted }
+function transcriptLines(conversation) {
+  return conversation.messages
+    .filter(message => SPEAKERS[message.role] && typeof message.content === 'string' && message.content.trim() !== '')
+    .map(message => ({
+      speaker: SPEAKERS[message.role],
+      text: message.content.trim(),
+      time: Date.parse(message.timestamp),
+      interrupted: Boolean(message.interrupted)
+    }));
+}
+
+function toMarkdown(conversation) {
+  const { session } = conversation;
+  const lines = [`# Conversation ${session.sessionId}`, ''];
+  const details = [
+    ['User', session.userId],
+    ['Locale', session.locale],
+    ['Persona', session.persona],
+    ['Created', session.createdAt],
+    ['Exported', conversation.exportedAt]
+  ];
+  for (const [label, value] of details) {
+    if (value) {
+      lines.push(`- **${label}:** ${value}`);
+    }
+  }
+  if (conversation.summary) {
+    lines.push('', '## Summary of earlier turns', '', conversation.summary);
+  }
+  lines.push('', '## Transcript', '');
+  for (const line of transcriptLines(conversation)) {
+    const time = Number.isNaN(line.time) ? '' : ` (${new Date(line.time).toISOString()})`;
+    lines.push(`**${line.speaker}**${time}${line.interrupted ? ' _(interrupted)_' : ''}`, '');
+    lines.push(...line.text.split('\n').map(text => `> ${text}`), '');
+  }
+  return lines.join('\n');
+}
+
+function toPlainText(conversation) {
+  const { session } = conversation;
+  const lines = [`Conversation ${session.sessionId}`, `Exported ${conversation.exportedAt}`, ''];
+  if (conversation.summary) {
+    lines.push(`Summary of earlier turns: ${conversation.summary}`, '');
+  }
+  for (const line of transcriptLines(conversation)) {
+    const time = Number.isNaN(line.time) ? '' : `[${new Date(line.time).toISOString()}] `;
+    lines.push(`${time}${line.speaker}: ${line.text}${line.interrupted ? ' [interrupted]' : ''}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// 01:02:03.456
+function formatCueTime(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// WebVTT captions timed from the first message: each message is a cue that
+// lasts until the next one starts, or for its reading time if that is sooner
+function toWebVTT(conversation) {
+  const lines = transcriptLines(conversation).filter(line => !Number.isNaN(line.time));
+  const cues = [`WEBVTT - Conversation ${conversation.session.sessionId}`, ''];
+  const origin = lines.length > 0 ? lines[0].time : 0;
+
+  lines.forEach((line, index) => {
+    const start = Math.max(line.time - origin, 0);
+    const readingMs = Math.min(Math.max(line.text.split(/\s+/).length * CUE_MS_PER_WORD, MIN_CUE_MS), MAX_CUE_MS);
+    const next = lines[index + 1];
+    const end = next
+      ? Math.max(Math.min(next.time - origin, start + readingMs), start + MIN_CUE_MS)
+      : start + readingMs;
+    // A cue ends at the first blank line, so the text goes on one line
+    cues.push(
+      String(index + 1),
+      `${formatCueTime(start)} --> ${formatCueTime(end)}`,
+      `<v ${line.speaker}>${escapeCueText(line.text.replace(/\s*\n\s*/g, ' '))}`,
+      ''
+    );
+  });
+
+  return cues.join('\n');
+}
+
+// Render a conversation export as json, markdown, text or vtt
+function renderConversation(conversation, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(conversation, null, 2);
+    case 'markdown':
+      return toMarkdown(conversation);
+    case 'text':
+      return toPlainText(conversation);
+    case 'vtt':
+      return toWebVTT(conversation);
+    default:
+      throw new VoiceAgentError(`Cannot render a conversation as ${format}`, 'VALIDATION_ERROR', 400);
+  }
+}
+
+function parseImportMessage(message, index) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new VoiceAgentError(`messages[${index}] must be an object`, 'VALIDATION_ERROR', 400);
+  }
+  if (!MESSAGE_ROLES.includes(message.role)) {
+    throw new VoiceAgentError(`messages[${index}].role must be one of ${MESSAGE_ROLES.join(', ')}`, 'VALIDATION_ERROR', 400);
+  }
+  if (typeof message.content !== 'string') {
+    throw new VoiceAgentError(`messages[${index}].content must be a string`, 'VALIDATION_ERROR', 400);
+  }
+  if (typeof message.timestamp !== 'string' || Number.isNaN(Date.parse(message.timestamp))) {
+    throw new VoiceAgentError(`messages[${index}].timestamp must be an ISO 8601 date`, 'VALIDATION_ERROR', 400);
+  }
+  if (message.toolCalls !== undefined && !Array.isArray(message.toolCalls)) {
+    throw new VoiceAgentError(`messages[${index}].toolCalls must be an array`, 'VALIDATION_ERROR', 400);
+  }
+
+  // Audio files stay with the exporting server
+  const { audio, ...stored } = message;
+  return stored;
+}
+
+// Validate a JSON export for import. Returns the store options for the new
+// session (as parseSessionInput), its summary and messages, and the ID the
+// conversation had when it was exported.
+function parseConversationImport(body, defaultTtlMs = 0) {
+  if (!body || typeof body !== 'object' || body.format !== EXPORT_FORMAT) {
+    throw new VoiceAgentError(`Expected a conversation export (format "${EXPORT_FORMAT}")`, 'VALIDATION_ERROR', 400);
+  }
+  if (body.version !== EXPORT_VERSION) {
+    throw new VoiceAgentError(`Unsupported conversation export version: ${body.version}`, 'VALIDATION_ERROR', 400);
+  }
+  const session = body.session;
+  if (!session || typeof session !== 'object') {
+    throw new VoiceAgentError('session must be an object', 'VALIDATION_ERROR', 400);
+  }
+  if (!Array.isArray(body.messages) || body.messages.length > MAX_IMPORT_MESSAGES) {
+    throw new VoiceAgentError(`messages must be an array of at most ${MAX_IMPORT_MESSAGES} messages`, 'VALIDATION_ERROR', 400);
+  }
+  if (body.summary !== undefined && body.summary !== null && typeof body.summary !== 'string') {
+    throw new VoiceAgentError('summary must be a string or null', 'VALIDATION_ERROR', 400);
+  }
+
+  // Null fields in the export mean "not set"
+  const sessionInput = parseSessionInput({
+    userId: session.userId || undefined,
+    locale: session.locale || undefined,
+    detectLanguage: typeof session.detectLanguage === 'boolean' ? session.detectLanguage : undefined,
+    persona: session.persona || undefined,
+    systemPrompt: session.systemPrompt || undefined,
+    attributes: session.attributes || undefined
+  }, defaultTtlMs);
+
+  return {
+    sessionInput: sessionInput,
+    summary: body.summary || null,
+    messages: body.messages.map(parseImportMessage),
+    importedFrom: typeof session.sessionId === 'string' ? session.sessionId : null
+  };
+}
+
+module.exports = {
+  FORMATS,
+  parseExportFormat,
+  buildConversationExport,
+  renderConversation,
+  parseConversationImport
+};
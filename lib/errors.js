@@ -0,0 +1,64 @@
+// Error handling utilities shared by the server and the provider adapters
+class VoiceAgentError extends Error {
+  constructor(message, type, statusCode = 500) {
+    super(message);
+    this.name = 'VoiceAgentError';
+    this.type = type;
+    this.statusCode = statusCode;
+  }
+}
+
+// Cancelled work (a barge-in or a client disconnect) surfaces as an ABORTED
+// error so the pipeline can stop instead of serving a fallback
+function createAbortError(message = 'Request aborted') {
+  return new VoiceAgentError(message, 'ABORTED', 499);
+}
+
+function isAbortError(error) {
+  return Boolean(error) && (error.type === 'ABORTED' || error.code === 'ERR_CANCELED' || error.name === 'AbortError');
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+}
+
+// Map an axios failure from an upstream service to a VoiceAgentError.
+// Returns null when the failure is not one we classify, so callers can decide
+// whether to fall back or rethrow.
+function mapUpstreamError(error, { service, keyName = `${service} key`, timeoutMessage } = {}) {
+  if (error instanceof VoiceAgentError) {
+    return error;
+  }
+
+  if (isAbortError(error)) {
+    return createAbortError(`${service} request aborted`);
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return new VoiceAgentError(timeoutMessage || `${service} request timed out`, 'TIMEOUT_ERROR', 408);
+  }
+
+  if (error.response?.status === 401) {
+    return new VoiceAgentError(`Invalid ${keyName}`, 'AUTH_ERROR', 401);
+  }
+
+  if (error.response?.status === 429) {
+    return new VoiceAgentError(`${service} rate limit exceeded`, 'RATE_LIMIT_ERROR', 429);
+  }
+
+  if (error.response?.status >= 500) {
+    return new VoiceAgentError(`${service} server error`, 'API_ERROR', 502);
+  }
+
+  return null;
+}
+
+module.exports = {
+  VoiceAgentError,
+  createAbortError,
+  isAbortError,
+  throwIfAborted,
+  mapUpstreamError
+};
@@ -0,0 +1,62 @@
+const { VoiceAgentError } = require('../errors');
+const { logger } = require('../logger');
+const createMemoryStore = require('./memory-store');
+const createJSONFileStore = require('./json-file-store');
+const createSQLiteStore = require('./sqlite-store');
+const createTurnAudioStore = require('./turn-audio');
+
+// Build the chat history backend selected by HISTORY_STORE and start the
+// background sweeper that drops sessions past their TTL
+function createHistoryStore(config) {
+  const options = {
+    maxMessages: (config.HISTORY_MAX_TURNS || 0) * 2,
+    ttlMs: config.HISTORY_TTL_MS || 0
+  };
+
+  let store;
+  switch (config.HISTORY_STORE || 'memory') {
+    case 'memory':
+      store = createMemoryStore(options);
+      break;
+    case 'json':
+      store = createJSONFileStore({ ...options, filePath: config.HISTORY_FILE });
+      break;
+    case 'sqlite':
+      store = createSQLiteStore({ ...options, filePath: config.HISTORY_DB });
+      break;
+    default:
+      throw new VoiceAgentError(`Unknown history store: ${config.HISTORY_STORE}`, 'CONFIG_ERROR', 500);
+  }
+
+  let sweeper = null;
+  if (options.ttlMs > 0 && config.HISTORY_SWEEP_INTERVAL_MS > 0) {
+    sweeper = setInterval(() => {
+      try {
+        const removed = store.sweep();
+        if (removed > 0) {
+          logger.info('History sweeper removed expired sessions', { removed });
+        }
+      } catch (error) {
+        logger.error('History sweep failed', { error });
+      }
+    }, config.HISTORY_SWEEP_INTERVAL_MS);
+    // Don't keep the process alive just for the sweeper
+    sweeper.unref();
+  }
+
+  const close = store.close;
+  store.close = () => {
+    if (sweeper) {
+      clearInterval(sweeper);
+      sweeper = null;
+    }
+    close();
+  };
+
+  return store;
+}
+
+module.exports = {
+  createHistoryStore,
+  createTurnAudioStore
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const createMemoryStore = require('./memory-store');
+const { logger } = require('../logger');
+
+// How long changes are batched before the file is rewritten
+const WRITE_DELAY_MS = 100;
+
+// JSON file backend: the memory store, written through to disk shortly after
+// it changes. Changes within WRITE_DELAY_MS are batched into one write, which
+// goes to a temporary file first and is renamed into place so a crash
+// mid-write never leaves a truncated history file. close() writes out any
+// pending changes synchronously.
+function createJSONFileStore({ filePath, maxMessages, ttlMs, writeDelayMs = WRITE_DELAY_MS }) {
+  const tempPath = `${filePath}.tmp`;
+  let loading = true;
+  let timer = null;
+  let writing = false;
+  let dirty = false;
+  let closed = false;
+
+  const store = createMemoryStore({
+    maxMessages,
+    ttlMs,
+    onChange: () => {
+      if (!loading) {
+        dirty = true;
+        schedule();
+      }
+    }
+  });
+
+  function schedule() {
+    if (!timer && !writing && !closed) {
+      timer = setTimeout(persist, writeDelayMs);
+      // Pending writes are flushed by close(), not by keeping the process alive
+      timer.unref();
+    }
+  }
+
+  async function persist() {
+    timer = null;
+    writing = true;
+    dirty = false;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(store.toJSON()));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      logger.error('Could not write chat history file', { filePath, error });
+    }
+    writing = false;
+
+    // Changes made while writing go out in the next write, or right away
+    // once the store has been closed
+    if (dirty) {
+      if (closed) {
+        persistSync();
+      } else {
+        schedule();
+      }
+    }
+  }
+
+  function persistSync() {
+    dirty = false;
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(store.toJSON()));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      logger.error('Could not write chat history file', { filePath, error });
+    }
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(timer);
+    timer = null;
+    // A write in flight finishes first and then writes out what it missed
+    if (dirty && !writing) {
+      persistSync();
+    }
+    store.close();
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (fs.existsSync(filePath)) {
+    try {
+      store.load(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      logger.info('Loaded chat history', { filePath });
+    } catch (error) {
+      // Keep the unreadable file aside rather than overwriting it on the next write
+      logger.error('Could not read chat history file, starting empty', { filePath, error });
+      fs.renameSync(filePath, `${filePath}.corrupt`);
+    }
+  }
+  loading = false;
+
+  return {
+    ...store,
+    name: 'json',
+    close
+  };
+}
+
+module.exports = createJSONFileStore;
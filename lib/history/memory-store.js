@@ -0,0 +1,221 @@
+// In-memory chat history backend. Also the working set for the JSON file store.
+//
+// Every backend exposes the same synchronous interface:
+//   createSession(sessionId, { metadata, ttlMs }) -> session info
+//   getSession(sessionId)             -> session info, or null if unknown or expired
+//   hasSession(sessionId)             -> boolean
+//   listSessions({ offset, limit, userId, clientId }) -> { sessions, total }, most recently active first
+//   updateSession(sessionId, { metadata }) -> session info with metadata merged, or null
+//   getMessages(sessionId)            -> array (empty for unknown or expired sessions)
+//   appendMessage(sessionId, message) -> history length after trimming, or false
+//                                        if the session is unknown or expired
+//   compactHistory(sessionId, removeCount, summary) -> drop the oldest messages, store the summary
+//   clearMessages(sessionId)          -> true if the session existed (also clears the summary)
+//   deleteSession(sessionId)          -> true if the session existed
+//   sweep(now)                        -> number of expired sessions removed
+//   close()
+//
+// Session info is { sessionId, metadata, summary, createdAt, updatedAt,
+// expiresAt, messageCount } with times in epoch milliseconds. The summary
+// condenses turns that were compacted out of the message list. Activity pushes expiresAt
+// forward by the session's own TTL.
+function createMemoryStore({ maxMessages = 20, ttlMs = 0, onChange = () => {} } = {}) {
+  const sessions = new Map();
+
+  function isExpired(session, now = Date.now()) {
+    return session.expiresAt !== null && session.expiresAt <= now;
+  }
+
+  function getLiveSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    // Dropping an expired session on read is not reported as a change: reads
+    // never write, and the sweeper persists the removal
+    if (isExpired(session)) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return session;
+  }
+
+  function toInfo(sessionId, session) {
+    return {
+      sessionId: sessionId,
+      metadata: session.metadata,
+      summary: session.summary,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresAt: session.expiresAt,
+      messageCount: session.messages.length
+    };
+  }
+
+  function createSession(sessionId, { metadata = {}, ttlMs: sessionTtlMs = ttlMs } = {}) {
+    const now = Date.now();
+    const session = {
+      messages: [],
+      metadata: metadata,
+      summary: null,
+      createdAt: now,
+      updatedAt: now,
+      ttlMs: sessionTtlMs,
+      expiresAt: sessionTtlMs > 0 ? now + sessionTtlMs : null
+    };
+    sessions.set(sessionId, session);
+    onChange();
+    return toInfo(sessionId, session);
+  }
+
+  function getSession(sessionId) {
+    const session = getLiveSession(sessionId);
+    return session ? toInfo(sessionId, session) : null;
+  }
+
+  function hasSession(sessionId) {
+    return getLiveSession(sessionId) !== null;
+  }
+
+  function listSessions({ offset = 0, limit = 20, userId, clientId } = {}) {
+    const now = Date.now();
+    const matching = [];
+    for (const [sessionId, session] of sessions) {
+      if (!isExpired(session, now) &&
+        (userId === undefined || session.metadata.userId === userId) &&
+        (clientId === undefined || session.metadata.clientId === clientId)) {
+        matching.push(toInfo(sessionId, session));
+      }
+    }
+    matching.sort((a, b) => b.updatedAt - a.updatedAt);
+    return {
+      sessions: matching.slice(offset, offset + limit),
+      total: matching.length
+    };
+  }
+
+  function updateSession(sessionId, { metadata = {} } = {}) {
+    const session = getLiveSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    session.metadata = { ...session.metadata, ...metadata };
+    onChange();
+    return toInfo(sessionId, session);
+  }
+
+  function getMessages(sessionId) {
+    const session = getLiveSession(sessionId);
+    return session ? session.messages.slice() : [];
+  }
+
+  function appendMessage(sessionId, message) {
+    // A session deleted or expired mid-turn is not recreated without its metadata
+    const session = getLiveSession(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.messages.push(message);
+
+    // Keep only the most recent messages to bound memory per session
+    if (maxMessages > 0 && session.messages.length > maxMessages) {
+      session.messages.splice(0, session.messages.length - maxMessages);
+    }
+
+    const now = Date.now();
+    session.updatedAt = now;
+    session.expiresAt = session.ttlMs > 0 ? now + session.ttlMs : null;
+    onChange();
+
+    return session.messages.length;
+  }
+
+  function compactHistory(sessionId, removeCount, summary) {
+    const session = getLiveSession(sessionId);
+    if (!session) {
+      return false;
+    }
+    session.messages.splice(0, removeCount);
+    session.summary = summary;
+    onChange();
+    return true;
+  }
+
+  function clearMessages(sessionId) {
+    const session = getLiveSession(sessionId);
+    if (!session) {
+      return false;
+    }
+    session.messages = [];
+    session.summary = null;
+    session.updatedAt = Date.now();
+    onChange();
+    return true;
+  }
+
+  function deleteSession(sessionId) {
+    const existed = sessions.delete(sessionId);
+    if (existed) {
+      onChange();
+    }
+    return existed;
+  }
+
+  function sweep(now = Date.now()) {
+    let removed = 0;
+    for (const [sessionId, session] of sessions) {
+      if (isExpired(session, now)) {
+        sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      onChange();
+    }
+    return removed;
+  }
+
+  // Snapshot and restore are used by the JSON file store for persistence
+  function toJSON() {
+    return Object.fromEntries(sessions);
+  }
+
+  function load(data) {
+    sessions.clear();
+    for (const [sessionId, session] of Object.entries(data || {})) {
+      if (session && Array.isArray(session.messages)) {
+        const updatedAt = session.updatedAt || Date.now();
+        sessions.set(sessionId, {
+          messages: session.messages,
+          metadata: session.metadata || {},
+          summary: session.summary || null,
+          createdAt: session.createdAt || updatedAt,
+          updatedAt: updatedAt,
+          ttlMs: session.ttlMs !== undefined ? session.ttlMs : ttlMs,
+          expiresAt: session.expiresAt || null
+        });
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+    createSession,
+    getSession,
+    hasSession,
+    listSessions,
+    updateSession,
+    getMessages,
+    appendMessage,
+    compactHistory,
+    clearMessages,
+    deleteSession,
+    sweep,
+    close: () => {},
+    toJSON,
+    load
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const { VoiceAgentError } = require('../errors');
+
+// SQLite backend built on better-sqlite3 (an optional dependency, only loaded
+// when this backend is selected). Messages and session metadata are stored as
+// JSON so entries can carry extra fields without schema changes.
+function createSQLiteStore({ filePath, maxMessages = 20, ttlMs = 0 }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new VoiceAgentError('HISTORY_STORE=sqlite requires the better-sqlite3 package', 'CONFIG_ERROR', 500);
+  }
+
+  if (filePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id TEXT PRIMARY KEY,
+      updated_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      created_at INTEGER,
+      ttl_ms INTEGER,
+      metadata TEXT NOT NULL DEFAULT '{}',
+      summary TEXT
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL REFERENCES sessions(session_id) ON DELETE CASCADE,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS messages_session ON messages(session_id, id);
+  `);
+
+  // Databases created before sessions carried metadata or summaries get the new columns here
+  const sessionColumns = db.prepare('PRAGMA table_info(sessions)').all().map(column => column.name);
+  if (!sessionColumns.includes('created_at')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN created_at INTEGER');
+    db.exec('UPDATE sessions SET created_at = updated_at');
+  }
+  if (!sessionColumns.includes('ttl_ms')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN ttl_ms INTEGER');
+    db.prepare('UPDATE sessions SET ttl_ms = ?').run(ttlMs);
+  }
+  if (!sessionColumns.includes('metadata')) {
+    db.exec("ALTER TABLE sessions ADD COLUMN metadata TEXT NOT NULL DEFAULT '{}'");
+  }
+  if (!sessionColumns.includes('summary')) {
+    db.exec('ALTER TABLE sessions ADD COLUMN summary TEXT');
+  }
+  db.pragma('foreign_keys = ON');
+
+  const statements = {
+    insertSession: db.prepare(`
+      INSERT OR REPLACE INTO sessions (session_id, created_at, updated_at, expires_at, ttl_ms, metadata)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    getSession: db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM messages m WHERE m.session_id = s.session_id) AS message_count
+      FROM sessions s WHERE s.session_id = ?
+    `),
+    touchSession: db.prepare(`
+      UPDATE sessions SET updated_at = ?, expires_at = CASE WHEN ttl_ms > 0 THEN ? + ttl_ms ELSE NULL END
+      WHERE session_id = ?
+    `),
+    updateMetadata: db.prepare('UPDATE sessions SET metadata = ? WHERE session_id = ?'),
+    getMessages: db.prepare('SELECT data FROM messages WHERE session_id = ? ORDER BY id'),
+    insertMessage: db.prepare('INSERT INTO messages (session_id, data) VALUES (?, ?)'),
+    countMessages: db.prepare('SELECT COUNT(*) AS count FROM messages WHERE session_id = ?'),
+    trimMessages: db.prepare(`
+      DELETE FROM messages WHERE session_id = ? AND id NOT IN (
+        SELECT id FROM messages WHERE session_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `),
+    clearMessages: db.prepare('DELETE FROM messages WHERE session_id = ?'),
+    removeOldest: db.prepare(`
+      DELETE FROM messages WHERE id IN (
+        SELECT id FROM messages WHERE session_id = ? ORDER BY id LIMIT ?
+      )
+    `),
+    setSummary: db.prepare('UPDATE sessions SET summary = ? WHERE session_id = ?'),
+    deleteSession: db.prepare('DELETE FROM sessions WHERE session_id = ?'),
+    listSessions: db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM messages m WHERE m.session_id = s.session_id) AS message_count
+      FROM sessions s
+      WHERE (s.expires_at IS NULL OR s.expires_at > @now)
+        AND (@userId IS NULL OR json_extract(s.metadata, '$.userId') = @userId)
+        AND (@clientId IS NULL OR json_extract(s.metadata, '$.clientId') = @clientId)
+      ORDER BY s.updated_at DESC
+      LIMIT @limit OFFSET @offset
+    `),
+    countSessions: db.prepare(`
+      SELECT COUNT(*) AS count FROM sessions s
+      WHERE (s.expires_at IS NULL OR s.expires_at > @now)
+        AND (@userId IS NULL OR json_extract(s.metadata, '$.userId') = @userId)
+        AND (@clientId IS NULL OR json_extract(s.metadata, '$.clientId') = @clientId)
+    `),
+    deleteExpired: db.prepare('DELETE FROM sessions WHERE expires_at IS NOT NULL AND expires_at <= ?')
+  };
+
+  function toInfo(row) {
+    return {
+      sessionId: row.session_id,
+      metadata: JSON.parse(row.metadata),
+      summary: row.summary,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      expiresAt: row.expires_at,
+      messageCount: row.message_count
+    };
+  }
+
+  function getLiveRow(sessionId) {
+    const row = statements.getSession.get(sessionId);
+    if (!row) {
+      return null;
+    }
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      statements.deleteSession.run(sessionId);
+      return null;
+    }
+    return row;
+  }
+
+  function createSession(sessionId, { metadata = {}, ttlMs: sessionTtlMs = ttlMs } = {}) {
+    const now = Date.now();
+    statements.insertSession.run(
+      sessionId, now, now, sessionTtlMs > 0 ? now + sessionTtlMs : null, sessionTtlMs, JSON.stringify(metadata)
+    );
+    return getSession(sessionId);
+  }
+
+  function getSession(sessionId) {
+    const row = getLiveRow(sessionId);
+    return row ? toInfo(row) : null;
+  }
+
+  function hasSession(sessionId) {
+    return getLiveRow(sessionId) !== null;
+  }
+
+  function listSessions({ offset = 0, limit = 20, userId, clientId } = {}) {
+    const params = {
+      now: Date.now(),
+      userId: userId === undefined ? null : userId,
+      clientId: clientId === undefined ? null : clientId,
+      offset,
+      limit
+    };
+    return {
+      sessions: statements.listSessions.all(params).map(toInfo),
+      total: statements.countSessions.get(params).count
+    };
+  }
+
+  function updateSession(sessionId, { metadata = {} } = {}) {
+    const row = getLiveRow(sessionId);
+    if (!row) {
+      return null;
+    }
+    statements.updateMetadata.run(JSON.stringify({ ...JSON.parse(row.metadata), ...metadata }), sessionId);
+    return getSession(sessionId);
+  }
+
+  function getMessages(sessionId) {
+    if (!getLiveRow(sessionId)) {
+      return [];
+    }
+    return statements.getMessages.all(sessionId).map(row => JSON.parse(row.data));
+  }
+
+  const appendMessage = db.transaction((sessionId, message) => {
+    // A session deleted or expired mid-turn is not recreated without its metadata
+    if (!getLiveRow(sessionId)) {
+      return false;
+    }
+
+    const now = Date.now();
+    statements.touchSession.run(now, now, sessionId);
+    statements.insertMessage.run(sessionId, JSON.stringify(message));
+    if (maxMessages > 0) {
+      statements.trimMessages.run(sessionId, sessionId, maxMessages);
+    }
+    return statements.countMessages.get(sessionId).count;
+  });
+
+  const compactHistory = db.transaction((sessionId, removeCount, summary) => {
+    if (!getLiveRow(sessionId)) {
+      return false;
+    }
+    statements.removeOldest.run(sessionId, removeCount);
+    statements.setSummary.run(summary, sessionId);
+    return true;
+  });
+
+  const clearMessages = db.transaction((sessionId) => {
+    if (!getLiveRow(sessionId)) {
+      return false;
+    }
+    statements.clearMessages.run(sessionId);
+    statements.setSummary.run(null, sessionId);
+    return true;
+  });
+
+  function deleteSession(sessionId) {
+    return statements.deleteSession.run(sessionId).changes > 0;
+  }
+
+  function sweep(now = Date.now()) {
+    return statements.deleteExpired.run(now).changes;
+  }
+
+  return {
+    name: 'sqlite',
+    createSession,
+    getSession,
+    hasSession,
+    listSessions,
+    updateSession,
+    getMessages,
+    appendMessage,
+    compactHistory,
+    clearMessages,
+    deleteSession,
+    sweep,
+    close: () => db.close()
+  };
+}
+
+module.exports = createSQLiteStore;
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { isUtf8 } = require('buffer');
+const { VoiceAgentError } = require('../errors');
+const { sniffAudioFormat } = require('../audio/format');
+
+const SESSION_ID_PATTERN = /^[\w-]{1,128}$/;
+const FILE_NAME_PATTERN = /^[\w-]{1,128}\.[a-z0-9]{1,5}$/;
+// Server-generated session IDs (session_<uuid>, ws_session_<uuid>); prune
+// leaves anything else in the directory alone
+const GENERATED_ID_PATTERN = /^[a-z_]+_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The file extension for stored speech: the container its bytes identify as,
+// txt for the text TTS adapter's output, bin otherwise
+function audioExtension(buffer) {
+  const sniffed = sniffAudioFormat(buffer);
+  if (sniffed) {
+    return sniffed.format;
+  }
+  return isUtf8(buffer) ? 'txt' : 'bin';
+}
+
+// Turn audio kept on disk for conversation exports, one directory per session:
+//   directory/<sessionId>/<turnId>-input.wav, <turnId>-reply.mp3, ...
+// With no directory nothing is stored: save() returns null and list() is empty.
+function createTurnAudioStore({ directory = '' } = {}) {
+  const enabled = Boolean(directory);
+
+  function sessionDirectory(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new VoiceAgentError('Invalid session ID', 'VALIDATION_ERROR', 400);
+    }
+    return path.join(directory, sessionId);
+  }
+
+  // Write buffer as <baseName>.<extension>. Returns the file name.
+  function save(sessionId, baseName, buffer) {
+    if (!enabled) {
+      return null;
+    }
+    const fileName = `${baseName}.${audioExtension(buffer)}`;
+    if (!FILE_NAME_PATTERN.test(fileName)) {
+      throw new VoiceAgentError(`Invalid audio file name: ${fileName}`, 'VALIDATION_ERROR', 400);
+    }
+    const sessionDir = sessionDirectory(sessionId);
+    fs.mkdirSync(sessionDir, { recursive: true });
+    fs.writeFileSync(path.join(sessionDir, fileName), buffer);
+    return fileName;
+  }
+
+  // File names stored for the session, in name order
+  function list(sessionId) {
+    if (!enabled) {
+      return [];
+    }
+    const sessionDir = sessionDirectory(sessionId);
+    if (!fs.existsSync(sessionDir)) {
+      return [];
+    }
+    return fs.readdirSync(sessionDir).filter(name => FILE_NAME_PATTERN.test(name)).sort();
+  }
+
+  function read(sessionId, fileName) {
+    if (!enabled || !FILE_NAME_PATTERN.test(fileName)) {
+      return null;
+    }
+    const filePath = path.join(sessionDirectory(sessionId), fileName);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  }
+
+  function remove(sessionId) {
+    if (enabled) {
+      fs.rmSync(sessionDirectory(sessionId), { recursive: true, force: true });
+    }
+  }
+
+  // Delete the audio of sessions for which isLive(sessionId) is false
+  // (expired or deleted while the server was down). Returns how many.
+  function prune(isLive) {
+    if (!enabled || !fs.existsSync(directory)) {
+      return 0;
+    }
+    let removed = 0;
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory() && GENERATED_ID_PATTERN.test(entry.name) && !isLive(entry.name)) {
+        remove(entry.name);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    enabled,
+    save,
+    list,
+    read,
+    remove,
+    prune
+  };
+}
+
+module.exports = createTurnAudioStore;
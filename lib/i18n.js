@@ -0,0 +1,74 @@
+// Localized text the agent produces itself rather than the LLM: fallback
+// transcripts and the user-facing error messages sent alongside technical
+// error details. Locales without a catalog use English.
+
+const MESSAGES = {
+  en: {
+    unclearAudio: 'Hello, I am having trouble understanding your audio. Could you please try again?',
+    fallbackTranscript: 'Hello, this is a test message from fallback transcription',
+    VALIDATION_ERROR: 'Sorry, I couldn\'t use that audio. Please try again.',
+    TIMEOUT_ERROR: 'Sorry, that took too long. Please try again.',
+    RATE_LIMIT_ERROR: 'I\'m getting a lot of requests right now. Please try again in a moment.',
+    NOT_FOUND: 'This conversation has ended. Please start a new one.',
+    default: 'Sorry, something went wrong. Please try again in a moment.'
+  },
+  fr: {
+    unclearAudio: 'Bonjour, j\'ai du mal à comprendre votre message audio. Pouvez-vous réessayer ?',
+    fallbackTranscript: 'Bonjour, ceci est un message de test de la transcription de secours',
+    VALIDATION_ERROR: 'Désolé, je n\'ai pas pu utiliser cet audio. Veuillez réessayer.',
+    TIMEOUT_ERROR: 'Désolé, cela a pris trop de temps. Veuillez réessayer.',
+    RATE_LIMIT_ERROR: 'Je reçois beaucoup de demandes en ce moment. Veuillez réessayer dans un instant.',
+    NOT_FOUND: 'Cette conversation est terminée. Veuillez en commencer une nouvelle.',
+    default: 'Désolé, un problème est survenu. Veuillez réessayer dans un instant.'
+  },
+  es: {
+    unclearAudio: 'Hola, tengo problemas para entender tu audio. ¿Puedes intentarlo de nuevo?',
+    fallbackTranscript: 'Hola, este es un mensaje de prueba de la transcripción de respaldo',
+    VALIDATION_ERROR: 'Lo siento, no pude usar ese audio. Inténtalo de nuevo.',
+    TIMEOUT_ERROR: 'Lo siento, tardó demasiado. Inténtalo de nuevo.',
+    RATE_LIMIT_ERROR: 'Estoy recibiendo muchas solicitudes ahora mismo. Inténtalo de nuevo en un momento.',
+    NOT_FOUND: 'Esta conversación ha terminado. Por favor, inicia una nueva.',
+    default: 'Lo siento, algo salió mal. Inténtalo de nuevo en un momento.'
+  },
+  de: {
+    unclearAudio: 'Hallo, ich habe Schwierigkeiten, Ihre Aufnahme zu verstehen. Könnten Sie es bitte noch einmal versuchen?',
+    fallbackTranscript: 'Hallo, dies ist eine Testnachricht der Ersatz-Transkription',
+    VALIDATION_ERROR: 'Entschuldigung, diese Aufnahme konnte ich nicht verwenden. Bitte versuchen Sie es noch einmal.',
+    TIMEOUT_ERROR: 'Entschuldigung, das hat zu lange gedauert. Bitte versuchen Sie es noch einmal.',
+    RATE_LIMIT_ERROR: 'Ich erhalte gerade sehr viele Anfragen. Bitte versuchen Sie es gleich noch einmal.',
+    NOT_FOUND: 'Dieses Gespräch ist beendet. Bitte beginnen Sie ein neues.',
+    default: 'Entschuldigung, etwas ist schiefgelaufen. Bitte versuchen Sie es gleich noch einmal.'
+  }
+};
+
+// "pt-BR" -> "pt"
+function languageOf(locale) {
+  return String(locale || 'en').split(/[-_]/)[0].toLowerCase();
+}
+
+// Display name of a locale in English ("fr-CA" -> "French (Canada)"), for
+// instructions to the LLM
+function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale) || locale;
+  } catch (error) {
+    return locale;
+  }
+}
+
+function translate(locale, key) {
+  const catalog = MESSAGES[languageOf(locale)] || MESSAGES.en;
+  return catalog[key] || MESSAGES.en[key];
+}
+
+// User-facing message for a failed turn, by error type
+function errorMessage(locale, errorType) {
+  return MESSAGES.en[errorType] ? translate(locale, errorType) : translate(locale, 'default');
+}
+
+module.exports = {
+  languageOf,
+  languageName,
+  translate,
+  errorMessage
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { VoiceAgentError } = require('./errors');
+const { renderTemplate, formatDateParts } = require('./prompts');
+const { logger } = require('./logger');
+
+// Rule-based intent engine for the offline fallback replies served when the
+// LLM fails. Rules live in INTENTS_FILE (JSON, or YAML with the optional
+// yaml package), one rule set per locale:
+//
+//   { "defaultLocale": "en",
+//     "locales": { "en": {
+//       "fallback": "Sorry, I didn't catch that.",
+//       "intents": [{
+//         "name": "order_status", "priority": 10,
+//         "phrases": ["where is my order", "order {orderId}"],
+//         "patterns": ["order (?:number )?(?<orderId>\\d+)"],
+//         "response": "I can't look up order {{orderId}} right now."
+//       }] } } }
+//
+// Phrases match whole words, ignoring case and punctuation, and {slot} in a
+// phrase captures one word. Patterns are case-insensitive regular expressions
+// whose named groups become slots. The highest priority wins, then the
+// longest match, then the rule listed first. Responses are templates (see
+// renderTemplate) with the slots, date, time, locale, userId, persona,
+// transcript and session attributes as variables.
+
+const INTENT_NAME = /^[a-zA-Z0-9_.-]+$/;
+const DEFAULT_FALLBACK = 'I\'m having trouble connecting right now. Please try again in a moment.';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "my name is {name}" -> /(?<![\p{L}\p{N}])my[^\p{L}\p{N}']+name.../iu
+function compilePhrase(phrase) {
+  const words = phrase.trim().split(/\s+/).map(word => {
+    const slot = word.match(/^\{(\w+)\}$/);
+    return slot ? `(?<${slot[1]}>[\\p{L}\\p{N}'-]+)` : escapeRegExp(word);
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}\']+')}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+function compileIntent(rule, index, locale) {
+  const where = `intent ${index + 1} of locale "${locale}"`;
+  if (!rule || typeof rule.name !== 'string' || !INTENT_NAME.test(rule.name)) {
+    throw new VoiceAgentError(`Invalid name for ${where}`, 'CONFIG_ERROR', 500);
+  }
+  if (typeof rule.response !== 'string' || rule.response.trim() === '') {
+    throw new VoiceAgentError(`Intent ${rule.name} (${locale}) needs a response`, 'CONFIG_ERROR', 500);
+  }
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+    throw new VoiceAgentError(`Intent ${rule.name} (${locale}) has a non-numeric priority`, 'CONFIG_ERROR', 500);
+  }
+
+  const phrases = rule.phrases || [];
+  const patterns = rule.patterns || [];
+  if (!Array.isArray(phrases) || !Array.isArray(patterns) || phrases.length + patterns.length === 0) {
+    throw new VoiceAgentError(`Intent ${rule.name} (${locale}) needs phrases or patterns`, 'CONFIG_ERROR', 500);
+  }
+
+  const matchers = [];
+  try {
+    phrases.forEach(phrase => matchers.push(compilePhrase(String(phrase))));
+    patterns.forEach(pattern => matchers.push(new RegExp(String(pattern), 'iu')));
+  } catch (error) {
+    throw new VoiceAgentError(`Intent ${rule.name} (${locale}) has an invalid pattern: ${error.message}`, 'CONFIG_ERROR', 500);
+  }
+
+  return {
+    name: rule.name,
+    priority: rule.priority || 0,
+    response: rule.response,
+    matchers: matchers
+  };
+}
+
+function compileRules(definition, file) {
+  if (!definition || typeof definition !== 'object' || !definition.locales || typeof definition.locales !== 'object') {
+    throw new VoiceAgentError(`Intents file ${file} must contain a "locales" object`, 'CONFIG_ERROR', 500);
+  }
+
+  const locales = {};
+  for (const [locale, ruleSet] of Object.entries(definition.locales)) {
+    const intents = (ruleSet && ruleSet.intents) || [];
+    if (!Array.isArray(intents)) {
+      throw new VoiceAgentError(`Intents for locale "${locale}" must be an array`, 'CONFIG_ERROR', 500);
+    }
+    locales[locale.toLowerCase()] = {
+      locale: locale,
+      fallback: (ruleSet && ruleSet.fallback) || DEFAULT_FALLBACK,
+      intents: intents.map((rule, index) => compileIntent(rule, index, locale))
+    };
+  }
+
+  const defaultLocale = (definition.defaultLocale || 'en').toLowerCase();
+  return { defaultLocale, locales };
+}
+
+function readRulesFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  if (extension !== '.yaml' && extension !== '.yml') {
+    return JSON.parse(text);
+  }
+
+  let YAML;
+  try {
+    YAML = require('yaml');
+  } catch (error) {
+    throw new VoiceAgentError('YAML intents files require the yaml package', 'CONFIG_ERROR', 500);
+  }
+  return YAML.parse(text);
+}
+
+const NO_RULES = { defaultLocale: 'en', locales: {} };
+
+// Rules are re-read when the file changes so edits apply without a restart.
+// A broken edit keeps the previous rules (and is reported) rather than
+// taking degraded mode down with it.
+function createIntentEngine({ filePath }) {
+  let cache = null;
+
+  function loadRules() {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return NO_RULES;
+    }
+
+    const { mtimeMs } = fs.statSync(filePath);
+    if (cache && cache.mtimeMs === mtimeMs) {
+      return cache.rules;
+    }
+
+    let rules;
+    try {
+      rules = compileRules(readRulesFile(filePath), filePath);
+    } catch (error) {
+      const failure = error instanceof VoiceAgentError
+        ? error
+        : new VoiceAgentError(`Could not read intents file ${filePath}: ${error.message}`, 'CONFIG_ERROR', 500);
+      if (!cache) {
+        throw failure;
+      }
+      logger.error('Keeping previous intents', { filePath, error: failure });
+      cache.mtimeMs = mtimeMs;
+      return cache.rules;
+    }
+
+    cache = { mtimeMs, rules };
+    return rules;
+  }
+
+  // Exact tag ("pt-BR"), then its language ("pt"), then the default locale
+  function resolveRuleSet(rules, locale) {
+    const tag = String(locale || '').toLowerCase();
+    return rules.locales[tag]
+      || rules.locales[tag.split('-')[0]]
+      || rules.locales[rules.defaultLocale]
+      || { locale: rules.defaultLocale, fallback: DEFAULT_FALLBACK, intents: [] };
+  }
+
+  // Every intent that matches text, best first
+  function match(text, locale) {
+    const ruleSet = resolveRuleSet(loadRules(), locale);
+    const matches = [];
+
+    ruleSet.intents.forEach((intent, index) => {
+      for (const matcher of intent.matchers) {
+        const found = matcher.exec(text);
+        if (found) {
+          const slots = {};
+          for (const [name, value] of Object.entries(found.groups || {})) {
+            if (value !== undefined) {
+              slots[name] = value.trim();
+            }
+          }
+          matches.push({ intent: intent, index: index, text: found[0], slots: slots });
+          break;
+        }
+      }
+    });
+
+    matches.sort((a, b) => (b.intent.priority - a.intent.priority)
+      || (b.text.length - a.text.length)
+      || (a.index - b.index));
+
+    return { ruleSet, matches };
+  }
+
+  // Pick the reply for a transcript. metadata is the session's metadata
+  // (locale, userId, persona, attributes).
+  function respond(transcript, metadata = {}, now = new Date()) {
+    const text = String(transcript || '');
+    const { ruleSet, matches } = match(text, metadata.locale);
+    const best = matches[0] || null;
+    const locale = metadata.locale || ruleSet.locale;
+
+    const variables = {
+      ...(metadata.attributes || {}),
+      ...formatDateParts(now, locale),
+      locale: locale,
+      persona: metadata.persona || null,
+      userId: metadata.userId || null,
+      transcript: text,
+      ...(best ? best.slots : {})
+    };
+
+    return {
+      intent: best ? best.intent.name : null,
+      locale: ruleSet.locale,
+      slots: best ? best.slots : {},
+      response: renderTemplate(best ? best.intent.response : ruleSet.fallback, variables),
+      matches: matches.map(({ intent, text: matchedText }) => ({
+        intent: intent.name,
+        priority: intent.priority,
+        text: matchedText
+      }))
+    };
+  }
+
+  // Intent names per locale
+  function listIntents() {
+    const { locales } = loadRules();
+    const listing = {};
+    for (const ruleSet of Object.values(locales)) {
+      listing[ruleSet.locale] = ruleSet.intents.map(intent => intent.name);
+    }
+    return listing;
+  }
+
+  return {
+    respond,
+    listIntents
+  };
+}
+
+module.exports = {
+  compilePhrase,
+  createIntentEngine
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { VoiceAgentError, isAbortError } = require('./errors');
+const { logger } = require('./logger');
+
+// Bounded in-memory queue for work done in the background (async chat turns).
+// At most `concurrency` jobs run at once and at most `maxQueued` wait; beyond
+// that submit() rejects so clients back off. Finished jobs are kept for ttlMs
+// so their results can be fetched, then dropped; beyond the most recent
+// maxFinished, the oldest are dropped early so held results stay bounded.
+//
+// A job runs as run({ jobId, signal, setStage }) and moves through
+//   status: queued -> running -> completed | failed | cancelled
+// with `stage` naming the step in progress (set by the job itself).
+// onFinish, if given, is called once the job ends in any of those states.
+function createJobQueue({ concurrency = 2, maxQueued = 50, ttlMs = 60 * 60 * 1000, maxFinished = 500 } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  // IDs of finished jobs, oldest first
+  const finished = [];
+  let running = 0;
+
+  function format(job) {
+    return {
+      jobId: job.id,
+      sessionId: job.sessionId,
+      clientId: job.clientId,
+      status: job.status,
+      stage: job.stage,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString(),
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+  }
+
+  function finish(job, changes) {
+    update(job, { ...changes, finishedAt: Date.now() });
+    job.run = null;
+    finished.push(job.id);
+    while (finished.length > maxFinished) {
+      jobs.delete(finished.shift());
+    }
+    if (job.onFinish) {
+      job.onFinish(job.status);
+      job.onFinish = null;
+    }
+  }
+
+  function sweep(now = Date.now()) {
+    while (finished.length > 0 && now - jobs.get(finished[0]).finishedAt > ttlMs) {
+      jobs.delete(finished.shift());
+    }
+  }
+
+  async function start(job) {
+    running++;
+    update(job, { status: 'running' });
+    try {
+      const result = await job.run({
+        jobId: job.id,
+        signal: job.controller.signal,
+        setStage: (stage) => update(job, { stage })
+      });
+      finish(job, { status: 'completed', stage: 'done', result: result });
+    } catch (error) {
+      if (isAbortError(error)) {
+        finish(job, { status: 'cancelled' });
+      } else {
+        logger.warn('Job failed', { jobId: job.id, error });
+        finish(job, {
+          status: 'failed',
+          error: { message: error.message, type: error instanceof VoiceAgentError ? error.type : 'INTERNAL_ERROR' }
+        });
+      }
+    } finally {
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  function submit(run, { sessionId = null, clientId = null, stage = 'queued', onFinish = null } = {}) {
+    sweep();
+    if (waiting.length >= maxQueued) {
+      throw new VoiceAgentError(`Job queue is full (${maxQueued} waiting), try again later`, 'RATE_LIMIT_ERROR', 429);
+    }
+
+    const now = Date.now();
+    const job = {
+      id: `job_${crypto.randomUUID()}`,
+      sessionId: sessionId,
+      clientId: clientId,
+      status: 'queued',
+      stage: stage,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      run: run,
+      onFinish: onFinish
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    pump();
+    return format(job);
+  }
+
+  function get(jobId) {
+    sweep();
+    const job = jobs.get(jobId);
+    return job ? format(job) : null;
+  }
+
+  // Cancel a queued or running job. Returns the job, or null if unknown.
+  function cancel(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status === 'queued') {
+      waiting.splice(waiting.indexOf(job), 1);
+      finish(job, { status: 'cancelled' });
+    } else if (job.status === 'running') {
+      job.controller.abort();
+    }
+    return format(job);
+  }
+
+  function stats() {
+    return {
+      queued: waiting.length,
+      running: running,
+      concurrency: concurrency,
+      maxQueued: maxQueued
+    };
+  }
+
+  return {
+    submit,
+    get,
+    cancel,
+    stats
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
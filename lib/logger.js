@@ -0,0 +1,215 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+const { VoiceAgentError } = require('./errors');
+
+// Structured logger: one JSON object per line with time, level, msg, the
+// correlation IDs of the request or turn in progress, and the given fields.
+//
+//   logger.info('Transcription completed', { language, transcript });
+//   -> {"time":"...","level":"info","msg":"Transcription completed",
+//       "requestId":"req_...","sessionId":"session_...","turnId":"turn_...",
+//       "language":"en-US","transcript":"[redacted: 42 chars]"}
+//
+// What users said or were told never reaches the log unless LOG_USER_CONTENT
+// is on: fields in SENSITIVE_FIELDS are replaced by their size, and email
+// addresses and phone numbers are masked in every other string.
+//
+// Correlation IDs live in AsyncLocalStorage, so code called from a route or
+// WebSocket handler (transcription, the LLM, TTS, tools) logs them without
+// passing them along; runWithContext() starts a scope.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_FIELDS = new Set(['transcript', 'text', 'response', 'content', 'delta', 'messages', 'history', 'summary', 'arguments', 'result']);
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Runs of digits with the usual separators, not inside a word or ID; kept if
+// under 9 digits (dates, sizes)
+const PHONE_CANDIDATE_PATTERN = /(?<![\w-])\+?\(?\d[\d\s().-]{6,}\d(?![\w-])/g;
+
+const storage = new AsyncLocalStorage();
+
+const settings = {
+  level: LEVELS.info,
+  format: 'json',
+  logUserContent: false,
+  redact: (text) => text,
+  write: (line) => process.stdout.write(line + '\n')
+};
+
+// Apply LOG_LEVEL, LOG_FORMAT and LOG_USER_CONTENT; redact scrubs any other
+// text that must not be logged (configured secrets)
+function configureLogger({ level, format, logUserContent, redact, write } = {}) {
+  if (level !== undefined) {
+    settings.level = LEVELS[level] || LEVELS.info;
+  }
+  if (format !== undefined) {
+    settings.format = format;
+  }
+  if (logUserContent !== undefined) {
+    settings.logUserContent = Boolean(logUserContent);
+  }
+  if (redact) {
+    settings.redact = redact;
+  }
+  if (write) {
+    settings.write = write;
+  }
+}
+
+function maskPersonalData(text) {
+  return text
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_CANDIDATE_PATTERN, (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 ? '[phone]' : match;
+    });
+}
+
+function scrub(text) {
+  const redacted = settings.redact(text);
+  return settings.logUserContent ? redacted : maskPersonalData(redacted);
+}
+
+function describeSensitive(value) {
+  if (Array.isArray(value)) {
+    return `[redacted: ${value.length} items]`;
+  }
+  if (typeof value === 'string') {
+    return `[redacted: ${value.length} chars]`;
+  }
+  return '[redacted]';
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: scrub(String(error.message)),
+    type: error instanceof VoiceAgentError ? error.type : undefined,
+    statusCode: error.statusCode || error.response?.status,
+    code: error.code
+  };
+  // Our own errors are expected outcomes; a stack helps only for the rest
+  if (!(error instanceof VoiceAgentError) && error.stack) {
+    serialized.stack = scrub(error.stack);
+  }
+  return serialized;
+}
+
+// Make a field value safe and JSON-friendly
+function sanitize(key, value, depth = 0) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (!settings.logUserContent && SENSITIVE_FIELDS.has(key)) {
+    return describeSensitive(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return scrub(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 4) {
+    return '[object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(key, item, depth + 1));
+  }
+  const result = {};
+  for (const [name, item] of Object.entries(value)) {
+    result[name] = sanitize(name, item, depth + 1);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : util.inspect(value, { breakLength: Infinity, depth: 4 })}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ' ' + extra : ''}`;
+}
+
+function log(level, baseFields, msg, fields = {}) {
+  if (LEVELS[level] < settings.level) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    msg: scrub(String(msg)),
+    ...storage.getStore(),
+    ...baseFields
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = sanitize(key, value);
+  }
+
+  let line;
+  try {
+    line = settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level: level, msg: entry.msg, logError: error.message });
+  }
+  settings.write(line);
+}
+
+// A logger that adds baseFields (e.g. { component: 'assemblyai' }) to every entry
+function createLogger(baseFields = {}) {
+  return {
+    debug: (msg, fields) => log('debug', baseFields, msg, fields),
+    info: (msg, fields) => log('info', baseFields, msg, fields),
+    warn: (msg, fields) => log('warn', baseFields, msg, fields),
+    error: (msg, fields) => log('error', baseFields, msg, fields),
+    child: (fields) => createLogger({ ...baseFields, ...fields })
+  };
+}
+
+// A new request, connection or turn ID: req_..., ws_..., turn_...
+function createCorrelationId(prefix) {
+  return `${prefix}_${crypto.randomUUID()}`;
+}
+
+// Run fn with correlation fields (requestId, sessionId, turnId, jobId) added
+// to those already in scope
+function runWithContext(fields, fn) {
+  return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+// Wrap a callback so it runs in the current scope when invoked from code that
+// loses it (stream events, callback-style middleware)
+function bindContext(fn) {
+  const store = storage.getStore();
+  return store ? (...args) => storage.run(store, () => fn(...args)) : fn;
+}
+
+// Add fields to the current scope, e.g. the session once it is known
+function addContext(fields) {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+function currentContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  logger: createLogger(),
+  createLogger,
+  configureLogger,
+  createCorrelationId,
+  runWithContext,
+  bindContext,
+  addContext,
+  currentContext,
+  maskPersonalData
+};
@@ -0,0 +1,146 @@
+const { logger } = require('./logger');
+
+// Conversation memory: keeps each session's context within a token budget by
+// condensing older turns into a running summary instead of dropping them.
+
+const SUMMARY_PROMPT = 'You maintain a running summary of a voice conversation between a user and an assistant. ' +
+  'Merge the new messages into the existing summary. Keep names, facts, preferences, requests, decisions and open questions. ' +
+  'Write plain prose in the third person, at most 150 words, and reply with the summary only.';
+
+// Rough token estimate (about four characters per token for English text)
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, msg) => total + estimateTokens(msg.content) + 4, 0);
+}
+
+// Plain-text form of a stored message, including tool calls and results
+function describeMessage(msg) {
+  if (msg.role === 'tool') {
+    return `${msg.name} returned ${msg.content}`;
+  }
+  if (Array.isArray(msg.toolCalls) && msg.toolCalls.length > 0) {
+    const calls = msg.toolCalls.map(call => `${call.name}(${JSON.stringify(call.arguments || {})})`).join(', ');
+    return msg.content ? `${msg.content} [called ${calls}]` : `[called ${calls}]`;
+  }
+  return msg.content;
+}
+
+// Summarize with the configured LLM provider
+function createLLMSummarizer(llm) {
+  return async (previousSummary, messages) => {
+    const transcript = messages.map(msg => `${msg.role}: ${describeMessage(msg)}`).join('\n');
+    const request = (previousSummary ? `Existing summary:\n${previousSummary}\n\n` : '') +
+      `New messages:\n${transcript}`;
+
+    const summary = await llm.generate(request, [], { systemPrompt: SUMMARY_PROMPT });
+    if (!summary || summary.trim() === '') {
+      throw new Error('LLM returned an empty summary');
+    }
+    return summary.trim();
+  };
+}
+
+// Deterministic summarizer: keeps the first sentence of each message as a
+// bullet and drops the oldest bullets beyond maxLines. Used in tests and
+// whenever LLM summarization fails.
+function createExtractiveSummarizer({ maxLines = 20, maxLineLength = 120 } = {}) {
+  return async (previousSummary, messages) => {
+    const lines = previousSummary ? previousSummary.split('\n') : [];
+    for (const msg of messages) {
+      const firstSentence = describeMessage(msg).split(/(?<=[.!?])\s/)[0];
+      const text = firstSentence.length > maxLineLength
+        ? firstSentence.slice(0, maxLineLength - 3) + '...'
+        : firstSentence;
+      lines.push(`- ${msg.role}: ${text}`);
+    }
+    return lines.slice(-maxLines).join('\n');
+  };
+}
+
+// Compacts a session once its summary plus messages exceed tokenBudget,
+// keeping the most recent keepRecentMessages verbatim
+function createMemoryManager({ store, summarizer, fallbackSummarizer, tokenBudget, keepRecentMessages }) {
+  const inProgress = new Set();
+
+  // Whether the session still has the given summary and starts with the given
+  // messages
+  function isUnchanged(sessionId, before, messages) {
+    const session = store.getSession(sessionId);
+    if (!session || session.createdAt !== before.createdAt || session.summary !== before.summary) {
+      return false;
+    }
+    const current = store.getMessages(sessionId);
+    return current.length >= messages.length &&
+      messages.every((msg, index) => JSON.stringify(msg) === JSON.stringify(current[index]));
+  }
+
+  async function maybeCompact(sessionId) {
+    if (inProgress.has(sessionId)) {
+      return false;
+    }
+
+    const session = store.getSession(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    const messages = store.getMessages(sessionId);
+    const tokens = estimateTokens(session.summary) + estimateMessagesTokens(messages);
+    if (tokens <= tokenBudget || messages.length <= keepRecentMessages) {
+      return false;
+    }
+
+    const removeCount = messages.length - keepRecentMessages;
+    inProgress.add(sessionId);
+    try {
+      let summary;
+      try {
+        summary = await summarizer(session.summary, messages.slice(0, removeCount));
+      } catch (error) {
+        if (!fallbackSummarizer) {
+          throw error;
+        }
+        logger.warn('Summarization failed, using extractive summary', { sessionId, error });
+        summary = await fallbackSummarizer(session.summary, messages.slice(0, removeCount));
+      }
+
+      // The history may have been cleared, trimmed or recreated while the
+      // summary was being written; compacting it now would drop the wrong
+      // messages. Only new messages at the end are fine.
+      if (!isUnchanged(sessionId, session, messages)) {
+        logger.info('History changed during summarization, skipping compaction', { sessionId });
+        return false;
+      }
+
+      store.compactHistory(sessionId, removeCount, summary);
+      logger.info('Compacted messages into the summary', { sessionId, removedMessages: removeCount, tokensBefore: tokens });
+      return true;
+    } finally {
+      inProgress.delete(sessionId);
+    }
+  }
+
+  // Append the running summary to a system prompt so the model keeps early context
+  function withSummary(systemPrompt, summary) {
+    if (!summary) {
+      return systemPrompt;
+    }
+    return `${systemPrompt}\n\nSummary of the earlier conversation:\n${summary}`;
+  }
+
+  return {
+    maybeCompact,
+    withSummary
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+  createLLMSummarizer,
+  createExtractiveSummarizer,
+  createMemoryManager
+};
@@ -0,0 +1,215 @@
+// Prometheus metrics: a small registry of counters, gauges and histograms with
+// labels, rendered in the text exposition format served at GET /metrics, and
+// the catalog of metrics the voice pipeline records.
+
+// Seconds; spans quick TTS sentences through long batch transcriptions
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  const text = pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',');
+  return text ? `{${text}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Label values in declaration order; a label that isn't declared is a bug in
+// the caller, so it throws rather than silently creating a new series
+function labelValues(metricName, labelNames, labels = {}) {
+  for (const name of Object.keys(labels)) {
+    if (!labelNames.includes(name)) {
+      throw new Error(`Unknown label ${name} for metric ${metricName}`);
+    }
+  }
+  return labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(metric) {
+    if (metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.set(metric.name, metric);
+  }
+
+  // A value that only goes up: inc(labels, amount = 1)
+  function counter({ name, help, labelNames = [] }) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(({ values, value }) =>
+        `${name}${formatLabels(labelNames.map((label, i) => [label, values[i]]))} ${formatValue(value)}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const values = labelValues(name, labelNames, labels);
+        const key = values.join('\u0000');
+        const entry = series.get(key) || { values, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  // A current value, read from collect() at scrape time. collect returns a
+  // number, or [{ labels, value }] for a labelled gauge.
+  function gauge({ name, help, labelNames = [], collect }) {
+    register({
+      name,
+      help,
+      type: 'gauge',
+      lines: () => {
+        const result = collect();
+        const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return samples.map(({ labels, value }) => {
+          const values = labelValues(name, labelNames, labels);
+          return `${name}${formatLabels(labelNames.map((label, i) => [label, values[i]]))} ${formatValue(value)}`;
+        });
+      }
+    });
+  }
+
+  // Observations counted into cumulative buckets: observe(labels, value)
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => {
+        const lines = [];
+        for (const { values, counts, sum, count } of series.values()) {
+          const pairs = labelNames.map((label, i) => [label, values[i]]);
+          let cumulative = 0;
+          bounds.forEach((bound, i) => {
+            cumulative += counts[i];
+            lines.push(`${name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${cumulative}`);
+          });
+          lines.push(`${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`);
+          lines.push(`${name}_sum${formatLabels(pairs)} ${formatValue(sum)}`);
+          lines.push(`${name}_count${formatLabels(pairs)} ${count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels, value) {
+        const values = labelValues(name, labelNames, labels);
+        const key = values.join('\u0000');
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        // Per-bucket counts; render() accumulates them
+        const index = bounds.findIndex(bound => value <= bound);
+        if (index !== -1) {
+          entry.counts[index]++;
+        }
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  // The text exposition format (version 0.0.4)
+  function render() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// The voice pipeline's metrics. Gauges read live state at scrape time through
+// the given callbacks: websocketConnections() and sessions() return counts,
+// jobs() returns the job queue's stats().
+function createVoiceAgentMetrics({ websocketConnections, sessions, jobs }) {
+  const registry = createMetricsRegistry();
+
+  return {
+    registry,
+    // stage: upload, stt, llm, tts (per provider call) or turn (whole turn)
+    stageDuration: registry.histogram({
+      name: 'voice_agent_stage_duration_seconds',
+      help: 'Latency of each pipeline stage in seconds',
+      labelNames: ['stage']
+    }),
+    providerErrors: registry.counter({
+      name: 'voice_agent_provider_errors_total',
+      help: 'Failed provider calls by stage, provider and error type',
+      labelNames: ['stage', 'provider', 'type']
+    }),
+    // stage: transcription, response or speech, as in a turn's fallbacks
+    fallbacks: registry.counter({
+      name: 'voice_agent_fallbacks_total',
+      help: 'Turns that served a canned result instead of a provider result, by stage',
+      labelNames: ['stage']
+    }),
+    turns: registry.counter({
+      name: 'voice_agent_turns_total',
+      help: 'Conversational turns by outcome (completed, interrupted, failed)',
+      labelNames: ['outcome']
+    }),
+    streamedBytes: registry.counter({
+      name: 'voice_agent_streamed_bytes_total',
+      help: 'Bytes streamed to and from clients, by transport and direction',
+      labelNames: ['transport', 'direction']
+    }),
+    sessionsCreated: registry.counter({
+      name: 'voice_agent_sessions_created_total',
+      help: 'Sessions created over HTTP or WebSocket'
+    }),
+    websocketConnections: registry.gauge({
+      name: 'voice_agent_websocket_connections',
+      help: 'Open WebSocket connections',
+      collect: websocketConnections
+    }),
+    sessions: registry.gauge({
+      name: 'voice_agent_sessions',
+      help: 'Live (unexpired) sessions in the history store',
+      collect: sessions
+    }),
+    jobs: registry.gauge({
+      name: 'voice_agent_jobs',
+      help: 'Async jobs by state',
+      labelNames: ['state'],
+      collect: () => {
+        const stats = jobs();
+        return [
+          { labels: { state: 'queued' }, value: stats.queued },
+          { labels: { state: 'running' }, value: stats.running }
+        ];
+      }
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createVoiceAgentMetrics
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { VoiceAgentError } = require('./errors');
+const { languageName } = require('./i18n');
+const { logger } = require('./logger');
+
+const PERSONA_NAME = /^[a-zA-Z0-9_-]+$/;
+
+// Fill {{name}} placeholders. {{#name}}...{{/name}} keeps its body only when
+// name has a value, and {{^name}}...{{/name}} only when it does not.
+function renderTemplate(template, variables) {
+  const has = (name) => variables[name] !== undefined && variables[name] !== null && variables[name] !== '';
+
+  return template
+    .replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (match, kind, name, body) => {
+      return (kind === '#') === has(name) ? body : '';
+    })
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (has(name) ? String(variables[name]) : ''))
+    .trim();
+}
+
+function formatDateParts(now, locale) {
+  try {
+    return {
+      date: now.toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      time: now.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' })
+    };
+  } catch (error) {
+    // Unsupported locale tags fall back to English formatting
+    return formatDateParts(now, 'en');
+  }
+}
+
+// Persona prompt templates live in PROMPTS_DIR as <persona>.txt. Files are
+// read on every turn so prompt edits apply without a restart.
+function createPromptLibrary({ directory, defaultPersona = 'default' }) {
+  function templatePath(persona) {
+    return path.join(directory, `${persona}.txt`);
+  }
+
+  function hasPersona(persona) {
+    return typeof persona === 'string' && PERSONA_NAME.test(persona) && fs.existsSync(templatePath(persona));
+  }
+
+  function listPersonas() {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.txt'))
+      .map(file => file.slice(0, -4))
+      .sort();
+  }
+
+  function loadTemplate(persona) {
+    if (!hasPersona(persona)) {
+      throw new VoiceAgentError(`Unknown persona: ${persona}`, 'CONFIG_ERROR', 500);
+    }
+    return fs.readFileSync(templatePath(persona), 'utf8');
+  }
+
+  // Build a session's system instruction from its own systemPrompt or its
+  // persona template. Session attributes are available as variables alongside
+  // date, time, locale, language, persona and userId. The instruction always
+  // ends by asking for replies in the session's language.
+  function buildSystemPrompt(metadata = {}, now = new Date()) {
+    let persona = metadata.persona || defaultPersona;
+    if (!metadata.systemPrompt && !hasPersona(persona)) {
+      logger.warn('Persona template not found, using the default', { persona, defaultPersona });
+      persona = defaultPersona;
+    }
+
+    const locale = metadata.locale || 'en';
+    const language = languageName(locale);
+    const variables = {
+      ...(metadata.attributes || {}),
+      ...formatDateParts(now, locale),
+      locale: locale,
+      language: language,
+      persona: persona,
+      userId: metadata.userId || null
+    };
+
+    const template = metadata.systemPrompt || loadTemplate(persona);
+    return `${renderTemplate(template, variables)}\nAlways reply in ${language}.`;
+  }
+
+  return {
+    hasPersona,
+    listPersonas,
+    buildSystemPrompt
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  formatDateParts,
+  createPromptLibrary
+};
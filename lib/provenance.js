@@ -0,0 +1,144 @@
+const { VoiceAgentError } = require('./errors');
+
+// Per-turn record of how each stage was served: how long it took, which
+// provider (and model or voice) ran it, and whether a canned result was
+// substituted and why. It is stored with the turn's history entries, returned
+// with the turn result and summarized in the Server-Timing header.
+//
+//   {
+//     turnId: 'turn_...',
+//     durationsMs: { transcription: 412, response: 805, speech: 630, total: 1870 },
+//     stages: {
+//       transcription: { provider: 'assemblyai', durationMs: 412, fallback: null },
+//       response: { provider: 'gemini', model: 'gemini-1.5-flash', durationMs: 805,
+//                   fallback: { reason: 'API_ERROR', servedBy: 'intents' } },
+//       speech: { provider: 'murf', voice: 'en-US-natalie', durationMs: 630, fallback: null }
+//     }
+//   }
+//
+// A stage that runs several times in a turn (speech per sentence) accumulates
+// its duration. A streamed response retried without streaming is one run.
+
+const STAGES = ['transcription', 'response', 'speech'];
+
+// Server-Timing metric names per stage
+const TIMING_NAMES = { transcription: 'stt', response: 'llm', speech: 'tts' };
+
+function createTurnTrace({ turnId = null, now = Date.now } = {}) {
+  const startedAt = now();
+  const stages = {};
+  // Which stages served a canned result: the turn result's `fallbacks`
+  const fallbacks = { transcription: false, response: false, speech: false };
+
+  function stageFor(stage, provider, { locale } = {}) {
+    if (!stages[stage]) {
+      stages[stage] = { provider: null, durationMs: 0, fallback: null };
+    }
+    if (provider) {
+      stages[stage].provider = provider.name;
+      if (provider.model !== undefined) {
+        stages[stage].model = provider.model;
+      }
+      if (typeof provider.voiceFor === 'function') {
+        stages[stage].voice = provider.voiceFor(locale);
+      }
+    }
+    return stages[stage];
+  }
+
+  // Start timing a stage run by provider; call the returned finish() when done
+  function start(stage, provider, details) {
+    const entry = stageFor(stage, provider, details);
+    const stageStartedAt = now();
+    let finished = false;
+    return function finish() {
+      if (!finished) {
+        finished = true;
+        entry.durationMs += now() - stageStartedAt;
+      }
+    };
+  }
+
+  // Time fn() as a stage run by provider, whether it succeeds or not
+  async function time(stage, provider, fn, details) {
+    const finish = start(stage, provider, details);
+    try {
+      return await fn();
+    } finally {
+      finish();
+    }
+  }
+
+  // Record that a canned result replaced the stage's output because of error.
+  // servedBy names what produced it instead (intents, wav, canned).
+  function fallback(stage, error, servedBy) {
+    fallbacks[stage] = true;
+    stageFor(stage).fallback = {
+      reason: error instanceof VoiceAgentError ? error.type : 'INTERNAL_ERROR',
+      servedBy: servedBy
+    };
+  }
+
+  function elapsedMs() {
+    return now() - startedAt;
+  }
+
+  // A snapshot of the turn so far
+  function toJSON() {
+    const durationsMs = {};
+    const snapshot = {};
+    for (const stage of STAGES) {
+      if (stages[stage]) {
+        durationsMs[stage] = stages[stage].durationMs;
+        const { provider, model, voice, durationMs, fallback: stageFallback } = stages[stage];
+        snapshot[stage] = { provider, model, voice, durationMs, fallback: stageFallback };
+      }
+    }
+    durationsMs.total = elapsedMs();
+    return { turnId, durationsMs, stages: snapshot };
+  }
+
+  // Server-Timing header value:
+  //   stt;dur=412;desc="assemblyai", llm;dur=805;desc="gemini gemini-1.5-flash fallback=API_ERROR", total;dur=1870
+  function serverTiming() {
+    const entries = [];
+    for (const stage of STAGES) {
+      const entry = stages[stage];
+      if (!entry) {
+        continue;
+      }
+      const desc = [entry.provider, entry.model || entry.voice, entry.fallback && `fallback=${entry.fallback.reason}`]
+        .filter(Boolean)
+        .join(' ')
+        .replace(/["\\]/g, '');
+      entries.push(`${TIMING_NAMES[stage]};dur=${entry.durationMs}${desc ? `;desc="${desc}"` : ''}`);
+    }
+    entries.push(`total;dur=${elapsedMs()}`);
+    return entries.join(', ');
+  }
+
+  // "response=API_ERROR, speech=CONFIG_ERROR" for the stages that fell back
+  function fallbackSummary() {
+    return STAGES
+      .filter(stage => stages[stage] && stages[stage].fallback)
+      .map(stage => `${stage}=${stages[stage].fallback.reason}`)
+      .join(', ');
+  }
+
+  return {
+    turnId,
+    startedAt,
+    fallbacks,
+    start,
+    time,
+    fallback,
+    elapsedMs,
+    toJSON,
+    serverTiming,
+    fallbackSummary
+  };
+}
+
+module.exports = {
+  createTurnTrace
+};
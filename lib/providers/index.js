@@ -0,0 +1,155 @@
+const { VoiceAgentError, isAbortError } = require('../errors');
+const { createCircuitBreaker } = require('../resilience');
+
+// Provider registry: each pipeline stage (stt, llm, tts) maps adapter names to
+// factory functions. A factory receives the config object and returns an
+// adapter exposing `name`, `validateConfig()` and the stage method
+// (`transcribe`, `generate` or `synthesize`).
+const registry = {
+  stt: new Map(),
+  llm: new Map(),
+  tts: new Map()
+};
+
+function registerProvider(stage, name, factory) {
+  if (!registry[stage]) {
+    throw new Error(`Unknown pipeline stage: ${stage}`);
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for ${stage}/${name} must be a function`);
+  }
+  registry[stage].set(name, factory);
+}
+
+function createProvider(stage, name, config) {
+  const factory = registry[stage] && registry[stage].get(name);
+  if (!factory) {
+    throw new VoiceAgentError(`Unknown ${stage} provider: ${name}`, 'CONFIG_ERROR', 500);
+  }
+  return factory(config);
+}
+
+// Route an adapter's stage methods through a circuit breaker, exposed as
+// adapter.circuit. A stream counts as one call, settled when it ends.
+function withCircuitBreaker(provider, breaker) {
+  const guarded = { ...provider, circuit: breaker };
+  for (const method of ['transcribe', 'generate', 'generateWithTools', 'synthesize']) {
+    if (typeof provider[method] === 'function') {
+      guarded[method] = (...args) => breaker.execute(() => provider[method](...args));
+    }
+  }
+  for (const method of ['generateStream', 'generateStreamWithTools']) {
+    if (typeof provider[method] === 'function') {
+      guarded[method] = async function* (...args) {
+        const finish = breaker.acquire();
+        try {
+          yield* provider[method](...args);
+        } catch (error) {
+          finish(error);
+          throw error;
+        } finally {
+          finish();
+        }
+      };
+    }
+  }
+  return guarded;
+}
+
+// Record each stage call's latency in metrics.stageDuration and its failures,
+// by error type, in metrics.providerErrors. Aborted calls are not recorded;
+// calls refused by an open circuit count as errors but not as latency.
+function withMetrics(provider, stage, metrics) {
+  const instrumented = { ...provider };
+  const record = (startedAt, error) => {
+    if (error && isAbortError(error)) {
+      return;
+    }
+    if (!error || error.type !== 'CIRCUIT_OPEN') {
+      metrics.stageDuration.observe({ stage }, (Date.now() - startedAt) / 1000);
+    }
+    if (error) {
+      const type = error instanceof VoiceAgentError ? error.type : 'INTERNAL_ERROR';
+      metrics.providerErrors.inc({ stage, provider: provider.name, type });
+    }
+  };
+
+  for (const method of ['transcribe', 'generate', 'generateWithTools', 'synthesize']) {
+    if (typeof provider[method] === 'function') {
+      instrumented[method] = async (...args) => {
+        const startedAt = Date.now();
+        try {
+          const result = await provider[method](...args);
+          record(startedAt);
+          return result;
+        } catch (error) {
+          record(startedAt, error);
+          throw error;
+        }
+      };
+    }
+  }
+  for (const method of ['generateStream', 'generateStreamWithTools']) {
+    if (typeof provider[method] === 'function') {
+      instrumented[method] = async function* (...args) {
+        const startedAt = Date.now();
+        try {
+          yield* provider[method](...args);
+          record(startedAt);
+        } catch (error) {
+          record(startedAt, error);
+          throw error;
+        }
+      };
+    }
+  }
+  return instrumented;
+}
+
+// Build the adapter set selected by config (STT_PROVIDER, LLM_PROVIDER,
+// TTS_PROVIDER), each behind its own circuit breaker (BREAKER_* settings) and,
+// given metrics (see lib/metrics.js), timed and counted
+function createProviders(config, { metrics } = {}) {
+  const guard = (stage, name) => {
+    const provider = withCircuitBreaker(createProvider(stage, name, config), createCircuitBreaker({
+      name: `${stage} provider ${name}`,
+      failureRateThreshold: config.BREAKER_FAILURE_RATE,
+      minimumRequests: config.BREAKER_MIN_REQUESTS,
+      windowMs: config.BREAKER_WINDOW_MS,
+      resetTimeoutMs: config.BREAKER_RESET_MS
+    }));
+    return metrics ? withMetrics(provider, stage, metrics) : provider;
+  };
+
+  return {
+    stt: guard('stt', config.STT_PROVIDER || 'assemblyai'),
+    llm: guard('llm', config.LLM_PROVIDER || 'gemini'),
+    tts: guard('tts', config.TTS_PROVIDER || 'murf')
+  };
+}
+
+function listProviders() {
+  return {
+    stt: [...registry.stt.keys()],
+    llm: [...registry.llm.keys()],
+    tts: [...registry.tts.keys()]
+  };
+}
+
+// Built-in adapters
+registerProvider('stt', 'assemblyai', require('./stt/assemblyai'));
+registerProvider('stt', 'mock', require('./stt/mock'));
+registerProvider('llm', 'gemini', require('./llm/gemini'));
+registerProvider('llm', 'openai', require('./llm/openai'));
+registerProvider('llm', 'mock', require('./llm/mock'));
+registerProvider('tts', 'murf', require('./tts/murf'));
+registerProvider('tts', 'wav', require('./tts/wav'));
+registerProvider('tts', 'text', require('./tts/text'));
+registerProvider('tts', 'mock', require('./tts/mock'));
+
+module.exports = {
+  registerProvider,
+  createProvider,
+  createProviders,
+  listProviders
+};
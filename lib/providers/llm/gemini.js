@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { VoiceAgentError, mapUpstreamError } = require('../../errors');
+const { createRetryPolicy } = require('../../resilience');
+const { parseSSE } = require('../sse');
+const { logger } = require('../../logger');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const log = logger.child({ provider: 'gemini' });
+
+// Gemini parts for one stored message. Tool calls and their results are only
+// included for tool-enabled requests, and a result whose call was trimmed out
+// of the history is dropped.
+function messageParts(msg, includeTools, calledIds) {
+  if (!msg) {
+    return [];
+  }
+  if (msg.role === 'tool') {
+    if (!includeTools || !calledIds.has(msg.toolCallId)) {
+      return [];
+    }
+    return [{ functionResponse: { name: msg.name, response: toResponseObject(msg.content) } }];
+  }
+  if (msg.role !== 'user' && msg.role !== 'assistant') {
+    return [];
+  }
+
+  const parts = msg.content ? [{ text: msg.content }] : [];
+  if (includeTools && msg.role === 'assistant' && Array.isArray(msg.toolCalls)) {
+    msg.toolCalls.forEach((call) => {
+      calledIds.add(call.id);
+      parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+    });
+  }
+  return parts;
+}
+
+// functionResponse.response must be an object
+function toResponseObject(content) {
+  try {
+    const value = JSON.parse(content);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+  } catch (error) {
+    return { result: content };
+  }
+}
+
+// Convert chat messages into Gemini `contents`. Gemini names the assistant
+// role "model", expects the conversation to start with a user turn and to
+// alternate roles, so consecutive same-role messages merge. Tool results are
+// sent as user turns.
+function toGeminiContents(messages, { includeTools = false } = {}) {
+  const contents = [];
+  const calledIds = new Set();
+
+  for (const msg of messages) {
+    const parts = messageParts(msg, includeTools, calledIds);
+    if (parts.length === 0) {
+      continue;
+    }
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    if (contents.length === 0 && role !== 'user') {
+      continue;
+    }
+
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role: role, parts: parts });
+    }
+  }
+
+  return contents;
+}
+
+// Gemini rejects object schemas without properties, so such tools omit parameters
+function toFunctionDeclaration({ name, description, parameters }) {
+  const declaration = { name, description };
+  if (parameters && parameters.properties && Object.keys(parameters.properties).length > 0) {
+    declaration.parameters = parameters;
+  }
+  return declaration;
+}
+
+// Google Gemini adapter using the non-streaming generateContent endpoint
+function createGeminiProvider(config) {
+  const apiKey = config.GEMINI_API_KEY;
+  const baseUrl = config.GEMINI_BASE_URL || GEMINI_BASE_URL;
+  const model = config.GEMINI_MODEL || 'gemini-1.5-flash';
+  const retry = createRetryPolicy(config, 'Gemini API');
+  const timeoutMs = config.LLM_TIMEOUT_MS || 10000;
+
+  function validateConfig() {
+    if (!apiKey || apiKey.trim() === '') {
+      return ['GEMINI_API_KEY is not configured'];
+    }
+    return [];
+  }
+
+  function buildRequestBody(transcript, conversationHistory, systemPrompt) {
+    const body = {
+      contents: toGeminiContents([...conversationHistory, { role: 'user', content: transcript }])
+    };
+    if (systemPrompt) {
+      body.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+    return body;
+  }
+
+  async function generate(transcript, conversationHistory = [], { systemPrompt, signal } = {}) {
+    try {
+      // Validate API key
+      if (validateConfig().length > 0) {
+        throw new VoiceAgentError('Gemini API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      const response = await retry(() => axios.post(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, buildRequestBody(transcript, conversationHistory, systemPrompt), {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      if (!response.data || !response.data.candidates || !response.data.candidates[0] || !response.data.candidates[0].content) {
+        throw new VoiceAgentError('Invalid response from Gemini API', 'API_ERROR', 500);
+      }
+
+      const geminiResponse = response.data.candidates[0].content.parts.map(part => part.text || '').join('');
+      log.debug('Gemini response', { response: geminiResponse });
+      return geminiResponse;
+    } catch (error) {
+      log.error('Gemini API error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, { service: 'Gemini API' }) || error;
+    }
+  }
+
+  // Stream the reply through streamGenerateContent (SSE), yielding text deltas
+  async function* generateStream(transcript, conversationHistory = [], { systemPrompt, signal } = {}) {
+    let response;
+    try {
+      if (validateConfig().length > 0) {
+        throw new VoiceAgentError('Gemini API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      response = await retry(() => axios.post(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, buildRequestBody(transcript, conversationHistory, systemPrompt), {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        timeout: timeoutMs,
+        signal
+      }), signal);
+    } catch (error) {
+      log.error('Gemini streaming API error', { status: error.response?.status, error });
+
+      throw mapUpstreamError(error, { service: 'Gemini API' }) || error;
+    }
+
+    for await (const data of parseSSE(response.data)) {
+      const event = JSON.parse(data);
+      const parts = event.candidates?.[0]?.content?.parts || [];
+      const text = parts.map(part => part.text || '').join('');
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  function buildToolRequestBody(messages, systemPrompt, tools) {
+    const body = { contents: toGeminiContents(messages, { includeTools: true }) };
+    if (systemPrompt) {
+      body.systemInstruction = { parts: [{ text: systemPrompt }] };
+    }
+    if (tools.length > 0) {
+      body.tools = [{ functionDeclarations: tools.map(toFunctionDeclaration) }];
+    }
+    return body;
+  }
+
+  // Gemini does not number its calls, so give each one an ID to pair it with its result
+  function toToolCall(functionCall) {
+    return {
+      id: `call_${crypto.randomUUID()}`,
+      name: functionCall.name,
+      arguments: functionCall.args || {}
+    };
+  }
+
+  // One function-calling round over the full message list (history, the
+  // user turn and any tool exchanges so far). Returns the reply text and the
+  // tool calls the model asked for, if any.
+  async function generateWithTools(messages, { systemPrompt, tools = [], signal } = {}) {
+    try {
+      if (validateConfig().length > 0) {
+        throw new VoiceAgentError('Gemini API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      const response = await retry(() => axios.post(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, buildToolRequestBody(messages, systemPrompt, tools), {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      const parts = response.data?.candidates?.[0]?.content?.parts;
+      if (!Array.isArray(parts)) {
+        throw new VoiceAgentError('Invalid response from Gemini API', 'API_ERROR', 500);
+      }
+
+      return {
+        text: parts.map(part => part.text || '').join(''),
+        toolCalls: parts.filter(part => part.functionCall).map(part => toToolCall(part.functionCall))
+      };
+    } catch (error) {
+      log.error('Gemini API error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, { service: 'Gemini API' }) || error;
+    }
+  }
+
+  // generateWithTools over streamGenerateContent: yields { text } deltas as
+  // they arrive and { toolCall } for each call the model asks for
+  async function* generateStreamWithTools(messages, { systemPrompt, tools = [], signal } = {}) {
+    let response;
+    try {
+      if (validateConfig().length > 0) {
+        throw new VoiceAgentError('Gemini API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      response = await retry(() => axios.post(`${baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, buildToolRequestBody(messages, systemPrompt, tools), {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        timeout: timeoutMs,
+        signal
+      }), signal);
+    } catch (error) {
+      log.error('Gemini streaming API error', { status: error.response?.status, error });
+
+      throw mapUpstreamError(error, { service: 'Gemini API' }) || error;
+    }
+
+    for await (const data of parseSSE(response.data)) {
+      for (const part of JSON.parse(data).candidates?.[0]?.content?.parts || []) {
+        if (part.functionCall) {
+          yield { toolCall: toToolCall(part.functionCall) };
+        } else if (part.text) {
+          yield { text: part.text };
+        }
+      }
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    validateConfig,
+    generate,
+    generateStream,
+    generateWithTools,
+    generateStreamWithTools
+  };
+}
+
+module.exports = createGeminiProvider;
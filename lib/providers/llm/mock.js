@@ -0,0 +1,94 @@
+const { createAbortError, throwIfAborted } = require('../../errors');
+
+// Deterministic LLM adapter for offline runs and CI.
+// The reply echoes the transcript so tests can assert on it. MOCK_LATENCY_MS
+// simulates a slow model (per reply, or per word when streaming) so
+// cancellation can be exercised offline.
+function createMockLLMProvider(config = {}) {
+  const latencyMs = config.MOCK_LATENCY_MS || 0;
+
+  function reply(transcript, conversationHistory) {
+    return `Mock reply to "${transcript}" (history: ${conversationHistory.length} messages)`;
+  }
+
+  function wait(signal) {
+    if (latencyMs <= 0) {
+      throwIfAborted(signal);
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      throwIfAborted(signal);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError('Mock LLM request aborted'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, latencyMs);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Calls a tool when the user message names it, passing a trailing JSON
+  // object as arguments ("lookup_order {"orderId": "42"}"), then answers
+  // with the tool's result
+  async function generateWithTools(messages, { tools = [], signal } = {}) {
+    await wait(signal);
+    const last = messages[messages.length - 1];
+    const userIndex = messages.map(msg => msg.role).lastIndexOf('user');
+    const transcript = userIndex >= 0 ? messages[userIndex].content : '';
+
+    if (last && last.role === 'tool') {
+      return { text: `Mock reply to "${transcript}" (tool ${last.name}: ${last.content})`, toolCalls: [] };
+    }
+
+    const tool = tools.find(candidate => transcript.includes(candidate.name));
+    if (tool && last && last.role === 'user') {
+      const json = transcript.match(/\{.*\}\s*$/);
+      let args = {};
+      try {
+        args = json ? JSON.parse(json[0]) : {};
+      } catch (error) {
+        // Leave malformed arguments empty
+      }
+      return { text: '', toolCalls: [{ id: `call_mock_${messages.length}`, name: tool.name, arguments: args }] };
+    }
+
+    return { text: reply(transcript, messages.slice(0, userIndex)), toolCalls: [] };
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    validateConfig: () => [],
+    async generate(transcript, conversationHistory = [], { signal } = {}) {
+      await wait(signal);
+      return reply(transcript, conversationHistory);
+    },
+    // Streams the same reply word by word
+    async* generateStream(transcript, conversationHistory = [], { signal } = {}) {
+      for (const word of reply(transcript, conversationHistory).split(/(?<= )/)) {
+        await wait(signal);
+        yield word;
+      }
+    },
+    generateWithTools,
+    // The same round as generateWithTools: its tool calls, then its text word by word
+    async* generateStreamWithTools(messages, options = {}) {
+      const { text, toolCalls } = await generateWithTools(messages, options);
+      for (const toolCall of toolCalls) {
+        yield { toolCall };
+      }
+      for (const word of text.split(/(?<= )/).filter(Boolean)) {
+        yield { text: word };
+      }
+    }
+  };
+}
+
+module.exports = createMockLLMProvider;
@@ -0,0 +1,241 @@
+const axios = require('axios');
+const { VoiceAgentError, mapUpstreamError } = require('../../errors');
+const { createRetryPolicy } = require('../../resilience');
+const { parseSSE } = require('../sse');
+const { logger } = require('../../logger');
+
+const log = logger.child({ provider: 'openai' });
+
+// Tool call arguments arrive as a JSON string; malformed JSON becomes {}
+// (left to the tool's schema check) rather than failing the whole turn
+function parseArguments(text) {
+  try {
+    const value = JSON.parse(text || '{}');
+    return value && typeof value === 'object' ? value : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Adapter for any OpenAI-compatible /chat/completions endpoint
+// (OpenAI itself, or a local server such as llama.cpp, vLLM or Ollama)
+function createOpenAIProvider(config) {
+  const apiKey = config.OPENAI_API_KEY;
+  const baseUrl = (config.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const model = config.OPENAI_MODEL || 'gpt-4o-mini';
+  const retry = createRetryPolicy(config, 'OpenAI-compatible API');
+  const timeoutMs = config.LLM_TIMEOUT_MS || 10000;
+
+  function validateConfig() {
+    // Local model servers usually run without a key, so only the URL is required
+    if (!baseUrl) {
+      return ['OPENAI_BASE_URL is not configured'];
+    }
+    return [];
+  }
+
+  function buildMessages(transcript, conversationHistory, systemPrompt) {
+    const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    conversationHistory.forEach((msg) => {
+      if (msg && (msg.role === 'user' || msg.role === 'assistant') && msg.content) {
+        messages.push({ role: msg.role, content: msg.content });
+      }
+    });
+    messages.push({ role: 'user', content: transcript });
+    return messages;
+  }
+
+  // Tool-enabled variant of buildMessages over the full message list. Tool
+  // results whose call was trimmed out of the history are dropped, since the
+  // API rejects a tool message without its preceding call.
+  function buildToolMessages(history, systemPrompt) {
+    const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    const calledIds = new Set();
+    history.forEach((msg) => {
+      if (!msg) {
+        return;
+      }
+      if (msg.role === 'tool') {
+        if (calledIds.has(msg.toolCallId)) {
+          messages.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+        }
+      } else if (msg.role === 'assistant' && Array.isArray(msg.toolCalls) && msg.toolCalls.length > 0) {
+        msg.toolCalls.forEach(call => calledIds.add(call.id));
+        messages.push({
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        });
+      } else if ((msg.role === 'user' || msg.role === 'assistant') && msg.content) {
+        messages.push({ role: msg.role, content: msg.content });
+      }
+    });
+    return messages;
+  }
+
+  function buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  async function generate(transcript, conversationHistory = [], { systemPrompt, signal } = {}) {
+    try {
+      const response = await retry(() => axios.post(`${baseUrl}/chat/completions`, {
+        model: model,
+        messages: buildMessages(transcript, conversationHistory, systemPrompt)
+      }, {
+        headers: buildHeaders(),
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      const choice = response.data?.choices?.[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw new VoiceAgentError('Invalid response from OpenAI-compatible API', 'API_ERROR', 500);
+      }
+
+      log.debug('OpenAI-compatible response', { response: choice.message.content });
+      return choice.message.content;
+    } catch (error) {
+      log.error('OpenAI-compatible API error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, { service: 'OpenAI-compatible API' }) || error;
+    }
+  }
+
+  // Stream the reply with `stream: true` (SSE), yielding text deltas
+  async function* generateStream(transcript, conversationHistory = [], { systemPrompt, signal } = {}) {
+    let response;
+    try {
+      response = await retry(() => axios.post(`${baseUrl}/chat/completions`, {
+        model: model,
+        messages: buildMessages(transcript, conversationHistory, systemPrompt),
+        stream: true
+      }, {
+        headers: buildHeaders(),
+        responseType: 'stream',
+        timeout: timeoutMs,
+        signal
+      }), signal);
+    } catch (error) {
+      log.error('OpenAI-compatible streaming API error', { status: error.response?.status, error });
+
+      throw mapUpstreamError(error, { service: 'OpenAI-compatible API' }) || error;
+    }
+
+    for await (const data of parseSSE(response.data)) {
+      if (data === '[DONE]') {
+        break;
+      }
+      const text = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  function buildToolRequestBody(messages, systemPrompt, tools) {
+    const body = {
+      model: model,
+      messages: buildToolMessages(messages, systemPrompt)
+    };
+    if (tools.length > 0) {
+      body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+    }
+    return body;
+  }
+
+  // One function-calling round over the full message list (history, the
+  // user turn and any tool exchanges so far)
+  async function generateWithTools(messages, { systemPrompt, tools = [], signal } = {}) {
+    try {
+      const response = await retry(() => axios.post(`${baseUrl}/chat/completions`, buildToolRequestBody(messages, systemPrompt, tools), {
+        headers: buildHeaders(),
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      const message = response.data?.choices?.[0]?.message;
+      if (!message) {
+        throw new VoiceAgentError('Invalid response from OpenAI-compatible API', 'API_ERROR', 500);
+      }
+
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseArguments(call.function.arguments)
+        }))
+      };
+    } catch (error) {
+      log.error('OpenAI-compatible API error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, { service: 'OpenAI-compatible API' }) || error;
+    }
+  }
+
+  // generateWithTools with `stream: true`: yields { text } deltas as they
+  // arrive and, once the stream ends, { toolCall } for each call the model
+  // asked for. Calls arrive in fragments keyed by index: the ID and name
+  // first, then pieces of the arguments JSON.
+  async function* generateStreamWithTools(messages, { systemPrompt, tools = [], signal } = {}) {
+    let response;
+    try {
+      response = await retry(() => axios.post(`${baseUrl}/chat/completions`, {
+        ...buildToolRequestBody(messages, systemPrompt, tools),
+        stream: true
+      }, {
+        headers: buildHeaders(),
+        responseType: 'stream',
+        timeout: timeoutMs,
+        signal
+      }), signal);
+    } catch (error) {
+      log.error('OpenAI-compatible streaming API error', { status: error.response?.status, error });
+
+      throw mapUpstreamError(error, { service: 'OpenAI-compatible API' }) || error;
+    }
+
+    const calls = [];
+    for await (const data of parseSSE(response.data)) {
+      if (data === '[DONE]') {
+        break;
+      }
+      const delta = JSON.parse(data).choices?.[0]?.delta || {};
+      if (delta.content) {
+        yield { text: delta.content };
+      }
+      for (const fragment of delta.tool_calls || []) {
+        const index = fragment.index || 0;
+        const call = calls[index] || (calls[index] = { id: '', name: '', arguments: '' });
+        call.id = fragment.id || call.id;
+        call.name += fragment.function?.name || '';
+        call.arguments += fragment.function?.arguments || '';
+      }
+    }
+
+    for (const call of calls.filter(Boolean)) {
+      yield { toolCall: { id: call.id, name: call.name, arguments: parseArguments(call.arguments) } };
+    }
+  }
+
+  return {
+    name: 'openai',
+    model,
+    validateConfig,
+    generate,
+    generateStream,
+    generateWithTools,
+    generateStreamWithTools
+  };
+}
+
+module.exports = createOpenAIProvider;
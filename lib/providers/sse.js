@@ -0,0 +1,45 @@
+const { StringDecoder } = require('string_decoder');
+
+// Parse a server-sent events byte stream (e.g. an axios `responseType: 'stream'`
+// body) and yield the data payload of each event
+async function* parseSSE(stream) {
+  // Multibyte characters can be split across chunks; the decoder holds the
+  // partial bytes back until the rest arrives
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let dataLines = [];
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        // A blank line terminates the event
+        if (dataLines.length > 0) {
+          yield dataLines.join('\n');
+          dataLines = [];
+        }
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+      // Comments (":") and other fields (event, id, retry) are ignored
+    }
+  }
+
+  // A last line without its newline still counts
+  const last = (buffer + decoder.end()).replace(/\r$/, '');
+  if (last.startsWith('data:')) {
+    dataLines.push(last.slice(5).replace(/^ /, ''));
+  }
+  if (dataLines.length > 0) {
+    yield dataLines.join('\n');
+  }
+}
+
+module.exports = {
+  parseSSE
+};
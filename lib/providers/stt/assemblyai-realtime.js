@@ -0,0 +1,131 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { VoiceAgentError } = require('../../errors');
+
+// Streaming transcription session against the Assembly AI realtime protocol.
+// Audio chunks (16-bit mono PCM) are forwarded as they arrive; the returned
+// emitter fires 'partial' and 'final' with transcript text, and `end()`
+// resolves with all final segments joined once the session terminates.
+// languageCode ("fr", "en_us", ...) selects the language transcribed.
+function createRealtimeTranscriber({ url, apiKey, sampleRate = 16000, languageCode, endTimeout = 10000 }) {
+  const emitter = new EventEmitter();
+  const query = new URLSearchParams({ sample_rate: String(sampleRate) });
+  if (languageCode) {
+    query.set('language_code', languageCode);
+  }
+  const socket = new WebSocket(`${url}?${query}`, {
+    headers: { 'Authorization': apiKey }
+  });
+
+  const finals = [];
+  const pending = [];
+  let failure = null;
+  let closed = false;
+  let terminating = false;
+  let settle = null;
+
+  function fail(error) {
+    if (!failure) {
+      failure = error;
+      if (emitter.listenerCount('error') > 0) {
+        emitter.emit('error', error);
+      }
+    }
+    if (settle) {
+      settle();
+    }
+  }
+
+  function sendAudio(chunk) {
+    socket.send(JSON.stringify({ audio_data: chunk.toString('base64') }));
+  }
+
+  socket.on('open', () => {
+    pending.splice(0).forEach(sendAudio);
+  });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return;
+    }
+
+    if (message.error) {
+      fail(new VoiceAgentError('Realtime transcription failed: ' + message.error, 'API_ERROR', 502));
+    } else if (message.message_type === 'PartialTranscript' && message.text) {
+      emitter.emit('partial', message.text);
+    } else if (message.message_type === 'FinalTranscript' && message.text) {
+      finals.push(message.text);
+      emitter.emit('final', message.text);
+    } else if (message.message_type === 'SessionTerminated') {
+      socket.close();
+    }
+  });
+
+  socket.on('error', (error) => {
+    fail(new VoiceAgentError('Realtime transcription connection failed: ' + error.message, 'API_ERROR', 502));
+  });
+
+  socket.on('close', (code) => {
+    closed = true;
+    if (code === 4001) {
+      fail(new VoiceAgentError('Invalid Assembly AI API key', 'AUTH_ERROR', 401));
+    } else if (!terminating) {
+      fail(new VoiceAgentError('Realtime transcription connection closed unexpectedly', 'API_ERROR', 502));
+    }
+    if (settle) {
+      settle();
+    }
+  });
+
+  emitter.write = (chunk) => {
+    if (failure || closed || terminating) {
+      return;
+    }
+    if (socket.readyState === WebSocket.OPEN) {
+      sendAudio(chunk);
+    } else {
+      pending.push(chunk);
+    }
+  };
+
+  emitter.end = () => new Promise((resolve, reject) => {
+    terminating = true;
+    const timer = setTimeout(() => {
+      socket.terminate();
+      fail(new VoiceAgentError('Realtime transcription timed out', 'TIMEOUT_ERROR', 408));
+    }, endTimeout);
+
+    settle = () => {
+      if (!failure && !closed) {
+        return;
+      }
+      clearTimeout(timer);
+      settle = null;
+      if (failure) {
+        reject(failure);
+      } else {
+        resolve(finals.join(' '));
+      }
+    };
+
+    if (failure || closed) {
+      settle();
+    } else if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ terminate_session: true }));
+    } else {
+      socket.once('open', () => socket.send(JSON.stringify({ terminate_session: true })));
+    }
+  });
+
+  emitter.abort = () => {
+    terminating = true;
+    socket.terminate();
+  };
+
+  return emitter;
+}
+
+module.exports = createRealtimeTranscriber;
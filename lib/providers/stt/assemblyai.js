@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { VoiceAgentError, mapUpstreamError, createAbortError } = require('../../errors');
+const { sleep, createRetryPolicy } = require('../../resilience');
+const createRealtimeTranscriber = require('./assemblyai-realtime');
+const { logger } = require('../../logger');
+
+const ASSEMBLY_BASE_URL = 'https://api.assemblyai.com/v2';
+const ASSEMBLY_REALTIME_URL = 'wss://api.assemblyai.com/v2/realtime/ws';
+const log = logger.child({ provider: 'assemblyai' });
+
+// Assembly AI names most languages by ISO 639-1 code but English variants as
+// en_us, en_uk and en_au
+const ENGLISH_VARIANTS = { US: 'en_us', GB: 'en_uk', UK: 'en_uk', AU: 'en_au' };
+
+function toLanguageCode(locale) {
+  const [language, region] = String(locale || 'en').split('-');
+  if (language.toLowerCase() === 'en' && region && ENGLISH_VARIANTS[region.toUpperCase()]) {
+    return ENGLISH_VARIANTS[region.toUpperCase()];
+  }
+  return language.toLowerCase();
+}
+
+// "en_us" -> "en-US"
+function fromLanguageCode(code) {
+  if (!code) {
+    return null;
+  }
+  const [language, region] = code.split('_');
+  return region ? `${language}-${region === 'uk' ? 'GB' : region.toUpperCase()}` : language;
+}
+
+// Assembly AI speech-to-text adapter: upload, start a transcript, then wait
+// for it to finish. Transcribes in the given locale's language, or lets
+// Assembly AI identify the language when detectLanguage is set.
+//
+// With PUBLIC_URL set, Assembly AI is asked to call PUBLIC_URL/webhooks/stt
+// when the transcript is done (authenticated with STT_WEBHOOK_SECRET), and
+// the transcript is fetched once on that callback instead of being polled
+// every second. Webhooks only reach the instance that started the job.
+function createAssemblyAIProvider(config) {
+  const apiKey = config.ASSEMBLY_API_KEY;
+  const baseUrl = config.ASSEMBLY_BASE_URL || ASSEMBLY_BASE_URL;
+  const realtimeUrl = config.ASSEMBLY_REALTIME_URL || ASSEMBLY_REALTIME_URL;
+  const retry = createRetryPolicy(config, 'Assembly AI');
+  const uploadTimeoutMs = config.STT_UPLOAD_TIMEOUT_MS || 15000;
+  const webhookUrl = config.PUBLIC_URL ? `${config.PUBLIC_URL.replace(/\/+$/, '')}/webhooks/stt` : null;
+  const webhookSecret = config.STT_WEBHOOK_SECRET || crypto.randomBytes(24).toString('hex');
+
+  // Transcripts waiting for their webhook, and callbacks that arrived before
+  // their transcript was being waited on
+  const waiting = new Map();
+  const early = new Set();
+
+  function validateConfig() {
+    if (!apiKey || apiKey.trim() === '') {
+      return ['ASSEMBLY_API_KEY is not configured'];
+    }
+    return [];
+  }
+
+  async function fetchTranscript(transcriptId, signal) {
+    const response = await retry(() => axios.get(`${baseUrl}/transcript/${transcriptId}`, {
+      headers: {
+        'Authorization': apiKey
+      },
+      timeout: 5000,
+      signal
+    }), signal);
+    log.debug('Transcription status', { transcriptId, status: response.data.status });
+    return response.data;
+  }
+
+  // Resolve when the webhook for transcriptId arrives or at the deadline,
+  // whichever is first
+  function waitForWebhook(transcriptId, deadline, signal) {
+    if (early.delete(transcriptId)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        waiting.delete(transcriptId);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        resolve();
+      }, Math.max(0, deadline - Date.now()));
+
+      waiting.set(transcriptId, () => {
+        cleanup();
+        resolve();
+      });
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  // Handle a transcript-finished callback ({ transcript_id, status }).
+  // Returns true when a transcription was waiting for it.
+  function handleWebhook(headers, body) {
+    const given = Buffer.from(String(headers['x-webhook-secret'] || ''));
+    const expected = Buffer.from(webhookSecret);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new VoiceAgentError('Invalid webhook secret', 'AUTH_ERROR', 401);
+    }
+    const transcriptId = body && body.transcript_id;
+    if (typeof transcriptId !== 'string' || transcriptId === '') {
+      throw new VoiceAgentError('transcript_id is required', 'VALIDATION_ERROR', 400);
+    }
+
+    log.info('Assembly AI webhook received', { transcriptId, status: body.status || null });
+    const notify = waiting.get(transcriptId);
+    if (notify) {
+      notify();
+      return true;
+    }
+    early.add(transcriptId);
+    if (early.size > 100) {
+      early.delete(early.values().next().value);
+    }
+    return false;
+  }
+
+  // timeoutMs bounds the wait for the finished transcript (TRANSCRIPTION_TIMEOUT_MS
+  // by default; background jobs allow longer recordings)
+  async function transcribe(audioBuffer, { signal, locale, detectLanguage = false, timeoutMs } = {}) {
+    try {
+      // Validate API key
+      if (validateConfig().length > 0) {
+        throw new VoiceAgentError('Assembly AI API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      log.info('Starting transcription with Assembly AI', { bytes: audioBuffer.length });
+
+      // First, upload the audio to Assembly AI
+      const uploadResponse = await retry(() => axios.post(`${baseUrl}/upload`, audioBuffer, {
+        headers: {
+          'Authorization': apiKey,
+          'Content-Type': 'application/octet-stream'
+        },
+        timeout: uploadTimeoutMs,
+        signal
+      }), signal);
+
+      if (!uploadResponse.data || !uploadResponse.data.upload_url) {
+        throw new VoiceAgentError('Failed to upload audio to Assembly AI', 'API_ERROR', 500);
+      }
+
+      const uploadUrl = uploadResponse.data.upload_url;
+
+      // Start transcription
+      const transcriptResponse = await retry(() => axios.post(`${baseUrl}/transcript`, {
+        audio_url: uploadUrl,
+        ...(detectLanguage ? { language_detection: true } : { language_code: toLanguageCode(locale) }),
+        ...(webhookUrl ? {
+          webhook_url: webhookUrl,
+          webhook_auth_header_name: 'X-Webhook-Secret',
+          webhook_auth_header_value: webhookSecret
+        } : {})
+      }, {
+        headers: {
+          'Authorization': apiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000,
+        signal
+      }), signal);
+
+      if (!transcriptResponse.data || !transcriptResponse.data.id) {
+        throw new VoiceAgentError('Failed to start transcription', 'API_ERROR', 500);
+      }
+
+      const transcriptId = transcriptResponse.data.id;
+      log.info('Transcription started', { transcriptId, webhook: Boolean(webhookUrl) });
+
+      // Wait for the webhook, or poll every second, until the deadline
+      const deadline = Date.now() + (timeoutMs || config.TRANSCRIPTION_TIMEOUT_MS || 30000);
+      let result;
+      if (webhookUrl) {
+        await waitForWebhook(transcriptId, deadline, signal);
+        result = await fetchTranscript(transcriptId, signal);
+      } else {
+        result = await fetchTranscript(transcriptId, signal);
+        while (result.status !== 'completed' && result.status !== 'error' && Date.now() < deadline) {
+          await sleep(1000, signal);
+          result = await fetchTranscript(transcriptId, signal);
+        }
+      }
+
+      if (result.status === 'error') {
+        throw new VoiceAgentError('Transcription failed: ' + (result.error || 'Unknown error'), 'API_ERROR', 500);
+      }
+      if (result.status !== 'completed') {
+        throw new VoiceAgentError('Transcription timeout', 'TIMEOUT_ERROR', 408);
+      }
+      if (!result.text) {
+        throw new VoiceAgentError('No speech detected in the audio', 'VALIDATION_ERROR', 400);
+      }
+
+      const language = fromLanguageCode(result.language_code);
+      log.info('Transcription completed', { transcriptId, language, transcript: result.text });
+      return { text: result.text, language: language };
+    } catch (error) {
+      log.error('Transcription error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, {
+        service: 'Assembly AI',
+        keyName: 'Assembly AI API key',
+        timeoutMessage: 'Transcription request timed out'
+      }) || error;
+    }
+  }
+
+  // Open a realtime session that transcribes PCM chunks as they arrive, in
+  // the given locale's language
+  function createStream({ sampleRate, locale } = {}) {
+    if (validateConfig().length > 0) {
+      throw new VoiceAgentError('Assembly AI API key not configured', 'CONFIG_ERROR', 500);
+    }
+
+    const languageCode = toLanguageCode(locale);
+    log.info('Starting realtime transcription with Assembly AI', { sampleRate, languageCode });
+    return createRealtimeTranscriber({
+      url: realtimeUrl,
+      apiKey: apiKey,
+      sampleRate: sampleRate || config.STT_SAMPLE_RATE,
+      languageCode: languageCode,
+      endTimeout: config.STT_STREAM_END_TIMEOUT_MS
+    });
+  }
+
+  return {
+    name: 'assemblyai',
+    validateConfig,
+    transcribe,
+    handleWebhook,
+    createStream
+  };
+}
+
+module.exports = createAssemblyAIProvider;
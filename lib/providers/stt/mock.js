@@ -0,0 +1,45 @@
+const EventEmitter = require('events');
+
+// Deterministic speech-to-text adapter for offline runs and CI.
+// Always returns MOCK_TRANSCRIPT (or a fixed default) without touching the network.
+// With detectLanguage it reports MOCK_DETECTED_LANGUAGE as the spoken language.
+function createMockSTTProvider(config) {
+  const transcript = config.MOCK_TRANSCRIPT || 'Hello, this is a mock transcription';
+  const detectedLanguage = config.MOCK_DETECTED_LANGUAGE || null;
+
+  // Streaming variant: each audio chunk reveals one more word as a partial
+  // transcript, and ending the stream emits the whole transcript as final.
+  function createStream() {
+    const emitter = new EventEmitter();
+    const words = transcript.split(/\s+/);
+    let chunks = 0;
+
+    emitter.write = () => {
+      chunks++;
+      emitter.emit('partial', words.slice(0, Math.min(chunks, words.length)).join(' '));
+    };
+
+    emitter.end = async () => {
+      emitter.emit('final', transcript);
+      return transcript;
+    };
+
+    emitter.abort = () => {};
+
+    return emitter;
+  }
+
+  return {
+    name: 'mock',
+    validateConfig: () => [],
+    async transcribe(audioBuffer, { locale, detectLanguage = false } = {}) {
+      return {
+        text: transcript,
+        language: (detectLanguage && detectedLanguage) || locale || null
+      };
+    },
+    createStream
+  };
+}
+
+module.exports = createMockSTTProvider;
@@ -0,0 +1,12 @@
+// Deterministic speech adapter for offline runs and CI
+function createMockTTSProvider() {
+  return {
+    name: 'mock',
+    validateConfig: () => [],
+    async synthesize(text) {
+      return Buffer.from('MOCK_AUDIO:' + text);
+    }
+  };
+}
+
+module.exports = createMockTTSProvider;
@@ -0,0 +1,102 @@
+const axios = require('axios');
+const { VoiceAgentError, mapUpstreamError } = require('../../errors');
+const { createRetryPolicy } = require('../../resilience');
+const { logger } = require('../../logger');
+
+const MURF_BASE_URL = 'https://api.murf.ai/v1';
+const log = logger.child({ provider: 'murf' });
+
+// MURF_VOICES is a JSON object of locale or language -> voice ID. Returns
+// null when it cannot be parsed.
+function parseVoices(value) {
+  if (!value) {
+    return {};
+  }
+  try {
+    const voices = typeof value === 'string' ? JSON.parse(value) : value;
+    return voices && typeof voices === 'object' && !Array.isArray(voices) ? voices : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Murf text-to-speech adapter. The voice follows the session locale through
+// MURF_VOICES (exact tag, then language), defaulting to MURF_VOICE_ID.
+function createMurfProvider(config) {
+  const apiKey = config.MURF_API_KEY;
+  const baseUrl = config.MURF_BASE_URL || MURF_BASE_URL;
+  const voiceId = config.MURF_VOICE_ID || 'en-US-natalie';
+  const format = config.MURF_FORMAT || 'MP3';
+  const retry = createRetryPolicy(config, 'Murf API');
+  const timeoutMs = config.TTS_TIMEOUT_MS || 15000;
+  const voices = parseVoices(config.MURF_VOICES);
+  const voicesByLocale = new Map(Object.entries(voices || {}).map(([locale, voice]) => [locale.toLowerCase(), voice]));
+
+  function validateConfig() {
+    const problems = [];
+    if (!apiKey || apiKey.trim() === '') {
+      problems.push('MURF_API_KEY is not configured');
+    }
+    if (!voices) {
+      problems.push('MURF_VOICES must be a JSON object of locale to voice ID');
+    }
+    return problems;
+  }
+
+  function voiceFor(locale) {
+    const tag = String(locale || '').toLowerCase();
+    return voicesByLocale.get(tag) || voicesByLocale.get(tag.split('-')[0]) || voiceId;
+  }
+
+  async function synthesize(text, { signal, locale } = {}) {
+    try {
+      if (!apiKey || apiKey.trim() === '') {
+        throw new VoiceAgentError('Murf API key not configured', 'CONFIG_ERROR', 500);
+      }
+
+      const response = await retry(() => axios.post(`${baseUrl}/speech/generate`, {
+        text: text,
+        voiceId: voiceFor(locale),
+        format: format,
+        sampleRate: config.TTS_SAMPLE_RATE || 24000,
+        encodeAsBase64: true
+      }, {
+        headers: {
+          'api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: timeoutMs,
+        signal
+      }), signal);
+
+      if (response.data?.encodedAudio) {
+        return Buffer.from(response.data.encodedAudio, 'base64');
+      }
+
+      // Older accounts only return a download URL
+      if (response.data?.audioFile) {
+        const audioResponse = await retry(() => axios.get(response.data.audioFile, {
+          responseType: 'arraybuffer',
+          timeout: timeoutMs,
+          signal
+        }), signal);
+        return Buffer.from(audioResponse.data);
+      }
+
+      throw new VoiceAgentError('Invalid response from Murf API', 'API_ERROR', 500);
+    } catch (error) {
+      log.error('Murf API error', { status: error.response?.status, details: error.response?.data, error });
+
+      throw mapUpstreamError(error, { service: 'Murf API' }) || error;
+    }
+  }
+
+  return {
+    name: 'murf',
+    validateConfig,
+    voiceFor,
+    synthesize
+  };
+}
+
+module.exports = createMurfProvider;
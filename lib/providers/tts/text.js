@@ -0,0 +1,16 @@
+const { logger } = require('../../logger');
+
+// Placeholder speech adapter: returns the response text as the "audio" body.
+// Clients are expected to speak it with the browser's speech synthesis.
+function createTextTTSProvider() {
+  return {
+    name: 'text',
+    validateConfig: () => [],
+    async synthesize(text) {
+      logger.debug('Using text response (no TTS service configured)');
+      return Buffer.from('AI Response: ' + text);
+    }
+  };
+}
+
+module.exports = createTextTTSProvider;
@@ -0,0 +1,65 @@
+const { encodeWav } = require('../../audio/wav');
+
+// Offline speech adapter that needs no network or native dependencies.
+// It cannot pronounce words; each word becomes a short voiced tone whose pitch
+// is derived from its letters, with pauses at punctuation, so clients receive
+// a valid WAV whose rhythm follows the text. Output is deterministic.
+function createWavTTSProvider(config) {
+  const sampleRate = config.TTS_SAMPLE_RATE || 24000;
+  const maxSeconds = 30;
+
+  function tone(samples, frequency, durationMs) {
+    const count = Math.floor(sampleRate * durationMs / 1000);
+    const fade = Math.min(Math.floor(count / 4), Math.floor(sampleRate * 0.01));
+    for (let i = 0; i < count; i++) {
+      const envelope = Math.min(1, i / fade, (count - i) / fade);
+      const t = i / sampleRate;
+      // Fundamental plus one harmonic sounds less harsh than a pure sine
+      const value = Math.sin(2 * Math.PI * frequency * t) * 0.7 + Math.sin(4 * Math.PI * frequency * t) * 0.3;
+      samples.push(Math.round(value * envelope * 8000));
+    }
+  }
+
+  function silence(samples, durationMs) {
+    const count = Math.floor(sampleRate * durationMs / 1000);
+    for (let i = 0; i < count; i++) {
+      samples.push(0);
+    }
+  }
+
+  async function synthesize(text) {
+    const samples = [];
+    const limit = sampleRate * maxSeconds;
+    const tokens = text.match(/[^\s.,!?;:]+|[.,!?;:]/g) || [];
+
+    for (const token of tokens) {
+      if (samples.length >= limit) {
+        break;
+      }
+      if (/^[.!?]$/.test(token)) {
+        silence(samples, 250);
+      } else if (/^[,;:]$/.test(token)) {
+        silence(samples, 120);
+      } else {
+        let sum = 0;
+        for (const char of token.toLowerCase()) {
+          sum += char.codePointAt(0);
+        }
+        const frequency = 140 + (sum % 12) * 15;
+        const duration = Math.min(400, Math.max(120, token.length * 60));
+        tone(samples, frequency, duration);
+        silence(samples, 50);
+      }
+    }
+
+    return encodeWav(Int16Array.from(samples.slice(0, limit)), sampleRate);
+  }
+
+  return {
+    name: 'wav',
+    validateConfig: () => [],
+    synthesize
+  };
+}
+
+module.exports = createWavTTSProvider;
@@ -0,0 +1,103 @@
+const { VoiceAgentError } = require('./errors');
+
+// Per-client limits: a token bucket on requests and a cap on turns in flight.
+// Keys are client IDs, or IP addresses when authentication is off.
+
+// A 429 that tells the client when to come back (sent as Retry-After)
+function createRateLimitError(message, retryAfterMs) {
+  const error = new VoiceAgentError(message, 'RATE_LIMIT_ERROR', 429);
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Each key holds up to `burst` tokens, refilled at perMinute per minute; a
+// request takes one. perMinute 0 disables the limit.
+function createTokenBucketLimiter({ perMinute = 60, burst = 20, now = Date.now } = {}) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+  let lastSweep = now();
+
+  function refill(bucket, at) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (at - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = at;
+  }
+
+  // Buckets that have refilled completely carry no state worth keeping
+  function sweep(at) {
+    if (at - lastSweep < 60000) {
+      return;
+    }
+    lastSweep = at;
+    for (const [key, bucket] of buckets) {
+      refill(bucket, at);
+      if (bucket.tokens >= burst) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  // Take a token for key. Returns { allowed, remaining, retryAfterMs }.
+  function take(key) {
+    if (perMinute <= 0) {
+      return { allowed: true, remaining: burst, retryAfterMs: 0 };
+    }
+    const at = now();
+    sweep(at);
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: at };
+      buckets.set(key, bucket);
+    }
+    refill(bucket, at);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  return {
+    take
+  };
+}
+
+// At most maxConcurrent turns per key at once. maxConcurrent 0 disables the limit.
+function createConcurrencyLimiter({ maxConcurrent = 2 } = {}) {
+  const active = new Map();
+
+  // Returns release(), or null when key is at its limit
+  function tryAcquire(key) {
+    const count = active.get(key) || 0;
+    if (maxConcurrent > 0 && count >= maxConcurrent) {
+      return null;
+    }
+    active.set(key, count + 1);
+
+    let released = false;
+    return function release() {
+      if (released) {
+        return;
+      }
+      released = true;
+      const remaining = active.get(key) - 1;
+      if (remaining > 0) {
+        active.set(key, remaining);
+      } else {
+        active.delete(key);
+      }
+    };
+  }
+
+  return {
+    tryAcquire,
+    active: (key) => active.get(key) || 0
+  };
+}
+
+module.exports = {
+  createRateLimitError,
+  createTokenBucketLimiter,
+  createConcurrencyLimiter
+};
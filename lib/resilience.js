@@ -0,0 +1,234 @@
+const { VoiceAgentError, createAbortError, isAbortError, throwIfAborted } = require('./errors');
+const { logger } = require('./logger');
+
+// Shared resilience layer for upstream calls: retries with exponential backoff
+// for single HTTP requests, and a circuit breaker per provider so a failing
+// service is skipped (and its fallback used) instead of being hammered.
+
+// Network failures worth another attempt (ECONNABORTED is an axios timeout)
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Wait ms, waking early with an ABORTED error if signal fires
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Rate limits, server errors, timeouts and dropped connections are retried;
+// other client errors would fail the same way again
+function isRetryable(error) {
+  if (!error || isAbortError(error)) {
+    return false;
+  }
+  const status = error.response?.status;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Retry-After in milliseconds (delta-seconds or an HTTP date), or null
+function retryAfterMs(error, now = Date.now()) {
+  const value = error.response?.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Math.round(parseFloat(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// "Full jitter": a random delay up to the exponential cap for this attempt
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function describeFailure(error) {
+  return error.response?.status ? `status ${error.response.status}` : (error.code || error.message);
+}
+
+// Run fn, retrying retryable failures up to `retries` more times. A
+// Retry-After hint is honored as the delay; one longer than maxDelayMs fails
+// fast instead of holding the turn.
+async function withRetry(fn, { retries = 2, baseDelayMs = 300, maxDelayMs = 5000, signal, label = 'Upstream request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const hint = retryAfterMs(error);
+      if (hint !== null && hint > maxDelayMs) {
+        logger.warn(`${label} asked to retry later than allowed; giving up`, { retryAfterMs: hint, maxDelayMs });
+        throw error;
+      }
+
+      const delay = hint !== null ? hint : backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      logger.warn(`${label} failed, retrying`, { failure: describeFailure(error), delayMs: delay, attempt: attempt + 2, attempts: retries + 1 });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Retry settings from config (UPSTREAM_RETRIES, UPSTREAM_RETRY_BASE_MS,
+// UPSTREAM_RETRY_MAX_MS) bound to a label for logs:
+//   const retry = createRetryPolicy(config, 'Murf API');
+//   const response = await retry(() => axios.post(...), signal);
+function createRetryPolicy(config, label) {
+  const options = {
+    retries: config.UPSTREAM_RETRIES !== undefined ? config.UPSTREAM_RETRIES : 2,
+    baseDelayMs: config.UPSTREAM_RETRY_BASE_MS || 300,
+    maxDelayMs: config.UPSTREAM_RETRY_MAX_MS || 5000
+  };
+  return (fn, signal) => withRetry(fn, { ...options, signal, label });
+}
+
+// Cancellations and problems with our own input or configuration say nothing
+// about the provider's health
+function countsAsFailure(error) {
+  if (isAbortError(error)) {
+    return false;
+  }
+  return !(error instanceof VoiceAgentError) || !['VALIDATION_ERROR', 'CONFIG_ERROR', 'NOT_FOUND'].includes(error.type);
+}
+
+// Circuit breaker over a sliding window of recent outcomes. Closed: calls go
+// through. Once at least minimumRequests calls in the last windowMs have
+// failed at failureRateThreshold or more, it opens and rejects calls with
+// CIRCUIT_OPEN for resetTimeoutMs. Then it is half-open: one trial call goes
+// through, closing the circuit on success or reopening it on failure.
+function createCircuitBreaker({ name, failureRateThreshold = 0.5, minimumRequests = 5, windowMs = 60000, resetTimeoutMs = 30000, now = Date.now }) {
+  let state = 'closed';
+  let outcomes = [];
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+
+  function prune() {
+    const cutoff = now() - windowMs;
+    outcomes = outcomes.filter(outcome => outcome.at >= cutoff);
+  }
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+    logger.warn('Circuit opened', { circuit: name, lastError });
+  }
+
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+      state = 'half-open';
+    }
+    return state;
+  }
+
+  // Reserve a call. Returns finish(error?) to report its outcome, or throws
+  // CIRCUIT_OPEN when calls are being rejected.
+  function acquire() {
+    const current = currentState();
+    if (current === 'open' || (current === 'half-open' && trialInFlight)) {
+      const retryInMs = current === 'open' ? resetTimeoutMs - (now() - openedAt) : resetTimeoutMs;
+      throw new VoiceAgentError(`${name} is temporarily unavailable (retry in ${Math.ceil(retryInMs / 1000)}s)`, 'CIRCUIT_OPEN', 503);
+    }
+
+    const trial = current === 'half-open';
+    if (trial) {
+      trialInFlight = true;
+    }
+
+    let finished = false;
+    return function finish(error) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (trial) {
+        trialInFlight = false;
+      }
+      if (error && !countsAsFailure(error)) {
+        return;
+      }
+
+      if (error) {
+        lastError = error.message;
+      }
+      if (trial) {
+        if (error) {
+          open();
+        } else {
+          state = 'closed';
+          outcomes = [];
+          logger.info('Circuit closed', { circuit: name });
+        }
+        return;
+      }
+
+      outcomes.push({ at: now(), failed: Boolean(error) });
+      prune();
+      const failures = outcomes.filter(outcome => outcome.failed).length;
+      if (state === 'closed' && outcomes.length >= minimumRequests && failures / outcomes.length >= failureRateThreshold) {
+        open();
+      }
+    };
+  }
+
+  async function execute(fn) {
+    const finish = acquire();
+    try {
+      const result = await fn();
+      finish();
+      return result;
+    } catch (error) {
+      finish(error);
+      throw error;
+    }
+  }
+
+  // Live state for /health
+  function snapshot() {
+    prune();
+    const failures = outcomes.filter(outcome => outcome.failed).length;
+    const current = currentState();
+    return {
+      state: current,
+      errorRate: outcomes.length > 0 ? Math.round((failures / outcomes.length) * 100) / 100 : 0,
+      recentRequests: outcomes.length,
+      recentFailures: failures,
+      lastError: lastError,
+      openedAt: current === 'closed' ? null : new Date(openedAt).toISOString()
+    };
+  }
+
+  return {
+    name,
+    acquire,
+    execute,
+    snapshot
+  };
+}
+
+module.exports = {
+  sleep,
+  isRetryable,
+  retryAfterMs,
+  withRetry,
+  createRetryPolicy,
+  createCircuitBreaker
+};
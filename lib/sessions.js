@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { VoiceAgentError } = require('./errors');
+
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// Server-generated session identifiers
+function generateSessionId(prefix = 'session') {
+  return `${prefix}_${crypto.randomUUID()}`;
+}
+
+function optionalString(value, field, maxLength) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength) {
+    throw new VoiceAgentError(`${field} must be a non-empty string of at most ${maxLength} characters`, 'VALIDATION_ERROR', 400);
+  }
+  return value.trim();
+}
+
+function parseLocale(value) {
+  const locale = optionalString(value, 'locale', 35);
+  if (locale && !LOCALE_PATTERN.test(locale)) {
+    throw new VoiceAgentError('locale must be a language tag such as "en" or "en-US"', 'VALIDATION_ERROR', 400);
+  }
+  return locale;
+}
+
+function optionalBoolean(value, field) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'boolean') {
+    throw new VoiceAgentError(`${field} must be true or false`, 'VALIDATION_ERROR', 400);
+  }
+  return value;
+}
+
+function parseAttributes(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new VoiceAgentError('attributes must be an object', 'VALIDATION_ERROR', 400);
+  }
+  if (JSON.stringify(value).length > 4096) {
+    throw new VoiceAgentError('attributes must be at most 4KB when serialized', 'VALIDATION_ERROR', 400);
+  }
+  return value;
+}
+
+// Validate a POST /agent/sessions body and turn it into store options
+function parseSessionInput(body = {}, defaultTtlMs = 0) {
+  let ttlMs = defaultTtlMs;
+  if (body.ttlSeconds !== undefined) {
+    if (!Number.isInteger(body.ttlSeconds) || body.ttlSeconds <= 0 || body.ttlSeconds > MAX_TTL_SECONDS) {
+      throw new VoiceAgentError(`ttlSeconds must be an integer between 1 and ${MAX_TTL_SECONDS}`, 'VALIDATION_ERROR', 400);
+    }
+    ttlMs = body.ttlSeconds * 1000;
+  }
+
+  return {
+    metadata: {
+      userId: optionalString(body.userId, 'userId', 128),
+      locale: parseLocale(body.locale) || 'en',
+      detectLanguage: optionalBoolean(body.detectLanguage, 'detectLanguage'),
+      persona: optionalString(body.persona, 'persona', 64),
+      systemPrompt: optionalString(body.systemPrompt, 'systemPrompt', 4000),
+      attributes: body.attributes === undefined ? {} : parseAttributes(body.attributes)
+    },
+    ttlMs: ttlMs
+  };
+}
+
+// Validate a PATCH /agent/sessions/:id body. Only the fields present are
+// returned; null clears persona or systemPrompt, and resets detectLanguage
+// to the server default.
+function parseSessionPatch(body = {}) {
+  const patch = {};
+  if (body.locale !== undefined) {
+    patch.locale = parseLocale(body.locale) || 'en';
+  }
+  if (body.detectLanguage !== undefined) {
+    patch.detectLanguage = optionalBoolean(body.detectLanguage, 'detectLanguage');
+  }
+  if (body.persona !== undefined) {
+    patch.persona = optionalString(body.persona, 'persona', 64);
+  }
+  if (body.systemPrompt !== undefined) {
+    patch.systemPrompt = optionalString(body.systemPrompt, 'systemPrompt', 4000);
+  }
+  if (body.attributes !== undefined) {
+    patch.attributes = parseAttributes(body.attributes);
+  }
+  if (Object.keys(patch).length === 0) {
+    throw new VoiceAgentError('Nothing to update: send locale, detectLanguage, persona, systemPrompt or attributes', 'VALIDATION_ERROR', 400);
+  }
+  return patch;
+}
+
+// Parse ?offset=&limit= paging parameters
+function parsePaging(query = {}) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new VoiceAgentError('offset must be a non-negative integer', 'VALIDATION_ERROR', 400);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw new VoiceAgentError('limit must be an integer between 1 and 100', 'VALIDATION_ERROR', 400);
+  }
+
+  return { offset, limit };
+}
+
+// Shape a stored session for API responses
+function formatSession(info) {
+  const metadata = info.metadata || {};
+  return {
+    sessionId: info.sessionId,
+    userId: metadata.userId || null,
+    clientId: metadata.clientId || null,
+    locale: metadata.locale || 'en',
+    detectLanguage: typeof metadata.detectLanguage === 'boolean' ? metadata.detectLanguage : null,
+    persona: metadata.persona || null,
+    systemPrompt: metadata.systemPrompt || null,
+    attributes: metadata.attributes || {},
+    createdAt: new Date(info.createdAt).toISOString(),
+    lastActiveAt: new Date(info.updatedAt).toISOString(),
+    expiresAt: info.expiresAt ? new Date(info.expiresAt).toISOString() : null,
+    messageCount: info.messageCount
+  };
+}
+
+module.exports = {
+  generateSessionId,
+  parseSessionInput,
+  parseSessionPatch,
+  parsePaging,
+  formatSession
+};
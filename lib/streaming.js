@@ -0,0 +1,94 @@
+// Helpers for streaming replies: split LLM output into sentences as it arrives
+// and synthesize them concurrently while delivering audio in order.
+
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'no']);
+
+// Accumulates text deltas and returns complete sentences. Sentences shorter than
+// minLength are held back and merged with the next one so TTS is not called
+// for fragments like "Sure."
+function createSentenceSplitter({ minLength = 20 } = {}) {
+  let buffer = '';
+
+  function isBoundary(text, index) {
+    // Decimal numbers and abbreviations do not end a sentence
+    const before = text.slice(0, index).match(/([\w.]+)$/);
+    if (text[index] === '.' && before && ABBREVIATIONS.has(before[1].toLowerCase())) {
+      return false;
+    }
+    if (text[index] === '.' && before && /^([A-Z]\.)*[A-Z]$/.test(before[1])) {
+      return false;
+    }
+    return true;
+  }
+
+  function push(delta) {
+    buffer += delta;
+    const sentences = [];
+    const pattern = /[.!?…]+["')\]]*(?=\s)/g;
+    let start = 0;
+    let match;
+
+    while ((match = pattern.exec(buffer)) !== null) {
+      const end = match.index + match[0].length;
+      if (!isBoundary(buffer, match.index)) {
+        continue;
+      }
+      const sentence = buffer.slice(start, end).trim();
+      if (sentence.length >= minLength) {
+        sentences.push(sentence);
+        start = end;
+      }
+    }
+
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  // Return whatever is left once the stream has ended
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
+
+// Starts synthesis for each sentence as soon as it is queued, but hands the
+// resulting audio to onSegment strictly in queue order. cancel() discards
+// every segment not yet delivered. A failed synthesis rejects drain().
+function createOrderedSpeechQueue(synthesize, onSegment) {
+  let index = 0;
+  let cancelled = false;
+  let delivered = Promise.resolve();
+
+  function push(text) {
+    const segmentIndex = index++;
+    const audio = Promise.resolve().then(() => synthesize(text));
+    // Mark as handled now; the failure is reported through drain() in order
+    audio.catch(() => {});
+    delivered = delivered.then(async () => {
+      const segmentAudio = await audio;
+      if (!cancelled) {
+        onSegment({ index: segmentIndex, text: text, audio: segmentAudio });
+      }
+    });
+    delivered.catch(() => {});
+    return delivered;
+  }
+
+  function drain() {
+    return delivered;
+  }
+
+  function cancel() {
+    cancelled = true;
+  }
+
+  return { push, drain, cancel };
+}
+
+module.exports = {
+  createSentenceSplitter,
+  createOrderedSpeechQueue
+};
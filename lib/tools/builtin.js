@@ -0,0 +1,68 @@
+const { VoiceAgentError } = require('../errors');
+
+// Built-in tools that need no configuration. Times are formatted for the
+// session's locale; the model may pass an IANA timezone such as "Europe/Paris".
+
+const timezoneParameter = {
+  type: 'string',
+  description: 'IANA timezone name, e.g. "America/New_York". Defaults to the server timezone.'
+};
+
+function resolveTimezone(timezone) {
+  if (!timezone) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    throw new VoiceAgentError(`Unknown timezone: ${timezone}`, 'VALIDATION_ERROR', 400);
+  }
+}
+
+function format(now, locale, options) {
+  try {
+    return now.toLocaleString(locale || 'en', options);
+  } catch (error) {
+    // Unsupported locale tags fall back to English formatting
+    return now.toLocaleString('en', options);
+  }
+}
+
+const getCurrentTime = {
+  name: 'get_current_time',
+  description: 'Get the current local time.',
+  parameters: {
+    type: 'object',
+    properties: { timezone: timezoneParameter }
+  },
+  handler: async ({ timezone }, { metadata = {} } = {}) => {
+    const timeZone = resolveTimezone(timezone);
+    const now = new Date();
+    return {
+      time: format(now, metadata.locale, { timeZone, hour: 'numeric', minute: '2-digit' }),
+      timezone: timeZone,
+      iso: now.toISOString()
+    };
+  }
+};
+
+const getCurrentDate = {
+  name: 'get_current_date',
+  description: 'Get today\'s date, including the day of the week.',
+  parameters: {
+    type: 'object',
+    properties: { timezone: timezoneParameter }
+  },
+  handler: async ({ timezone }, { metadata = {} } = {}) => {
+    const timeZone = resolveTimezone(timezone);
+    const now = new Date();
+    return {
+      date: format(now, metadata.locale, { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      timezone: timeZone,
+      iso: now.toLocaleDateString('en-CA', { timeZone })
+    };
+  }
+};
+
+module.exports = [getCurrentTime, getCurrentDate];
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const axios = require('axios');
+const { VoiceAgentError } = require('../errors');
+
+// Tools backed by an HTTP endpoint, declared in a JSON file (TOOLS_FILE):
+//
+//   { "tools": [{
+//       "name": "lookup_order",
+//       "description": "Look up an order by its number",
+//       "parameters": { "type": "object", "properties": { "orderId": { "type": "string" } }, "required": ["orderId"] },
+//       "http": { "method": "GET", "url": "https://orders.example.com/orders/{orderId}",
+//                 "headers": { "Authorization": "Bearer ${ORDERS_API_TOKEN}" } }
+//   }] }
+//
+// {name} in the URL is replaced by the URL-encoded argument. Remaining
+// arguments go in the query string for GET/DELETE and in a JSON body
+// otherwise. ${VAR} in header values is read from the environment so secrets
+// stay out of the file.
+
+const MAX_RESULT_LENGTH = 4000;
+
+function expandEnv(value) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+}
+
+function createHttpTool({ name, description, parameters, http }, { timeoutMs = 10000 } = {}) {
+  if (!http || !http.url) {
+    throw new VoiceAgentError(`Tool ${name} is missing http.url`, 'CONFIG_ERROR', 500);
+  }
+  const method = (http.method || 'GET').toUpperCase();
+
+  async function handler(args, { signal } = {}) {
+    const remaining = { ...args };
+    const url = http.url.replace(/\{(\w+)\}/g, (match, key) => {
+      if (args[key] === undefined) {
+        throw new VoiceAgentError(`Missing argument for URL placeholder: ${key}`, 'VALIDATION_ERROR', 400);
+      }
+      delete remaining[key];
+      return encodeURIComponent(String(args[key]));
+    });
+
+    const headers = {};
+    for (const [header, value] of Object.entries(http.headers || {})) {
+      headers[header] = expandEnv(value);
+    }
+
+    const sendsBody = method !== 'GET' && method !== 'DELETE';
+    const response = await axios.request({
+      method: method,
+      url: url,
+      headers: headers,
+      params: sendsBody ? undefined : remaining,
+      data: sendsBody ? remaining : undefined,
+      timeout: http.timeoutMs || timeoutMs,
+      signal: signal,
+      // Let the model see 4xx answers (e.g. "order not found") instead of failing
+      validateStatus: () => true
+    });
+
+    let data = response.data;
+    if (typeof data === 'string' && data.length > MAX_RESULT_LENGTH) {
+      data = data.slice(0, MAX_RESULT_LENGTH) + '...';
+    } else if (data && typeof data === 'object' && JSON.stringify(data).length > MAX_RESULT_LENGTH) {
+      data = JSON.stringify(data).slice(0, MAX_RESULT_LENGTH) + '...';
+    }
+
+    if (response.status >= 400) {
+      return { error: `Request failed with status ${response.status}`, status: response.status, data: data };
+    }
+    return data;
+  }
+
+  return {
+    name,
+    description,
+    parameters: parameters || { type: 'object', properties: {} },
+    handler
+  };
+}
+
+// Read HTTP tool definitions from file. A missing file means no HTTP tools.
+function loadHttpTools(file, options) {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+
+  let definitions;
+  try {
+    definitions = JSON.parse(fs.readFileSync(file, 'utf8')).tools;
+  } catch (error) {
+    throw new VoiceAgentError(`Could not read tools file ${file}: ${error.message}`, 'CONFIG_ERROR', 500);
+  }
+  if (!Array.isArray(definitions)) {
+    throw new VoiceAgentError(`Tools file ${file} must contain a "tools" array`, 'CONFIG_ERROR', 500);
+  }
+
+  return definitions.map(definition => createHttpTool(definition, options));
+}
+
+module.exports = {
+  createHttpTool,
+  loadHttpTools
+};
@@ -0,0 +1,86 @@
+const { VoiceAgentError, isAbortError } = require('../errors');
+const { logger } = require('../logger');
+const { validateArguments } = require('./schema');
+const { loadHttpTools } = require('./http');
+const builtinTools = require('./builtin');
+
+const TOOL_NAME = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+
+// Registry of tools the LLM can call. A tool is { name, description,
+// parameters (JSON schema), handler(args, context) }; the handler may be
+// async and receives { sessionId, metadata, signal } as context.
+function createToolRegistry() {
+  const tools = new Map();
+
+  function register(tool) {
+    if (!tool || !TOOL_NAME.test(tool.name || '')) {
+      throw new VoiceAgentError(`Invalid tool name: ${tool && tool.name}`, 'CONFIG_ERROR', 500);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new VoiceAgentError(`Tool ${tool.name} has no handler`, 'CONFIG_ERROR', 500);
+    }
+    if (tools.has(tool.name)) {
+      throw new VoiceAgentError(`Tool already registered: ${tool.name}`, 'CONFIG_ERROR', 500);
+    }
+    tools.set(tool.name, tool);
+  }
+
+  // Declarations sent to the model
+  function definitions() {
+    return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  // Run a tool call. Failures come back as { error } so the model can explain
+  // them to the user; only cancellation propagates.
+  async function execute(name, args, context = {}) {
+    const tool = tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    const input = args && typeof args === 'object' ? args : {};
+    const problems = validateArguments(tool.parameters, input);
+    if (problems.length > 0) {
+      return { error: `Invalid arguments: ${problems.join('; ')}` };
+    }
+
+    try {
+      const result = await tool.handler(input, context);
+      return result === undefined ? { ok: true } : result;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      logger.warn('Tool failed', { tool: name, error });
+      return { error: error.message };
+    }
+  }
+
+  return {
+    register,
+    definitions,
+    execute,
+    has: (name) => tools.has(name),
+    get size() {
+      return tools.size;
+    }
+  };
+}
+
+// Build the registry from config: the built-in tools plus any HTTP tools
+// declared in TOOLS_FILE. TOOLS_ENABLED=false leaves it empty.
+function createTools(config) {
+  const registry = createToolRegistry();
+  if (!config.TOOLS_ENABLED) {
+    return registry;
+  }
+
+  builtinTools.forEach(tool => registry.register(tool));
+  loadHttpTools(config.TOOLS_FILE, { timeoutMs: config.TOOL_TIMEOUT_MS }).forEach(tool => registry.register(tool));
+  return registry;
+}
+
+module.exports = {
+  createToolRegistry,
+  createTools
+};
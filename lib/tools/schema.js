@@ -0,0 +1,59 @@
+// Minimal JSON Schema checks for tool arguments: type, properties, required,
+// enum and array items. Enough to catch malformed calls from the model
+// before a handler runs; returns a list of problems (empty when valid).
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateArguments(schema, value, path = 'arguments') {
+  if (!schema) {
+    return [];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        errors.push(...validateArguments(propertySchema, value[name], `${path}.${name}`));
+      }
+    }
+  } else if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateArguments(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateArguments
+};
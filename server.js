@@ -1,772 +1,2220 @@
 const express = require('express');
 const multer = require('multer');
-const axios = require('axios');
 const cors = require('cors');
 const FormData = require('form-data');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const config = require('./config');
+const { VoiceAgentError, isAbortError, throwIfAborted } = require('./lib/errors');
+const { describeConfig, configSources, redactText, redactConsoleOutput } = require('./lib/config-loader');
+const { logger, configureLogger, createCorrelationId, runWithContext, bindContext, addContext, currentContext } = require('./lib/logger');
+const { createProviders, createProvider } = require('./lib/providers');
+const { detectContentType, sniffAudioFormat } = require('./lib/audio/format');
+const { inspectAudio } = require('./lib/audio/inspect');
+const { normalizeForSTT } = require('./lib/audio/normalize');
+const { createVoiceActivityDetector } = require('./lib/audio/vad');
+const { createHistoryStore, createTurnAudioStore } = require('./lib/history');
+const { generateSessionId, parseSessionInput, parseSessionPatch, parsePaging, formatSession } = require('./lib/sessions');
+const { createPromptLibrary } = require('./lib/prompts');
+const { createIntentEngine } = require('./lib/intents');
+const { languageOf, translate, errorMessage } = require('./lib/i18n');
+const { createMemoryManager, createLLMSummarizer, createExtractiveSummarizer } = require('./lib/memory');
+const { createSentenceSplitter, createOrderedSpeechQueue } = require('./lib/streaming');
+const { createTools } = require('./lib/tools');
+const { createJobQueue } = require('./lib/jobs');
+const { createAuthenticator } = require('./lib/auth');
+const { createRateLimitError, createTokenBucketLimiter, createConcurrencyLimiter } = require('./lib/ratelimit');
+const { createVoiceAgentMetrics } = require('./lib/metrics');
+const { createTurnTrace } = require('./lib/provenance');
+const { FORMATS: EXPORT_FORMATS, parseExportFormat, buildConversationExport, renderConversation, parseConversationImport } = require('./lib/conversations');
+const { createZip } = require('./lib/zip');
 const http = require('http');
 const WebSocket = require('ws');
 
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Build the voice agent from config (see config.js): the Express app, its HTTP
+// server and the WebSocket server on top of it. Nothing listens until
+// listen() is called, so tests can start it on an ephemeral port with their
+// own config. options.historyStore replaces the store HISTORY_STORE selects.
+function createVoiceAgentServer(config, options = {}) {
+  const app = express();
+  const server = http.createServer(app);
 
-// WebSocket connection management
-const wsConnections = new Map();
+  // Client authentication (API_KEYS, JWT_SECRET) and per-client limits on
+  // requests and turns in flight (RATE_LIMIT_*, MAX_CONCURRENT_TURNS)
+  const authenticator = createAuthenticator(config);
+  const requestLimiter = createTokenBucketLimiter({ perMinute: config.RATE_LIMIT_PER_MINUTE, burst: config.RATE_LIMIT_BURST });
+  const turnLimiter = createConcurrencyLimiter({ maxConcurrent: config.MAX_CONCURRENT_TURNS });
+  const corsOrigins = config.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean);
+  logger.info(`Authentication: ${authenticator.enabled ? 'required' : 'off (set API_KEYS or JWT_SECRET)'}`);
 
-// WebSocket audio streaming handler
-wss.on('connection', (ws, req) => {
-  const sessionId = `ws_session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  console.log(`WebSocket connection established: ${sessionId}`);
-  
-  // Store connection with session ID
-  wsConnections.set(sessionId, ws);
-  
-  // Create audio file stream for this session
-  const audioFilePath = path.join('uploads', `streaming_audio_${sessionId}.webm`);
-  const audioWriteStream = fs.createWriteStream(audioFilePath);
+  // Prometheus metrics served at /metrics; gauges are read when scraped
+  const metrics = createVoiceAgentMetrics({
+    websocketConnections: () => wsConnections.size,
+    sessions: () => historyStore.listSessions({ limit: 0 }).total,
+    jobs: () => jobs.stats()
+  });
+
+  // Requests without an Origin header don't come from a browser page
+  function originAllowed(origin) {
+    return !origin || corsOrigins.includes('*') || corsOrigins.includes(origin);
+  }
+
+  // Caller's IP, from X-Forwarded-For only when TRUST_PROXY says a proxy sets
+  // it. The proxy appends the address it saw, so only the rightmost entry is
+  // trustworthy; anything left of it came from the client.
+  function clientAddress(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (config.TRUST_PROXY && typeof forwarded === 'string') {
+      const hop = forwarded.split(',').pop().trim();
+      if (hop) {
+        return hop;
+      }
+    }
+    return req.socket.remoteAddress;
+  }
+
+  // Limits apply per authenticated client, or per IP when authentication is off
+  function limitKey(req) {
+    return req.client ? `client:${req.client.id}` : `ip:${clientAddress(req)}`;
+  }
+
+  // Reserve one of the caller's concurrent turns. Returns release(), or throws
+  // a RATE_LIMIT_ERROR when the caller already has MAX_CONCURRENT_TURNS running.
+  function acquireTurn(req) {
+    const release = turnLimiter.tryAcquire(limitKey(req));
+    if (!release) {
+      throw createRateLimitError(`Too many turns in progress (max ${config.MAX_CONCURRENT_TURNS})`, 1000);
+    }
+    return release;
+  }
+
+  // With authentication on, a session belongs to the client that created it
+  function ownsSession(client, session) {
+    return Boolean(session) && (!client || session.metadata.clientId === client.id);
+  }
+
+  // Check a WebSocket upgrade's origin, credentials and request budget before
+  // accepting it; the client is kept on req.client for the connection
+  function verifyWebSocketClient({ origin, req }, done) {
+    if (!originAllowed(origin)) {
+      return done(false, 403, 'Origin not allowed');
+    }
+    try {
+      req.client = authenticator.authenticate(req, { allowQueryToken: true });
+    } catch (error) {
+      logger.warn('Rejected WebSocket connection', { address: clientAddress(req), error });
+      return done(false, error.statusCode || 401, 'Unauthorized');
+    }
+    const limit = requestLimiter.take(limitKey(req));
+    if (!limit.allowed) {
+      return done(false, 429, 'Too Many Requests', { 'Retry-After': Math.ceil(limit.retryAfterMs / 1000) });
+    }
+    done(true);
+  }
+
+  const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
+
+  // WebSocket connection management
+  const wsConnections = new Map();
+
+  // Send a JSON message if the socket is still open
+  function sendJSON(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      const message = JSON.stringify(payload);
+      ws.send(message);
+      metrics.streamedBytes.inc({ transport: 'websocket', direction: 'sent' }, Buffer.byteLength(message));
+    }
+  }
+
+  // A sample rate given as a query parameter, in the range STT_SAMPLE_RATE allows
+  function parseStreamSampleRate(value) {
+    if (value === null || value === '') {
+      return config.STT_SAMPLE_RATE;
+    }
+    const sampleRate = Number(value);
+    if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) {
+      throw new VoiceAgentError('sampleRate must be an integer between 8000 and 48000', 'VALIDATION_ERROR', 400);
+    }
+    return sampleRate;
+  }
+
+  // WebSocket audio streaming handler
+  wss.on('connection', (ws, req) => {
+    // Clients may continue an existing session with ?sessionId=; otherwise a new
+    // one is created from the optional userId, locale and persona parameters
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    let sessionId = params.get('sessionId');
+    let vadSampleRate;
+    try {
+      // Hands-free PCM is at ?sampleRate=, STT_SAMPLE_RATE when not given
+      vadSampleRate = parseStreamSampleRate(params.get('sampleRate'));
+
+      if (sessionId) {
+        if (!ownsSession(req.client, historyStore.getSession(sessionId))) {
+          throw new VoiceAgentError('Session not found', 'NOT_FOUND', 404);
+        }
+      } else {
+        sessionId = generateSessionId('ws_session');
+        const detectLanguage = params.get('detectLanguage');
+        const sessionInput = parseSessionInput({
+          userId: params.get('userId') || undefined,
+          locale: params.get('locale') || undefined,
+          detectLanguage: detectLanguage !== null ? detectLanguage === '1' || detectLanguage === 'true' : undefined,
+          persona: params.get('persona') || undefined
+        }, config.HISTORY_TTL_MS);
+        assertPersonaExists(sessionInput.metadata.persona);
+        sessionInput.metadata.clientId = req.client ? req.client.id : null;
+        historyStore.createSession(sessionId, sessionInput);
+        metrics.sessionsCreated.inc();
+      }
+    } catch (error) {
+      sendJSON(ws, {
+        type: 'error',
+        error: error.message,
+        errorType: error.type || 'INTERNAL_ERROR'
+      });
+      ws.close(error.statusCode === 404 ? 4404 : 4400, error.message);
+      return;
+    }
+
+    // Everything logged for this connection carries its ID and session; event
+    // handlers run outside the upgrade's async context, so each is wrapped
+    const connectionContext = { requestId: createCorrelationId('ws'), sessionId: sessionId };
+    const inConnection = (handler) => (...args) => runWithContext(connectionContext, () => handler(...args));
+    logger.info('WebSocket connection established', { ...connectionContext, clientId: req.client ? req.client.id : null });
   
-  console.log(`Audio file created: ${audioFilePath}`);
+    // Store connection with session ID
+    wsConnections.set(sessionId, ws);
   
-  // Send session ID to client
-  ws.send(JSON.stringify({
-    type: 'session_established',
-    sessionId: sessionId,
-    message: 'WebSocket connection established for audio streaming'
-  }));
+    // Each recording goes to its own file, opened on the first chunk and named
+    // after the container its bytes identify as. recordingPcm holds the declared
+    // parameters when the client sends headerless PCM.
+    let audioFilePath = null;
+    let audioWriteStream = null;
+    let recordingPcm = null;
+    let sttStream = null;
+    let streamResponse = config.LLM_STREAMING;
+    // The turn in progress, if any: its controller doubles as its token, so a
+    // turn that ends after being interrupted cannot clear a newer turn's
+    let turnController = null;
+    let vad = null;
+
+    // Hands-free mode (?vad=1 or VAD_ENABLED): the client streams 16-bit mono
+    // PCM continuously and the server finds utterances itself
+    const vadParam = params.get('vad');
+    const vadEnabled = vadParam !== null ? vadParam === '1' || vadParam === 'true' : config.VAD_ENABLED;
+    if (vadEnabled) {
+      startVoiceActivityDetection(vadSampleRate);
+    }
+
+    // Send session ID to client
+    sendJSON(ws, {
+      type: 'session_established',
+      sessionId: sessionId,
+      vad: Boolean(vad),
+      message: 'WebSocket connection established for audio streaming'
+    });
+
+    // Segment the PCM stream into utterances and process each one like a
+    // finished recording. Speech starting while a turn is still running
+    // interrupts it.
+    function startVoiceActivityDetection(sampleRate) {
+      vad = createVoiceActivityDetector({
+        sampleRate: sampleRate,
+        energyThreshold: config.VAD_ENERGY_THRESHOLD,
+        silenceMs: config.VAD_SILENCE_MS,
+        minSpeechMs: config.VAD_MIN_SPEECH_MS,
+        maxUtteranceMs: config.VAD_MAX_UTTERANCE_MS
+      });
+
+      const streaming = params.get('streaming') !== null
+        ? params.get('streaming') === '1' || params.get('streaming') === 'true'
+        : config.STT_STREAMING;
+
+      vad.on('start', inConnection(({ audio }) => {
+        if (interruptTurn()) {
+          logger.info('Speech during a turn interrupted it');
+        }
+        sendJSON(ws, {
+          type: 'speech_started',
+          sessionId: sessionId
+        });
+        if (streaming && !sttStream) {
+          startStreamingTranscription(sampleRate);
+          if (sttStream) {
+            sttStream.write(audio);
+          }
+        }
+      }));
+
+      vad.on('audio', (frame) => {
+        if (sttStream) {
+          sttStream.write(frame);
+        }
+      });
+
+      vad.on('end', inConnection(({ audio, durationMs }) => {
+        sendJSON(ws, {
+          type: 'speech_ended',
+          sessionId: sessionId,
+          durationMs: durationMs
+        });
+        processRecording({ audio: audio, pcm: { sampleRate: sampleRate, channels: 1 } });
+      }));
+    }
+
+    // Open a streaming STT session for the current recording, in the
+    // session's language, and relay its partial and final transcripts as they
+    // arrive
+    function startStreamingTranscription(sampleRate) {
+      if (typeof providers.stt.createStream !== 'function') {
+        logger.warn('STT provider does not support streaming; using batch transcription', { provider: providers.stt.name });
+        return;
+      }
+
+      try {
+        sttStream = providers.stt.createStream({ sampleRate, locale: sessionLocale(sessionId) });
+      } catch (error) {
+        logger.error('Could not start streaming transcription', { error });
+        sttStream = null;
+        return;
+      }
+
+      sttStream.on('partial', (text) => sendJSON(ws, {
+        type: 'partial_transcript',
+        sessionId: sessionId,
+        text: text
+      }));
+      sttStream.on('final', (text) => sendJSON(ws, {
+        type: 'final_transcript',
+        sessionId: sessionId,
+        text: text
+      }));
+      sttStream.on('error', inConnection((error) => {
+        logger.error('Streaming transcription error', { error });
+      }));
+    }
+
+    // Barge-in: cancel the turn in flight, if any. Pending provider requests are
+    // aborted and audio that has not been sent yet is dropped.
+    function interruptTurn() {
+      if (!turnController) {
+        return false;
+      }
+      turnController.abort();
+      turnController = null;
+      return true;
+    }
+
+    // Start the file for a new recording. A failed write (disk full,
+    // permissions) ends the recording with an error; the connection stays open.
+    function openRecordingFile(firstChunk) {
+      const sniffed = recordingPcm ? { format: 'pcm' } : sniffAudioFormat(firstChunk);
+      const filePath = path.join('uploads', `streaming_audio_${sessionId}.${sniffed ? sniffed.format : 'bin'}`);
+      const stream = fs.createWriteStream(filePath);
+      stream.on('error', inConnection((error) => {
+        logger.error('Could not write the recording file', { filePath, error });
+        if (audioWriteStream === stream) {
+          audioWriteStream = null;
+          if (sttStream) {
+            sttStream.abort();
+            sttStream = null;
+          }
+        }
+        sendJSON(ws, {
+          type: 'error',
+          error: 'Failed to save the recording',
+          errorType: 'INTERNAL_ERROR',
+          details: error.message
+        });
+      }));
+      audioFilePath = filePath;
+      audioWriteStream = stream;
+      logger.debug('Audio file created', { filePath });
+    }
+
+    // Transcribe the finished recording, answer it and push each stage to the
+    // client. The recording is { filePath } or, from VAD, { audio }, plus pcm
+    // parameters for raw PCM. Each recording is a turn with its own turnId.
+    function processRecording(recording) {
+      return runWithContext({ ...connectionContext, turnId: createCorrelationId('turn') }, () => runRecordingTurn(recording));
+    }
+
+    async function runRecordingTurn(recording) {
+      const stream = sttStream;
+      sttStream = null;
+      const controller = new AbortController();
+      turnController = controller;
+      const { signal } = controller;
+      let releaseTurn = null;
+
+      try {
+        // Each turn spends a request token and one of the client's turn slots
+        const limit = requestLimiter.take(limitKey(req));
+        if (!limit.allowed) {
+          throw createRateLimitError('Too many requests, slow down', limit.retryAfterMs);
+        }
+        releaseTurn = acquireTurn(req);
+
+        const callbacks = {
+          signal: signal,
+          trace: createTurnTrace({ turnId: currentContext().turnId }),
+          onTranscript: (transcript) => sendJSON(ws, {
+            type: 'transcript',
+            sessionId: sessionId,
+            text: transcript
+          }),
+          onResponse: (llmResponse) => sendJSON(ws, {
+            type: 'assistant_response',
+            sessionId: sessionId,
+            text: llmResponse
+          }),
+          onLocaleChange: (locale) => sendJSON(ws, {
+            type: 'locale_changed',
+            sessionId: sessionId,
+            locale: locale
+          })
+        };
+
+        // Streamed replies push text deltas and per-sentence audio as they are ready
+        let audioChunks = 0;
+        if (streamResponse) {
+          callbacks.onTextDelta = (delta) => sendJSON(ws, {
+            type: 'assistant_response_delta',
+            sessionId: sessionId,
+            text: delta
+          });
+          callbacks.onAudioChunk = (segment) => {
+            audioChunks++;
+            sendJSON(ws, {
+              type: 'audio_chunk',
+              sessionId: sessionId,
+              index: segment.index,
+              text: segment.text,
+              contentType: segment.contentType,
+              audio: segment.audio.toString('base64')
+            });
+          };
+        }
+
+        // Prefer the streamed transcript; fall back to batch STT on the saved file
+        let transcript = null;
+        if (stream) {
+          signal.addEventListener('abort', () => stream.abort(), { once: true });
+          try {
+            transcript = await callbacks.trace.time('transcription', providers.stt, () => stream.end());
+          } catch (error) {
+            logger.warn('Streaming transcription failed, falling back to batch', { error });
+          }
+          throwIfAborted(signal);
+        }
+
+        let result;
+        if (transcript) {
+          callbacks.onTranscript(transcript);
+          result = await runAgentTurn(sessionId, transcript, callbacks);
+        } else {
+          const audioBuffer = recording.audio || fs.readFileSync(recording.filePath);
+          if (audioBuffer.length === 0) {
+            throw new VoiceAgentError('No audio received for this recording', 'VALIDATION_ERROR', 400);
+          }
+          const { audio } = prepareAudioForSTT(audioBuffer, recording.pcm);
+          result = await runVoiceTurn(sessionId, audio, callbacks);
+        }
+        const { audioData } = result;
+
+        if (audioData) {
+          sendJSON(ws, {
+            type: 'audio',
+            sessionId: sessionId,
+            contentType: detectContentType(audioData),
+            audio: audioData.toString('base64'),
+            provenance: result.provenance
+          });
+        } else {
+          sendJSON(ws, {
+            type: 'audio_complete',
+            sessionId: sessionId,
+            chunks: audioChunks,
+            provenance: result.provenance
+          });
+        }
+      } catch (error) {
+        if (isAbortError(error)) {
+          logger.info('Recording processing cancelled');
+          return;
+        }
+        logger.error('Error processing recording', { error });
+        const errorType = error instanceof VoiceAgentError ? error.type : 'INTERNAL_ERROR';
+        sendJSON(ws, {
+          type: 'error',
+          error: 'Failed to process recording',
+          errorType: errorType,
+          userMessage: errorMessage(sessionLocale(sessionId), errorType),
+          retryAfterMs: error.retryAfterMs,
+          details: error.message
+        });
+      } finally {
+        if (releaseTurn) {
+          releaseTurn();
+        }
+        if (turnController === controller) {
+          turnController = null;
+        }
+      }
+    }
   
-  // Handle incoming audio data
-  ws.on('message', (data) => {
-    try {
-      // Check if data is binary (audio chunks)
-      if (data instanceof Buffer) {
-        console.log(`Received audio chunk: ${data.length} bytes for session ${sessionId}`);
-        
-        // Write audio chunk to file
-        audioWriteStream.write(data);
+    // Handle incoming audio data
+    ws.on('message', inConnection((data, isBinary) => {
+      try {
+        // Check if data is binary (audio chunks)
+        if (isBinary) {
+          logger.debug('Received audio chunk', { bytes: data.length });
+          metrics.streamedBytes.inc({ transport: 'websocket', direction: 'received' }, data.length);
         
-        // Send acknowledgment
-        ws.send(JSON.stringify({
-          type: 'audio_received',
-          chunkSize: data.length,
-          sessionId: sessionId,
-          timestamp: new Date().toISOString()
-        }));
-      } else {
-        // Handle text messages (control messages)
-        const message = JSON.parse(data.toString());
-        console.log(`Received control message:`, message);
+          // In VAD mode the detector buffers utterances; otherwise write the
+          // chunk to the recording file
+          if (vad) {
+            vad.write(data);
+          } else {
+            if (!audioWriteStream) {
+              openRecordingFile(data);
+            }
+            audioWriteStream.write(data);
+
+            // Forward it to the realtime transcriber when streaming
+            if (sttStream) {
+              sttStream.write(data);
+            }
+          }
         
-        if (message.type === 'recording_started') {
-          console.log(`Recording started for session ${sessionId}`);
-          ws.send(JSON.stringify({
-            type: 'recording_confirmed',
+          // Send acknowledgment
+          sendJSON(ws, {
+            type: 'audio_received',
+            chunkSize: data.length,
             sessionId: sessionId,
-            message: 'Recording confirmed, ready to receive audio'
-          }));
-        } else if (message.type === 'recording_stopped') {
-          console.log(`Recording stopped for session ${sessionId}`);
-          
-          // Close the audio file stream
-          audioWriteStream.end();
+            timestamp: new Date().toISOString()
+          });
+        } else {
+          // Handle text messages (control messages)
+          const message = JSON.parse(data.toString());
+          logger.debug('Received control message', { messageType: message.type });
+        
+          if (message.type === 'recording_started') {
+            logger.info('Recording started');
+
+            // Streaming STT expects 16-bit mono PCM; clients opt in per recording
+            const streaming = message.streaming !== undefined ? Boolean(message.streaming) : config.STT_STREAMING;
+            if (streaming && !sttStream) {
+              startStreamingTranscription(message.sampleRate);
+            }
+
+            // Containers are recognized from their bytes, but headerless PCM
+            // (always the case when streaming) must be declared
+            recordingPcm = message.format === 'pcm' || (streaming && message.format === undefined)
+              ? parseDeclaredPcm({ ...message, format: 'pcm' })
+              : null;
+
+            // Replies can likewise be streamed sentence by sentence
+            streamResponse = message.streamResponse !== undefined ? Boolean(message.streamResponse) : config.LLM_STREAMING;
+
+            sendJSON(ws, {
+              type: 'recording_confirmed',
+              sessionId: sessionId,
+              streaming: Boolean(sttStream),
+              streamResponse: streamResponse,
+              message: 'Recording confirmed, ready to receive audio'
+            });
+          } else if (message.type === 'recording_stopped') {
+            logger.info('Recording stopped');
+
+            if (turnController || !audioWriteStream) {
+              sendJSON(ws, {
+                type: 'error',
+                error: 'No active recording to process',
+                errorType: 'VALIDATION_ERROR'
+              });
+              return;
+            }
           
-          ws.send(JSON.stringify({
-            type: 'recording_saved',
-            sessionId: sessionId,
-            filePath: audioFilePath,
-            message: 'Audio recording saved successfully'
-          }));
+            // Close the audio file stream and process it once fully flushed
+            const recording = { filePath: audioFilePath, pcm: recordingPcm };
+            audioWriteStream.end(inConnection((error) => {
+              // A write error has already been reported
+              if (error) {
+                return;
+              }
+              sendJSON(ws, {
+                type: 'recording_saved',
+                sessionId: sessionId,
+                filePath: recording.filePath,
+                message: 'Audio recording saved successfully'
+              });
+
+              processRecording(recording);
+            }));
+            audioWriteStream = null;
+          } else if (message.type === 'interrupt') {
+            // The user talked over the agent: stop the current turn
+            const cancelled = interruptTurn();
+            logger.info('Interrupt received', { cancelled });
+            sendJSON(ws, {
+              type: 'interrupted',
+              sessionId: sessionId,
+              cancelled: cancelled
+            });
+          }
         }
+      } catch (error) {
+        logger.error('Error processing WebSocket message', { error });
+        sendJSON(ws, {
+          type: 'error',
+          error: 'Failed to process audio data',
+          details: error.message
+        });
       }
-    } catch (error) {
-      console.error('Error processing WebSocket message:', error);
-      ws.send(JSON.stringify({
-        type: 'error',
-        error: 'Failed to process audio data',
-        details: error.message
+    }));
+  
+    // Handle connection close
+    ws.on('close', inConnection(() => {
+      logger.info('WebSocket connection closed');
+    
+      // Clean up resources, cancelling any turn still in flight
+      interruptTurn();
+      if (audioWriteStream) {
+        audioWriteStream.end();
+      }
+      if (sttStream) {
+        sttStream.abort();
+        sttStream = null;
+      }
+      wsConnections.delete(sessionId);
+    
+      // The recording file only lives as long as the connection
+      if (!audioFilePath) {
+        return;
+      }
+      fs.unlink(audioFilePath, (error) => {
+        if (error && error.code !== 'ENOENT') {
+          logger.debug('Could not remove audio file', { filePath: audioFilePath, error });
+        }
+      });
+    }));
+  
+    // Handle errors
+    ws.on('error', inConnection((error) => {
+      logger.error('WebSocket error', { error });
+      interruptTurn();
+      if (audioWriteStream) {
+        audioWriteStream.end();
+      }
+      if (sttStream) {
+        sttStream.abort();
+        sttStream = null;
+      }
+      wsConnections.delete(sessionId);
+    }));
+  });
+
+  // Files are named like multer's default, but the name is kept on the request
+  // so a partial file can be removed when the upload fails. The declared
+  // mimetype is not checked: inspectAudio validates the upload by its bytes.
+  const upload = multer({ 
+    storage: multer.diskStorage({
+      destination: 'uploads/',
+      filename: (req, file, cb) => {
+        const name = crypto.randomBytes(16).toString('hex');
+        req.uploadPath = path.join('uploads', name);
+        cb(null, name);
+      }
+    }),
+    limits: {
+      fileSize: config.MAX_UPLOAD_BYTES,
+      files: 1
+    }
+  });
+
+  // multer finishes from stream events, outside the request's logging scope.
+  // The time to receive an upload is the pipeline's upload stage.
+  function uploadAudio(req, res, next) {
+    const startedAt = Date.now();
+    upload.single('audio')(req, res, bindContext((error) => {
+      if (!error && req.file) {
+        metrics.stageDuration.observe({ stage: 'upload' }, (Date.now() - startedAt) / 1000);
+      }
+      if (error && req.uploadPath) {
+        fs.unlink(req.uploadPath, () => {});
+      }
+      next(error);
+    }));
+  }
+
+  // Middleware
+
+  // Every request gets a correlation ID (the caller's X-Request-Id when it is a
+  // sane token), echoed back and attached to everything logged while serving it
+  const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+  app.use((req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : createCorrelationId('req');
+    const startedAt = Date.now();
+    res.setHeader('X-Request-Id', requestId);
+    runWithContext({ requestId }, () => {
+      res.on('finish', bindContext(() => {
+        logger.info('Request completed', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - startedAt
+        });
       }));
+      next();
+    });
+  });
+
+  app.use(cors({
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    exposedHeaders: ['X-Request-Id', 'Server-Timing', 'X-Turn-Fallbacks', 'Retry-After']
+  }));
+  // JSON bodies are held to body-parser's 100kb default, except conversation
+  // imports, which parse their own up to MAX_IMPORT_BYTES
+  const parseJSON = express.json();
+  const parseImportJSON = express.json({ limit: config.MAX_IMPORT_BYTES });
+  app.use((req, res, next) => (req.path === '/agent/sessions/import' ? next() : parseJSON(req, res, next)));
+  app.use(express.static('public'));
+
+  // /agent routes need an authenticated client (when authentication is on) and
+  // are rate limited per client
+  app.use('/agent', authenticator.middleware, (req, res, next) => {
+    const limit = requestLimiter.take(limitKey(req));
+    if (!limit.allowed) {
+      return next(createRateLimitError('Too many requests, slow down', limit.retryAfterMs));
+    }
+    next();
+  });
+
+  // /admin routes are for the clients in ADMIN_CLIENTS or, with authentication
+  // off, for requests from this machine only. That check trusts only the
+  // socket's address, since callers can send any X-Forwarded-For, and refuses
+  // forwarded requests, which a proxy on this machine relays for anyone.
+  const adminClients = config.ADMIN_CLIENTS.split(',').map(clientId => clientId.trim()).filter(Boolean);
+  app.use('/admin', authenticator.middleware, (req, res, next) => {
+    const allowed = req.client
+      ? adminClients.includes(req.client.id)
+      : ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress) && !req.headers['x-forwarded-for'];
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'Admin access required',
+        type: 'AUTH_ERROR'
+      });
+    }
+    next();
+  });
+
+  // Effective settings with where each came from; secrets are redacted
+  app.get('/admin/config', (req, res) => {
+    res.json({
+      sources: configSources(config),
+      settings: describeConfig(config)
+    });
+  });
+
+  // Another client's session or job is reported as not found
+  app.param('sessionId', (req, res, next, sessionId) => {
+    const session = historyStore.getSession(sessionId);
+    if (session && !ownsSession(req.client, session)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        type: 'NOT_FOUND'
+      });
+    }
+    next();
+  });
+
+  app.param('jobId', (req, res, next, jobId) => {
+    const job = jobs.get(jobId);
+    if (job && req.client && job.clientId !== req.client.id) {
+      return res.status(404).json({
+        error: 'Job not found',
+        type: 'NOT_FOUND'
+      });
     }
+    next();
   });
+
+  // Chat history storage (memory, JSON file or SQLite, per HISTORY_STORE)
+  const historyStore = options.historyStore || createHistoryStore(config);
+  logger.info('Chat history store ready', { store: historyStore.name });
+
+  // Turn audio for conversation export bundles (TURN_AUDIO_DIR), dropped with
+  // its session; audio of sessions that expired is pruned on the history
+  // sweep interval
+  const turnAudio = createTurnAudioStore({ directory: config.TURN_AUDIO_DIR });
+  let turnAudioPruner = null;
+  if (turnAudio.enabled && config.HISTORY_SWEEP_INTERVAL_MS > 0) {
+    turnAudioPruner = setInterval(() => {
+      try {
+        const removed = turnAudio.prune(sessionId => historyStore.hasSession(sessionId));
+        if (removed > 0) {
+          logger.info('Removed audio of expired sessions', { removed });
+        }
+      } catch (error) {
+        logger.error('Turn audio prune failed', { error });
+      }
+    }, config.HISTORY_SWEEP_INTERVAL_MS);
+    turnAudioPruner.unref();
+  }
+
+  // Persona prompt templates
+  const prompts = createPromptLibrary({ directory: config.PROMPTS_DIR, defaultPersona: config.DEFAULT_PERSONA });
+
+  // Offline fallback replies (INTENTS_FILE)
+  const intents = createIntentEngine({ filePath: config.INTENTS_FILE });
+  logger.info('Fallback intents loaded', {
+    intents: Object.fromEntries(Object.entries(intents.listIntents()).map(([locale, names]) => [locale, names.length]))
+  });
+
+  // Pipeline adapters (STT, LLM, TTS) selected by config
+  const providers = createProviders(config, { metrics });
+  logger.info('Providers ready', { stt: providers.stt.name, llm: providers.llm.name, tts: providers.tts.name });
+
+  // Tools the LLM can call (built-in plus HTTP tools from TOOLS_FILE)
+  const tools = createTools(config);
+  logger.info('Tools ready', { tools: tools.definitions().map(tool => tool.name) });
+
+  // Rolling summarization keeps long conversations within the context budget
+  const extractiveSummarizer = createExtractiveSummarizer();
+  const memoryManager = createMemoryManager({
+    store: historyStore,
+    summarizer: config.SUMMARIZER === 'extractive' ? extractiveSummarizer : createLLMSummarizer(providers.llm),
+    fallbackSummarizer: extractiveSummarizer,
+    tokenBudget: config.MEMORY_TOKEN_BUDGET,
+    keepRecentMessages: config.MEMORY_KEEP_RECENT_TURNS * 2
+  });
+
+  // Background turns for clients that can't hold a request open for a long recording
+  const jobs = createJobQueue({
+    concurrency: config.ASYNC_JOB_CONCURRENCY,
+    maxQueued: config.ASYNC_JOB_QUEUE_SIZE,
+    ttlMs: config.ASYNC_JOB_TTL_MS,
+    maxFinished: config.ASYNC_JOB_MAX_FINISHED
+  });
+
+  // Validate API configuration
+  function validateAPIConfig() {
+    return [
+      ...providers.stt.validateConfig(),
+      ...providers.llm.validateConfig(),
+      ...providers.tts.validateConfig()
+    ];
+  }
+
+  // Offline synthesizer used whenever the configured TTS provider fails
+  const fallbackTTS = createProvider('tts', 'wav', config);
+
+  // Generate fallback audio response as a valid WAV
+  async function generateFallbackAudioResponse(message) {
+    logger.info('Using offline WAV synthesis for speech fallback');
+    return fallbackTTS.synthesize(message);
+  }
+
+  // Rule-based reply from the intent engine, used whenever the LLM cannot answer.
+  // metadata is the session's metadata (locale, attributes, ...).
+  function generateFallbackResponse(transcript, metadata = {}) {
+    const result = intents.respond(transcript, metadata);
+    logger.info('Using fallback intent due to LLM provider error', { intent: result.intent, locale: result.locale });
+    return result.response;
+  }
+
+  // LLM response generation through the configured provider. The history holds
+  // earlier turns only; the new transcript is sent as the final user message.
+  // Records a response fallback in trace when a canned reply is served instead.
+  async function generateLLMResponse(transcript, conversationHistory = [], { systemPrompt, trace, signal, metadata } = {}) {
+    // Validate input
+    if (!transcript || typeof transcript !== 'string' || transcript.trim() === '') {
+      throw new VoiceAgentError('Invalid transcript provided', 'VALIDATION_ERROR', 400);
+    }
+
+    logger.debug('Generating LLM response', { provider: providers.llm.name, transcript, historyLength: conversationHistory.length });
+
+    try {
+      return await providers.llm.generate(transcript, conversationHistory, { systemPrompt, signal });
+    } catch (error) {
+      if (error instanceof VoiceAgentError || isAbortError(error)) {
+        throw error;
+      }
+      trace.fallback('response', error, 'intents');
+      return generateFallbackResponse(transcript, metadata);
+    }
+  }
+
+  // Speech-to-text through the configured provider, in the session locale's
+  // language or, with detectLanguage, in whatever language was spoken.
+  // Returns { text, language } (language is null when unknown). The call is
+  // timed in trace, which also records a canned transcript served instead.
+  async function transcribeAudio(audioBuffer, { trace, signal, locale, detectLanguage, timeoutMs } = {}) {
+    // Validate audio buffer
+    if (!audioBuffer || !Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
+      throw new VoiceAgentError('Invalid audio buffer provided', 'VALIDATION_ERROR', 400);
+    }
+
+    try {
+      return await trace.time('transcription', providers.stt, () => providers.stt.transcribe(audioBuffer, { signal, locale, detectLanguage, timeoutMs }));
+    } catch (error) {
+      if (error instanceof VoiceAgentError || isAbortError(error)) {
+        throw error;
+      }
+
+      // Fallback: return a simple transcript for testing
+      logger.warn('Using fallback transcript due to STT provider error', { provider: providers.stt.name, error });
+      trace.fallback('transcription', error, 'canned');
+      return { text: translate(locale, 'fallbackTranscript'), language: null };
+    }
+  }
+
+  // Text-to-speech through the configured provider, with the voice for locale.
+  // Records a speech fallback in trace when the offline synthesizer is used instead.
+  async function generateSpeech(text, { trace, signal, locale } = {}) {
+    try {
+      // Validate input
+      if (!text || typeof text !== 'string' || text.trim() === '') {
+        throw new VoiceAgentError('Invalid text provided for speech generation', 'VALIDATION_ERROR', 400);
+      }
+
+      logger.debug('Generating speech', { provider: providers.tts.name, text });
+      return await providers.tts.synthesize(text, { signal, locale });
+    } catch (error) {
+      if (error instanceof VoiceAgentError || isAbortError(error)) {
+        throw error;
+      }
+      logger.warn('Speech generation error', { provider: providers.tts.name, error });
+    
+      // Fallback response
+      trace.fallback('speech', error, 'wav');
+      return generateFallbackAudioResponse(text);
+    }
+  }
+
+  // Declared parameters for headerless PCM ({ format: 'pcm', sampleRate, channels }),
+  // or undefined when the input is a self-describing container
+  function parseDeclaredPcm(source = {}) {
+    if (source.format !== 'pcm') {
+      return undefined;
+    }
+    return {
+      sampleRate: parseInt(source.sampleRate, 10) || config.STT_SAMPLE_RATE,
+      channels: parseInt(source.channels, 10) || 1
+    };
+  }
+
+  // Validate audio by its bytes rather than the client's claimed type, then
+  // convert WAV and PCM to 16-bit mono at STT_SAMPLE_RATE. Returns the audio to
+  // transcribe and what was detected about the input.
+  function prepareAudioForSTT(audioBuffer, pcm) {
+    const info = inspectAudio(audioBuffer, { pcm });
+    logger.info('Audio input', {
+      format: info.format,
+      codec: info.codec,
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      durationMs: info.durationMs
+    });
+
+    const normalized = normalizeForSTT(audioBuffer, info, { sampleRate: config.STT_SAMPLE_RATE });
+    if (normalized.audio !== audioBuffer) {
+      logger.debug('Normalized audio to mono WAV', { sampleRate: normalized.info.sampleRate });
+    }
+    return { audio: normalized.audio, info };
+  }
+
+  // Get chat history for a session (empty if it has none yet)
+  function getChatHistory(sessionId) {
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new VoiceAgentError('Invalid session ID', 'VALIDATION_ERROR', 400);
+    }
   
-  // Handle connection close
-  ws.on('close', () => {
-    console.log(`WebSocket connection closed: ${sessionId}`);
+    return historyStore.getMessages(sessionId);
+  }
+
+  // Add message to chat history; details (e.g. interrupted, toolCalls) are
+  // stored with it. Only an assistant message carrying tool calls may be empty.
+  function addToChatHistory(sessionId, role, content, details = {}) {
+    try {
+      if (!sessionId || !role || typeof content !== 'string' || (!content && !details.toolCalls)) {
+        throw new VoiceAgentError('Invalid parameters for chat history', 'VALIDATION_ERROR', 400);
+      }
     
-    // Clean up resources
-    audioWriteStream.end();
-    wsConnections.delete(sessionId);
+      // The store trims to HISTORY_MAX_TURNS and refreshes the session's TTL
+      const historyLength = historyStore.appendMessage(sessionId, {
+        role: role,
+        content: content,
+        timestamp: new Date().toISOString(),
+        ...details
+      });
+      if (historyLength === false) {
+        logger.warn('Session was deleted or expired, message not stored', { sessionId, role });
+        return;
+      }
     
-    // Remove the audio file if it's empty or very small
+      logger.debug('Added message to chat history', { sessionId, role, historyLength });
+    } catch (error) {
+      logger.error('Error adding to chat history', { sessionId, error });
+      // Don't throw here as this shouldn't break the main flow
+    }
+  }
+
+  // Store a turn's audio when TURN_AUDIO_DIR is set. Returns the file name, or
+  // null when audio isn't kept or couldn't be written (the turn goes on).
+  function keepTurnAudio(sessionId, baseName, buffer) {
     try {
-      const stats = fs.statSync(audioFilePath);
-      if (stats.size < 1024) { // Less than 1KB
-        fs.unlinkSync(audioFilePath);
-        console.log(`Removed empty audio file: ${audioFilePath}`);
+      return turnAudio.save(sessionId, baseName, buffer);
+    } catch (error) {
+      logger.error('Could not store turn audio', { sessionId, error });
+      return null;
+    }
+  }
+
+  // Run one conversational turn: transcribe, answer with context, synthesize speech.
+  // Each stage falls back to a canned result instead of failing the turn, and
+  // the returned fallbacks flags record which stages did; provenance adds each
+  // stage's duration, provider and the error type behind a fallback. The optional
+  // onTranscript/onResponse callbacks let streaming transports push results as
+  // stages finish, and aborting options.signal cancels whichever stage is in
+  // flight (the turn then rejects with an ABORTED error).
+  // With language detection on (STT_LANGUAGE_DETECTION or the session's
+  // detectLanguage), a transcript in another language switches the session's
+  // locale before the reply is generated, and options.onLocaleChange is told.
+  // options.transcriptionTimeoutMs lets background jobs wait on long recordings.
+  // options.trace (see lib/provenance.js) times the turn from when it began; a
+  // new one is started if not given.
+  async function runVoiceTurn(sessionId, audioBuffer, options = {}) {
+    const trace = options.trace || createTurnTrace({ turnId: currentContext().turnId });
+    const session = historyStore.getSession(sessionId);
+    const metadata = session ? session.metadata : {};
+    const detectLanguage = typeof metadata.detectLanguage === 'boolean' ? metadata.detectLanguage : config.STT_LANGUAGE_DETECTION;
+
+    // Step 1: Transcribe audio
+    logger.debug('Transcribing audio', { bytes: audioBuffer.length });
+    let transcript;
+    try {
+      const result = await transcribeAudio(audioBuffer, {
+        trace,
+        signal: options.signal,
+        locale: metadata.locale,
+        detectLanguage,
+        timeoutMs: options.transcriptionTimeoutMs
+      });
+      transcript = result.text;
+      if (detectLanguage && result.language && languageOf(result.language) !== languageOf(metadata.locale)) {
+        logger.info('Detected another language, switching session locale', { from: metadata.locale, to: result.language });
+        historyStore.updateSession(sessionId, { metadata: { locale: result.language } });
+        if (options.onLocaleChange) {
+          options.onLocaleChange(result.language);
+        }
       }
     } catch (error) {
-      console.log(`Could not remove audio file: ${error.message}`);
+      if (isAbortError(error)) {
+        throw error;
+      }
+      logger.error('Transcription failed', { error });
+      // Use fallback transcript
+      transcript = translate(metadata.locale, 'unclearAudio');
+      trace.fallback('transcription', error, 'canned');
     }
-  });
   
-  // Handle errors
-  ws.on('error', (error) => {
-    console.error(`WebSocket error for session ${sessionId}:`, error);
-    audioWriteStream.end();
-    wsConnections.delete(sessionId);
-  });
-});
-
-const upload = multer({ 
-  dest: 'uploads/',
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept audio files
-    if (file.mimetype.startsWith('audio/') || file.mimetype === 'application/octet-stream') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only audio files are allowed'), false);
+    throwIfAborted(options.signal);
+    logger.info('Transcription completed', { transcript, fallback: trace.fallbacks.transcription });
+    if (options.onTranscript) {
+      options.onTranscript(transcript);
     }
+
+    const inputAudioFile = keepTurnAudio(sessionId, `${trace.turnId || createCorrelationId('turn')}-input`, audioBuffer);
+    return runAgentTurn(sessionId, transcript, { ...options, trace, inputAudioFile });
   }
-});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
+  // Run the tool calls of one function-calling round. The model's message and
+  // each result are appended to messages for the next round and to the
+  // session's chat history, with the turn's provenance so far.
+  async function runToolCalls(reply, messages, { trace, signal, toolContext }) {
+    const { sessionId } = toolContext;
+    messages.push({ role: 'assistant', content: reply.text, toolCalls: reply.toolCalls });
+    addToChatHistory(sessionId, 'assistant', reply.text, { toolCalls: reply.toolCalls, provenance: trace.toJSON() });
 
-// In-memory chat history storage
-const chatHistory = new Map();
+    for (const call of reply.toolCalls) {
+      logger.info('Calling tool', { tool: call.name, arguments: call.arguments });
+      const result = await tools.execute(call.name, call.arguments, { ...toolContext, signal });
+      const content = JSON.stringify(result);
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: content });
+      addToChatHistory(sessionId, 'tool', content, { toolCallId: call.id, name: call.name, provenance: trace.toJSON() });
+    }
+    throwIfAborted(signal);
+  }
+
+  // Answer with function calling: the model may call tools until it gives a
+  // final answer or TOOL_MAX_ITERATIONS rounds have run. Each call and its
+  // result are added to the chat history as they happen (see runToolCalls).
+  async function respondWithTools(transcript, conversationHistory, { systemPrompt, trace, signal, toolContext }) {
+    const messages = [...conversationHistory, { role: 'user', content: transcript }];
+    const definitions = tools.definitions();
+
+    logger.debug('Generating LLM response with tools', { provider: providers.llm.name, tools: definitions.length });
+    let reply = null;
+    for (let round = 0; round < config.TOOL_MAX_ITERATIONS; round++) {
+      reply = await providers.llm.generateWithTools(messages, { systemPrompt, tools: definitions, signal });
+      if (reply.toolCalls.length === 0) {
+        break;
+      }
+      await runToolCalls(reply, messages, { trace, signal, toolContext });
+    }
+
+    // Out of rounds: ask for an answer from what the tools returned so far
+    if (reply.toolCalls.length > 0) {
+      logger.warn('Tool round limit reached', { limit: config.TOOL_MAX_ITERATIONS });
+      reply = await providers.llm.generateWithTools(messages, { systemPrompt, tools: [], signal });
+    }
 
-// Error handling utilities
-class VoiceAgentError extends Error {
-  constructor(message, type, statusCode = 500) {
-    super(message);
-    this.name = 'VoiceAgentError';
-    this.type = type;
-    this.statusCode = statusCode;
+    if (!reply.text || reply.text.trim() === '') {
+      throw new VoiceAgentError(`${providers.llm.name} returned an empty response`, 'API_ERROR', 502);
+    }
+    return reply.text;
   }
-}
 
-// Validate API configuration
-function validateAPIConfig() {
-  const errors = [];
-  
-  if (!config.GEMINI_API_KEY || config.GEMINI_API_KEY.trim() === '') {
-    errors.push('GEMINI_API_KEY is not configured');
+  // Streaming form of respondWithTools: every round is streamed and its text
+  // yielded as it arrives, so a reply that needs no tool is spoken from its
+  // first sentence. Text the model says before calling a tool ("Let me
+  // check") is part of the spoken reply.
+  async function* streamWithTools(transcript, conversationHistory, { systemPrompt, trace, signal, toolContext }) {
+    const messages = [...conversationHistory, { role: 'user', content: transcript }];
+    const definitions = tools.definitions();
+
+    logger.debug('Streaming LLM response with tools', { provider: providers.llm.name, tools: definitions.length });
+    for (let round = 0; round <= config.TOOL_MAX_ITERATIONS; round++) {
+      // Out of rounds: ask for an answer from what the tools returned so far
+      const lastRound = round === config.TOOL_MAX_ITERATIONS;
+      if (lastRound) {
+        logger.warn('Tool round limit reached', { limit: config.TOOL_MAX_ITERATIONS });
+      }
+
+      const reply = { text: '', toolCalls: [] };
+      for await (const part of providers.llm.generateStreamWithTools(messages, { systemPrompt, tools: lastRound ? [] : definitions, signal })) {
+        if (part.toolCall) {
+          reply.toolCalls.push(part.toolCall);
+        } else if (part.text) {
+          reply.text += part.text;
+          yield part.text;
+        }
+      }
+      if (reply.toolCalls.length === 0 || lastRound) {
+        return;
+      }
+      await runToolCalls(reply, messages, { trace, signal, toolContext });
+    }
   }
-  
-  if (!config.ASSEMBLY_API_KEY || config.ASSEMBLY_API_KEY.trim() === '') {
-    errors.push('ASSEMBLY_API_KEY is not configured');
+
+  // Step helpers shared by the buffered and streaming turn paths. Each one
+  // times its stage and substitutes a canned result on failure, recording both
+  // in trace.
+  // With a toolContext ({ sessionId, metadata }) the model may call tools.
+  // A failed reply comes from the intent engine, using the session's metadata.
+  // With timed: false the caller is already timing the response stage.
+  async function respondWithFallback(transcript, conversationHistory, { systemPrompt, trace, signal, metadata, toolContext, timed = true }) {
+    const respond = () => (toolContext
+      ? respondWithTools(transcript, conversationHistory, { systemPrompt, trace, signal, toolContext })
+      : generateLLMResponse(transcript, conversationHistory, { systemPrompt, trace, signal, metadata }));
+    try {
+      return await (timed ? trace.time('response', providers.llm, respond) : respond());
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      logger.error('LLM response generation failed', { error });
+      // Use fallback response
+      trace.fallback('response', error, 'intents');
+      return generateFallbackResponse(transcript, metadata);
+    }
   }
-  
-  return errors;
-}
 
-// Generate fallback audio response
-function generateFallbackAudioResponse(message) {
-  const fallbackText = `I'm having trouble connecting right now. ${message}`;
-  return Buffer.from(fallbackText);
-}
+  async function speakWithFallback(text, { trace, signal, locale }) {
+    try {
+      return await trace.time('speech', providers.tts, () => generateSpeech(text, { trace, signal, locale }), { locale });
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      logger.error('Speech generation failed', { error });
+      // Use fallback audio response
+      trace.fallback('speech', error, 'wav');
+      return generateFallbackAudioResponse(text);
+    }
+  }
 
-// Gemini AI response generation function with enhanced error handling
-async function generateGeminiResponse(transcript, conversationHistory = []) {
-  try {
-    // Validate API key
-    if (!config.GEMINI_API_KEY || config.GEMINI_API_KEY.trim() === '') {
-      throw new VoiceAgentError('Gemini API key not configured', 'CONFIG_ERROR', 500);
+  // Stream the LLM reply and synthesize it sentence by sentence, handing each
+  // audio segment to onAudioChunk in order while later sentences are still being
+  // generated. Returns the full reply text. If the stream fails before producing
+  // any text, the buffered LLM path is used instead; if it fails midway, the
+  // partial reply is kept. Aborting signal discards audio not yet delivered.
+  // With a toolContext the model may call tools between streamed rounds (see
+  // streamWithTools); a provider that cannot stream them runs the buffered
+  // tool loop first and its final answer is spoken in sentences the same way.
+  async function streamResponseWithSpeech(transcript, conversationHistory, { systemPrompt, trace, signal, metadata = {}, toolContext, onTextDelta, onAudioChunk }) {
+    const splitter = createSentenceSplitter();
+    const speechQueue = createOrderedSpeechQueue(
+      (sentence) => speakWithFallback(sentence, { trace, signal, locale: metadata.locale }),
+      (segment) => onAudioChunk({ ...segment, contentType: detectContentType(segment.audio) })
+    );
+    if (signal) {
+      signal.addEventListener('abort', () => speechQueue.cancel(), { once: true });
     }
 
-    console.log('Generating Gemini response for transcript:', transcript);
-    console.log('Conversation history length:', conversationHistory.length);
-    
-    // Validate input
-    if (!transcript || typeof transcript !== 'string' || transcript.trim() === '') {
-      throw new VoiceAgentError('Invalid transcript provided', 'VALIDATION_ERROR', 400);
+    let llmResponse = '';
+
+    // Stream the reply into llmResponse, queueing each finished sentence for speech
+    async function streamReply() {
+      let deltas;
+      if (!toolContext) {
+        deltas = providers.llm.generateStream(transcript, conversationHistory, { systemPrompt, signal });
+      } else if (typeof providers.llm.generateStreamWithTools === 'function') {
+        deltas = streamWithTools(transcript, conversationHistory, { systemPrompt, trace, signal, toolContext });
+      } else {
+        deltas = [await respondWithTools(transcript, conversationHistory, { systemPrompt, trace, signal, toolContext })];
+      }
+      for await (const delta of deltas) {
+        throwIfAborted(signal);
+        llmResponse += delta;
+        if (onTextDelta) {
+          onTextDelta(delta);
+        }
+        splitter.push(delta).forEach(sentence => speechQueue.push(sentence));
+      }
     }
-    
-    // Build the conversation context
-    let conversationContext = '';
-    if (conversationHistory && conversationHistory.length > 0) {
-      conversationContext = 'Previous conversation:\n';
-      conversationHistory.forEach((msg, index) => {
-        if (msg && msg.role && msg.content) {
-          conversationContext += `${msg.role}: ${msg.content}\n`;
+
+    const finishResponse = trace.start('response', providers.llm);
+    try {
+      try {
+        await streamReply();
+      } catch (error) {
+        throwIfAborted(signal);
+        if (isAbortError(error)) {
+          throw error;
         }
-      });
-      conversationContext += '\n';
+        if (llmResponse.trim() !== '') {
+          logger.warn('LLM stream interrupted, keeping the partial reply', { error });
+        } else {
+          logger.warn('LLM stream failed, using the buffered response path', { error });
+        }
+      }
+
+      // The buffered retry is part of the same response span
+      if (llmResponse.trim() === '') {
+        llmResponse = await respondWithFallback(transcript, conversationHistory, { systemPrompt, trace, signal, metadata, timed: false });
+        splitter.push(llmResponse);
+      }
+    } finally {
+      finishResponse();
     }
-    
-    const prompt = `You are a helpful AI voice assistant. ${conversationContext}The user said: "${transcript}". Please provide a natural, conversational response. Keep it concise (1-2 sentences) and friendly.`;
-    
-    const response = await axios.post(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${config.GEMINI_API_KEY}`, {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }]
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
+
+    splitter.flush().forEach(sentence => speechQueue.push(sentence));
+    await speechQueue.drain();
+    throwIfAborted(signal);
+    return llmResponse;
+  }
+
+  // Answer an already-transcribed (or typed) user utterance and synthesize the
+  // reply. With options.onAudioChunk and a provider that can stream, speech is
+  // produced per sentence while the reply is generated and audioData is null.
+  // If options.signal is aborted mid-turn, whatever part of the reply exists is
+  // stored with interrupted: true and the turn rejects with an ABORTED error.
+  // Both history entries carry the turn's provenance so far, and its duration,
+  // outcome and fallbacks are recorded in metrics. With TURN_AUDIO_DIR set, the
+  // entries' `audio` lists the stored files (options.inputAudioFile for the
+  // user's recording).
+  async function runAgentTurn(sessionId, transcript, options = {}) {
+    const trace = options.trace || createTurnTrace({ turnId: currentContext().turnId });
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    // Step 2: Get earlier turns and the session's persona for context
+    const conversationHistory = getChatHistory(sessionId);
+    const session = historyStore.getSession(sessionId);
+    const metadata = session ? session.metadata : {};
+    const systemPrompt = memoryManager.withSummary(
+      prompts.buildSystemPrompt(metadata),
+      session ? session.summary : null
+    );
+    logger.debug('Loaded conversation context', { historyLength: conversationHistory.length, persona: metadata.persona });
+
+    // Step 3: Add user message to chat history (with the recording's file
+    // name when turn audio is kept)
+    addToChatHistory(sessionId, 'user', transcript, {
+      provenance: trace.toJSON(),
+      ...(options.inputAudioFile ? { audio: [options.inputAudioFile] } : {})
     });
 
-    if (!response.data || !response.data.candidates || !response.data.candidates[0]) {
-      throw new VoiceAgentError('Invalid response from Gemini API', 'API_ERROR', 500);
+    // Step 4: Generate LLM response with context (streaming speech as it goes if requested)
+    const toolContext = tools.size > 0 && typeof providers.llm.generateWithTools === 'function'
+      ? { sessionId: sessionId, metadata: metadata }
+      : null;
+    const streamSpeech = Boolean(options.onAudioChunk) && (Boolean(toolContext) || typeof providers.llm.generateStream === 'function');
+    let llmResponse = '';
+    let partialResponse = '';
+    let audioData = null;
+    // Reply audio kept for exports: one file, or one per streamed sentence
+    const replyAudioName = `${trace.turnId || createCorrelationId('turn')}-reply`;
+    const replyAudioFiles = [];
+    const keepReplyAudio = (baseName, buffer) => {
+      const fileName = keepTurnAudio(sessionId, baseName, buffer);
+      if (fileName) {
+        replyAudioFiles.push(fileName);
+      }
+    };
+    try {
+      llmResponse = streamSpeech
+        ? await streamResponseWithSpeech(transcript, conversationHistory, {
+          systemPrompt,
+          trace,
+          signal,
+          metadata,
+          toolContext,
+          onTextDelta: (delta) => {
+            partialResponse += delta;
+            if (options.onTextDelta) {
+              options.onTextDelta(delta);
+            }
+          },
+          onAudioChunk: (segment) => {
+            options.onAudioChunk(segment);
+            keepReplyAudio(`${replyAudioName}-${segment.index}`, segment.audio);
+          }
+        })
+        : await respondWithFallback(transcript, conversationHistory, { systemPrompt, trace, signal, metadata, toolContext });
+      throwIfAborted(signal);
+
+      logger.info('LLM response ready', { response: llmResponse, fallback: trace.fallbacks.response });
+      if (options.onResponse) {
+        options.onResponse(llmResponse);
+      }
+
+      // Step 5: Generate speech (already done sentence by sentence when streaming)
+      if (!streamSpeech) {
+        audioData = await speakWithFallback(llmResponse, { trace, signal, locale: metadata.locale });
+        throwIfAborted(signal);
+        keepReplyAudio(replyAudioName, audioData);
+      }
+    } catch (error) {
+      if (isAbortError(error)) {
+        const interruptedResponse = llmResponse || partialResponse;
+        logger.info('Turn interrupted', { partialChars: interruptedResponse.length });
+        if (interruptedResponse.trim() !== '') {
+          addToChatHistory(sessionId, 'assistant', interruptedResponse, {
+            interrupted: true,
+            provenance: trace.toJSON(),
+            ...(replyAudioFiles.length > 0 ? { audio: replyAudioFiles } : {})
+          });
+        }
+        metrics.turns.inc({ outcome: 'interrupted' });
+      } else {
+        metrics.turns.inc({ outcome: 'failed' });
+      }
+      throw error;
     }
 
-    const geminiResponse = response.data.candidates[0].content.parts[0].text;
-    console.log('Gemini Response:', geminiResponse);
-    return geminiResponse;
-  } catch (error) {
-    console.error('Gemini API error:', error.response?.status, error.response?.data);
-    
-    // Handle specific error types
-    if (error instanceof VoiceAgentError) {
+    // Canned results are served silently to the caller; count them so
+    // degradation can be alerted on
+    metrics.turns.inc({ outcome: 'completed' });
+    metrics.stageDuration.observe({ stage: 'turn' }, trace.elapsedMs() / 1000);
+    for (const [stage, used] of Object.entries(trace.fallbacks)) {
+      if (used) {
+        metrics.fallbacks.inc({ stage });
+      }
+    }
+
+    // Step 6: Add AI response to chat history, marked with how it was produced,
+    // then condense older turns in the background if the session has outgrown
+    // its context budget
+    const provenance = trace.toJSON();
+    addToChatHistory(sessionId, 'assistant', llmResponse, {
+      provenance,
+      ...(replyAudioFiles.length > 0 ? { audio: replyAudioFiles } : {})
+    });
+    memoryManager.maybeCompact(sessionId).catch((error) => {
+      logger.error('Memory compaction failed', { sessionId, error });
+    });
+
+    return {
+      transcript,
+      llmResponse,
+      audioData,
+      fallbacks: trace.fallbacks,
+      provenance,
+      trace,
+      locale: metadata.locale || 'en',
+      historyLength: getChatHistory(sessionId).length
+    };
+  }
+
+  // Locale of a live session, or English when there is none
+  function sessionLocale(sessionId) {
+    const session = sessionId ? historyStore.getSession(sessionId) : null;
+    return (session && session.metadata.locale) || 'en';
+  }
+
+  // "10MB" for error messages
+  function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB` : `${Math.round(bytes / 1024)}KB`;
+  }
+
+  // Tell a rate-limited client when to retry
+  function setRetryAfter(res, error) {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+  }
+
+  // JSON body for a finished turn (also the result of an async job)
+  function formatTurnResult(sessionId, result, inputAudio) {
+    return {
+      sessionId: sessionId,
+      transcript: result.transcript,
+      response: result.llmResponse,
+      audio: result.audioData.toString('base64'),
+      audioContentType: detectContentType(result.audioData),
+      inputAudio: inputAudio,
+      locale: result.locale,
+      historyLength: result.historyLength,
+      fallbacks: result.fallbacks,
+      provenance: result.provenance
+    };
+  }
+
+  // Server-Timing with each stage's duration and provider, and X-Turn-Fallbacks
+  // naming the stages that served canned results and why
+  function setTurnHeaders(res, result) {
+    res.set('Server-Timing', result.trace.serverTiming());
+    const fallbackSummary = result.trace.fallbackSummary();
+    if (fallbackSummary) {
+      res.set('X-Turn-Fallbacks', fallbackSummary);
+    }
+  }
+
+  // Queue a turn to run in the background. input is { audio, inputAudio } or
+  // { text }; the job's stage follows the turn through transcribing,
+  // responding and synthesizing, and its result is the JSON turn result.
+  // The caller's turn slot (releaseTurn) is held until the job ends.
+  function submitTurnJob(sessionId, input, { client, releaseTurn }) {
+    const submittedBy = currentContext();
+    let job;
+    try {
+      job = jobs.submit(runTurnJob, { sessionId, clientId: client ? client.id : null, onFinish: releaseTurn });
+    } catch (error) {
+      releaseTurn();
       throw error;
     }
-    
-    if (error.code === 'ECONNABORTED') {
-      throw new VoiceAgentError('Gemini API request timed out', 'TIMEOUT_ERROR', 408);
+
+    logger.info('Queued job', { jobId: job.jobId, sessionId });
+    return { ...job, statusUrl: `/agent/jobs/${job.jobId}` };
+
+    // Jobs start from whichever request or job freed a slot, so the submitting
+    // request's correlation IDs are set explicitly
+    function runTurnJob({ jobId, signal, setStage }) {
+      const context = { requestId: submittedBy.requestId, sessionId, turnId: submittedBy.turnId, jobId };
+      return runWithContext(context, () => runTurn(signal, setStage));
     }
-    
-    if (error.response?.status === 401) {
-      throw new VoiceAgentError('Invalid Gemini API key', 'AUTH_ERROR', 401);
+
+    async function runTurn(signal, setStage) {
+      if (!historyStore.hasSession(sessionId)) {
+        throw new VoiceAgentError('Session not found', 'NOT_FOUND', 404);
+      }
+      const options = {
+        signal: signal,
+        transcriptionTimeoutMs: config.ASYNC_TRANSCRIPTION_TIMEOUT_MS,
+        onTranscript: () => setStage('responding'),
+        onResponse: () => setStage('synthesizing')
+      };
+
+      let result;
+      if (input.audio) {
+        setStage('transcribing');
+        result = await runVoiceTurn(sessionId, input.audio, options);
+      } else {
+        setStage('responding');
+        result = await runAgentTurn(sessionId, input.text, options);
+      }
+      return formatTurnResult(sessionId, result, input.inputAudio || null);
     }
-    
-    if (error.response?.status === 429) {
-      throw new VoiceAgentError('Gemini API rate limit exceeded', 'RATE_LIMIT_ERROR', 429);
+  }
+
+  // Reject personas that have no prompt template
+  function assertPersonaExists(persona) {
+    if (persona && !prompts.hasPersona(persona)) {
+      throw new VoiceAgentError(`Unknown persona: ${persona}`, 'VALIDATION_ERROR', 400);
+    }
+  }
+
+  // List the persona templates sessions can use
+  app.get('/agent/personas', (req, res) => {
+    res.json({
+      personas: prompts.listPersonas(),
+      defaultPersona: config.DEFAULT_PERSONA
+    });
+  });
+
+  // List the tools the agent can call
+  app.get('/agent/tools', (req, res) => {
+    res.json({ tools: tools.definitions() });
+  });
+
+  // List the fallback intents per locale
+  app.get('/agent/intents', (req, res) => {
+    res.json({ intents: intents.listIntents() });
+  });
+
+  // Show which fallback intent a phrase triggers and the reply it gets.
+  // Uses the session's locale and attributes when sessionId is given; an
+  // explicit locale overrides it.
+  app.post('/agent/intents/match', (req, res, next) => {
+    const { text, locale, sessionId } = req.body || {};
+    if (typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({
+        error: 'text is required',
+        type: 'VALIDATION_ERROR'
+      });
+    }
+
+    let metadata = {};
+    if (sessionId !== undefined) {
+      const session = historyStore.getSession(sessionId);
+      if (!ownsSession(req.client, session)) {
+        return res.status(404).json({
+          error: 'Session not found',
+          type: 'NOT_FOUND'
+        });
+      }
+      metadata = session.metadata;
+    }
+    if (typeof locale === 'string' && locale !== '') {
+      metadata = { ...metadata, locale: locale };
+    }
+
+    try {
+      res.json(intents.respond(text, metadata));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create a session with server-generated ID, metadata and expiry
+  app.post('/agent/sessions', (req, res, next) => {
+    try {
+      const { metadata, ttlMs } = parseSessionInput(req.body, config.HISTORY_TTL_MS);
+      assertPersonaExists(metadata.persona);
+      metadata.clientId = req.client ? req.client.id : null;
+      const session = historyStore.createSession(generateSessionId(), { metadata, ttlMs });
+      metrics.sessionsCreated.inc();
+
+      logger.info('Created session', { sessionId: session.sessionId, persona: metadata.persona, locale: metadata.locale });
+      res.status(201).json(formatSession(session));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Recreate a conversation from a JSON export (GET /agent/chat/:sessionId/export)
+  // under a new session ID, with its settings, summary and messages
+  function parseImportBody(req, res, next) {
+    parseImportJSON(req, res, (error) => {
+      if (error && error.type === 'entity.too.large') {
+        return next(new VoiceAgentError(`Conversation export too large (max ${formatBytes(config.MAX_IMPORT_BYTES)})`, 'VALIDATION_ERROR', 413));
+      }
+      next(error);
+    });
+  }
+
+  app.post('/agent/sessions/import', parseImportBody, (req, res, next) => {
+    try {
+      const { sessionInput, summary, messages, importedFrom } = parseConversationImport(req.body, config.HISTORY_TTL_MS);
+      assertPersonaExists(sessionInput.metadata.persona);
+      sessionInput.metadata.clientId = req.client ? req.client.id : null;
+      const sessionId = generateSessionId();
+      historyStore.createSession(sessionId, sessionInput);
+      messages.forEach(message => historyStore.appendMessage(sessionId, message));
+      if (summary) {
+        historyStore.compactHistory(sessionId, 0, summary);
+      }
+      metrics.sessionsCreated.inc();
+
+      logger.info('Imported session', { sessionId, importedFrom, messages: messages.length });
+      res.status(201).json({ ...formatSession(historyStore.getSession(sessionId)), importedFrom });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List the caller's live sessions, most recently active first (?offset=&limit=&userId=)
+  app.get('/agent/sessions', (req, res, next) => {
+    try {
+      const { offset, limit } = parsePaging(req.query);
+      const userId = typeof req.query.userId === 'string' ? req.query.userId : undefined;
+      const clientId = req.client ? req.client.id : undefined;
+      const { sessions, total } = historyStore.listSessions({ offset, limit, userId, clientId });
+
+      res.json({
+        sessions: sessions.map(formatSession),
+        total: total,
+        offset: offset,
+        limit: limit
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get one session's metadata
+  app.get('/agent/sessions/:sessionId', (req, res) => {
+    const session = historyStore.getSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        type: 'NOT_FOUND'
+      });
+    }
+
+    res.json(formatSession(session));
+  });
+
+  // Change a session's locale, persona, system prompt or attributes
+  app.patch('/agent/sessions/:sessionId', (req, res, next) => {
+    try {
+      const patch = parseSessionPatch(req.body);
+      assertPersonaExists(patch.persona);
+
+      const session = historyStore.updateSession(req.params.sessionId, { metadata: patch });
+      if (!session) {
+        return res.status(404).json({ 
+          error: 'Session not found',
+          type: 'NOT_FOUND'
+        });
+      }
+
+      res.json(formatSession(session));
+    } catch (error) {
+      next(error);
     }
-    
-    if (error.response?.status >= 500) {
-      throw new VoiceAgentError('Gemini API server error', 'API_ERROR', 502);
+  });
+
+  // Delete a session and its history
+  app.delete('/agent/sessions/:sessionId', (req, res) => {
+    if (!historyStore.deleteSession(req.params.sessionId)) {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        type: 'NOT_FOUND'
+      });
     }
+    turnAudio.remove(req.params.sessionId);
+
+    res.json({
+      message: 'Session deleted',
+      sessionId: req.params.sessionId
+    });
+  });
+
+  // Chat endpoint with session management and comprehensive error handling.
+  // Accepts an `audio` upload or typed `text`, and answers with raw audio or,
+  // for `Accept: application/json`, a structured turn result. With ?async=1 the
+  // turn is queued instead and 202 returns a job to poll at GET /agent/jobs/:jobId.
+  app.post('/agent/chat/:sessionId', uploadAudio, async (req, res) => {
+    let uploadedFile = req.file || null;
+    let releaseTurn = null;
+  
+    try {
+      const sessionId = req.params.sessionId;
     
-    // Fallback to rule-based responses
-    console.log('Using fallback responses due to Gemini API error');
-    const responses = {
-      'hello': 'Hello! How can I help you today?',
-      'how are you': 'I\'m doing well, thank you for asking! How can I assist you?',
-      'what is your name': 'I\'m your AI voice assistant. Nice to meet you!',
-      'thank you': 'You\'re welcome! Is there anything else I can help you with?',
-      'goodbye': 'Goodbye! Have a great day!',
-      'help': 'I can help you with various tasks. Just ask me anything!',
-      'time': `The current time is ${new Date().toLocaleTimeString()}.`,
-      'date': `Today is ${new Date().toLocaleDateString()}.`,
-      'weather': 'I\'m sorry, I don\'t have access to weather information right now.',
-      'joke': 'Why don\'t scientists trust atoms? Because they make up everything! 😄',
-      'error': 'I\'m having trouble connecting right now. Please try again later.',
-      'connection': 'I\'m experiencing connection issues. Let me try to help you with a basic response.'
-    };
+      // Validate session ID
+      if (!sessionId || typeof sessionId !== 'string') {
+        throw new VoiceAgentError('Invalid session ID', 'VALIDATION_ERROR', 400);
+      }
 
-    const lowerTranscript = transcript.toLowerCase();
+      // Sessions must be created through POST /agent/sessions first
+      if (!historyStore.hasSession(sessionId)) {
+        throw new VoiceAgentError('Session not found', 'NOT_FOUND', 404);
+      }
+      addContext({ sessionId: sessionId, turnId: createCorrelationId('turn') });
     
-    // Check for matching keywords
-    for (const [keyword, response] of Object.entries(responses)) {
-      if (lowerTranscript.includes(keyword)) {
-        return response;
+      // Typed input arrives as a JSON body (or a multipart "text" field) and
+      // skips transcription; otherwise an audio upload is required
+      const textInput = req.body && typeof req.body.text === 'string' ? req.body.text : null;
+      if (!req.file && textInput === null) {
+        return res.status(400).json({ 
+          error: 'No audio file or text provided',
+          type: 'VALIDATION_ERROR'
+        });
       }
-    }
+      releaseTurn = acquireTurn(req);
 
-    // Default fallback response
-    return `I heard you say: "${transcript}". I'm currently experiencing some technical difficulties, but I'm here to help!`;
-  }
-}
+      // ?stream=1 answers with newline-delimited JSON events over a chunked
+      // response: the transcript, one audio_chunk per synthesized sentence in
+      // order, then a final done event
+      const streamReply = req.query.stream === '1' || req.query.stream === 'true';
+      const asyncJob = req.query.async === '1' || req.query.async === 'true';
 
-// Assembly AI transcription function with enhanced error handling
-async function transcribeAudio(audioBuffer) {
-  try {
-    // Validate API key
-    if (!config.ASSEMBLY_API_KEY || config.ASSEMBLY_API_KEY.trim() === '') {
-      throw new VoiceAgentError('Assembly AI API key not configured', 'CONFIG_ERROR', 500);
-    }
+      // Stop working on the turn if the client goes away before the reply is sent
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort();
+        }
+      });
+      const options = { signal: controller.signal };
+      let inputAudio = null;
+      const writeEvent = (event) => {
+        const line = JSON.stringify(event) + '\n';
+        res.write(line);
+        metrics.streamedBytes.inc({ transport: 'http', direction: 'sent' }, Buffer.byteLength(line));
+      };
+      if (streamReply) {
+        options.onTranscript = (transcript) => writeEvent({ type: 'transcript', text: transcript });
+        options.onAudioChunk = (segment) => writeEvent({
+          type: 'audio_chunk',
+          index: segment.index,
+          text: segment.text,
+          contentType: segment.contentType,
+          audio: segment.audio.toString('base64')
+        });
+      }
 
-    // Validate audio buffer
-    if (!audioBuffer || !Buffer.isBuffer(audioBuffer) || audioBuffer.length === 0) {
-      throw new VoiceAgentError('Invalid audio buffer provided', 'VALIDATION_ERROR', 400);
-    }
+      let result;
+      if (req.file) {
+        logger.info('Processing audio turn', { bytes: uploadedFile.size, async: asyncJob, stream: streamReply });
 
-    console.log('Starting transcription with Assembly AI...');
-    console.log('Audio buffer size:', audioBuffer.length, 'bytes');
-    
-    // First, upload the audio to Assembly AI
-    const uploadResponse = await axios.post('https://api.assemblyai.com/v2/upload', audioBuffer, {
-      headers: {
-        'Authorization': config.ASSEMBLY_API_KEY,
-        'Content-Type': 'application/octet-stream'
-      },
-      timeout: 15000 // 15 second timeout
-    });
+        // Validate file size (MAX_UPLOAD_BYTES)
+        if (uploadedFile.size > config.MAX_UPLOAD_BYTES) {
+          throw new VoiceAgentError(`Audio file too large (max ${formatBytes(config.MAX_UPLOAD_BYTES)})`, 'VALIDATION_ERROR', 400);
+        }
 
-    if (!uploadResponse.data || !uploadResponse.data.upload_url) {
-      throw new VoiceAgentError('Failed to upload audio to Assembly AI', 'API_ERROR', 500);
-    }
+        // Read the uploaded audio file, then clean it up
+        const audioBuffer = fs.readFileSync(uploadedFile.path);
+        fs.unlinkSync(uploadedFile.path);
+        uploadedFile = null;
 
-    console.log('Audio uploaded successfully');
-    const uploadUrl = uploadResponse.data.upload_url;
+        // Reject unrecognized or truncated audio before it reaches the STT
+        // provider. Raw PCM is declared with format=pcm&sampleRate=&channels=.
+        const { audio, info } = prepareAudioForSTT(audioBuffer, parseDeclaredPcm({ ...req.query, ...req.body }));
+        inputAudio = {
+          format: info.format,
+          codec: info.codec,
+          sampleRate: info.sampleRate,
+          channels: info.channels,
+          durationMs: info.durationMs
+        };
 
-    // Start transcription
-    const transcriptResponse = await axios.post('https://api.assemblyai.com/v2/transcript', {
-      audio_url: uploadUrl,
-      language_code: 'en'
-    }, {
-      headers: {
-        'Authorization': config.ASSEMBLY_API_KEY,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
+        if (asyncJob) {
+          const job = submitTurnJob(sessionId, { audio, inputAudio }, { client: req.client, releaseTurn });
+          releaseTurn = null;
+          return res.status(202).json(job);
+        }
+        if (streamReply) {
+          res.set('Content-Type', 'application/x-ndjson');
+          res.flushHeaders();
+        }
+        result = await runVoiceTurn(sessionId, audio, options);
+      } else {
+        const text = textInput.trim();
+        if (text === '' || text.length > config.MAX_TEXT_INPUT_LENGTH) {
+          throw new VoiceAgentError(`Text input must be 1-${config.MAX_TEXT_INPUT_LENGTH} characters`, 'VALIDATION_ERROR', 400);
+        }
 
-    if (!transcriptResponse.data || !transcriptResponse.data.id) {
-      throw new VoiceAgentError('Failed to start transcription', 'API_ERROR', 500);
-    }
+        if (asyncJob) {
+          const job = submitTurnJob(sessionId, { text }, { client: req.client, releaseTurn });
+          releaseTurn = null;
+          return res.status(202).json(job);
+        }
 
-    const transcriptId = transcriptResponse.data.id;
-    console.log('Transcription started, ID:', transcriptId);
+        logger.info('Processing text turn', { chars: text.length, stream: streamReply });
+        if (streamReply) {
+          res.set('Content-Type', 'application/x-ndjson');
+          res.flushHeaders();
+          options.onTranscript(text);
+        }
+        result = await runAgentTurn(sessionId, text, options);
+      }
 
-    // Poll for completion
-    let transcript = null;
-    let attempts = 0;
-    const maxAttempts = 30; // 30 seconds timeout
-    
-    while (!transcript && attempts < maxAttempts) {
-      const pollResponse = await axios.get(`https://api.assemblyai.com/v2/transcript/${transcriptId}`, {
-        headers: {
-          'Authorization': config.ASSEMBLY_API_KEY
-        },
-        timeout: 5000
-      });
+      if (streamReply) {
+        // Providers without streaming support still produce a single segment
+        if (result.audioData) {
+          options.onAudioChunk({ index: 0, text: result.llmResponse, contentType: detectContentType(result.audioData), audio: result.audioData });
+        }
+        writeEvent({
+          type: 'done',
+          response: result.llmResponse,
+          locale: result.locale,
+          historyLength: result.historyLength,
+          fallbacks: result.fallbacks,
+          provenance: result.provenance
+        });
+        return res.end();
+      }
 
-      console.log('Transcription status:', pollResponse.data.status);
+      const { audioData } = result;
+      const contentType = detectContentType(audioData);
+      setTurnHeaders(res, result);
 
-      if (pollResponse.data.status === 'completed') {
-        transcript = pollResponse.data.text;
-        console.log('Transcription completed:', transcript);
-      } else if (pollResponse.data.status === 'error') {
-        throw new VoiceAgentError('Transcription failed: ' + (pollResponse.data.error || 'Unknown error'), 'API_ERROR', 500);
-      } else {
-        // Wait 1 second before polling again
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        attempts++;
+      // Clients that ask for JSON get the transcript and reply text alongside the audio
+      if (req.accepts(['audio/*', 'application/json']) === 'application/json') {
+        return res.json(formatTurnResult(sessionId, result, inputAudio));
       }
-    }
 
-    if (!transcript) {
-      throw new VoiceAgentError('Transcription timeout', 'TIMEOUT_ERROR', 408);
-    }
+      // Label the body by what the speech stage actually produced
+      res.set({
+        'Content-Type': contentType,
+        'Content-Length': audioData.length
+      });
+      res.send(audioData);
 
-    return transcript;
-  } catch (error) {
-    console.error('Transcription error:', error.response?.status, error.response?.data);
-    
-    // Handle specific error types
-    if (error instanceof VoiceAgentError) {
-      throw error;
-    }
+    } catch (error) {
+      if (error instanceof VoiceAgentError) {
+        logger.warn('Chat turn failed', { error });
+      } else if (!isAbortError(error)) {
+        logger.error('Chat turn failed', { error });
+      }
     
-    if (error.code === 'ECONNABORTED') {
-      throw new VoiceAgentError('Transcription request timed out', 'TIMEOUT_ERROR', 408);
+      // Clean up uploaded file if it exists
+      if (uploadedFile && fs.existsSync(uploadedFile.path)) {
+        try {
+          fs.unlinkSync(uploadedFile.path);
+        } catch (cleanupError) {
+          logger.warn('Could not remove uploaded file', { error: cleanupError });
+        }
+      }
+
+      // The client disconnected and the turn was cancelled; nobody is listening
+      if (isAbortError(error) && res.destroyed) {
+        return;
+      }
+
+      // userMessage is safe to show or speak to the caller, in their language
+      const errorType = error instanceof VoiceAgentError ? error.type : 'INTERNAL_ERROR';
+      const userMessage = errorMessage(sessionLocale(req.params.sessionId), errorType);
+
+      // A streamed response has already started; report the failure in-band
+      if (res.headersSent) {
+        res.write(JSON.stringify({
+          type: 'error',
+          error: error.message,
+          errorType: errorType,
+          userMessage: userMessage
+        }) + '\n');
+        return res.end();
+      }
+
+      // Handle specific error types
+      if (error instanceof VoiceAgentError) {
+        setRetryAfter(res, error);
+        return res.status(error.statusCode).json({ 
+          error: error.message,
+          type: error.type,
+          userMessage: userMessage
+        });
+      }
+
+      // Generic error response
+      res.status(500).json({ 
+        error: 'Failed to process audio',
+        type: 'INTERNAL_ERROR',
+        userMessage: userMessage,
+        details: error.message 
+      });
+    } finally {
+      if (releaseTurn) {
+        releaseTurn();
+      }
     }
+  });
+
+  // Get chat history endpoint with error handling
+  app.get('/agent/chat/:sessionId/history', (req, res) => {
+    try {
+      const sessionId = req.params.sessionId;
     
-    if (error.response?.status === 401) {
-      throw new VoiceAgentError('Invalid Assembly AI API key', 'AUTH_ERROR', 401);
-    }
+      if (!sessionId || typeof sessionId !== 'string') {
+        return res.status(400).json({ 
+          error: 'Invalid session ID',
+          type: 'VALIDATION_ERROR'
+        });
+      }
     
-    if (error.response?.status === 429) {
-      throw new VoiceAgentError('Assembly AI rate limit exceeded', 'RATE_LIMIT_ERROR', 429);
-    }
+      if (!historyStore.hasSession(sessionId)) {
+        return res.status(404).json({ 
+          error: 'Session not found',
+          type: 'NOT_FOUND'
+        });
+      }
     
-    if (error.response?.status >= 500) {
-      throw new VoiceAgentError('Assembly AI server error', 'API_ERROR', 502);
-    }
+      const history = getChatHistory(sessionId);
     
-    // Fallback: return a simple transcript for testing
-    console.log('Using fallback transcript due to Assembly AI error');
-    return 'Hello, this is a test message from fallback transcription';
-  }
-}
-
-// LLM response generation function (now using Gemini)
-async function generateLLMResponse(transcript, conversationHistory = []) {
-  return await generateGeminiResponse(transcript, conversationHistory);
-}
-
-// Text-to-speech function using browser's built-in speech synthesis
-async function generateSpeech(text) {
-  try {
-    // Validate input
-    if (!text || typeof text !== 'string' || text.trim() === '') {
-      throw new VoiceAgentError('Invalid text provided for speech generation', 'VALIDATION_ERROR', 400);
+      res.json({
+        sessionId: sessionId,
+        summary: historyStore.getSession(sessionId).summary,
+        messages: history,
+        messageCount: history.length
+      });
+    } catch (error) {
+      logger.error('Error getting chat history', { error });
+      res.status(500).json({ 
+        error: 'Failed to retrieve chat history',
+        type: 'INTERNAL_ERROR',
+        details: error.message 
+      });
     }
+  });
 
-    console.log('Generating speech for text:', text);
+  // Clear chat history endpoint with error handling
+  app.delete('/agent/chat/:sessionId/history', (req, res) => {
+    try {
+      const sessionId = req.params.sessionId;
     
-    // For now, we'll return the text response since we don't have a TTS service
-    // In a real implementation, you could use:
-    // - Web Speech API (client-side)
-    // - Google Cloud Text-to-Speech
-    // - Amazon Polly
-    // - Azure Speech Services
+      if (!sessionId || typeof sessionId !== 'string') {
+        return res.status(400).json({ 
+          error: 'Invalid session ID',
+          type: 'VALIDATION_ERROR'
+        });
+      }
     
-    console.log('Using text response (no TTS service configured)');
-    return Buffer.from('AI Response: ' + text);
-  } catch (error) {
-    console.error('Speech generation error:', error);
+      if (!historyStore.clearMessages(sessionId)) {
+        return res.status(404).json({ 
+          error: 'Session not found',
+          type: 'NOT_FOUND'
+        });
+      }
+      turnAudio.remove(sessionId);
     
-    if (error instanceof VoiceAgentError) {
-      throw error;
+      res.json({
+        message: 'Chat history cleared',
+        sessionId: sessionId
+      });
+    } catch (error) {
+      logger.error('Error clearing chat history', { error });
+      res.status(500).json({ 
+        error: 'Failed to clear chat history',
+        type: 'INTERNAL_ERROR',
+        details: error.message 
+      });
     }
-    
-    // Fallback response
-    return Buffer.from('Error generating speech. Here is the text response: ' + text);
-  }
-}
+  });
 
-// Get or create chat history for a session
-function getChatHistory(sessionId) {
-  if (!sessionId || typeof sessionId !== 'string') {
-    throw new VoiceAgentError('Invalid session ID', 'VALIDATION_ERROR', 400);
-  }
-  
-  if (!chatHistory.has(sessionId)) {
-    chatHistory.set(sessionId, []);
-  }
-  return chatHistory.get(sessionId);
-}
+  // Download a conversation as JSON (which POST /agent/sessions/import takes
+  // back), Markdown, plain text or WebVTT captions (?format=), or as a zip of
+  // all four plus the stored turn audio (?format=zip)
+  app.get('/agent/chat/:sessionId/export', (req, res, next) => {
+    try {
+      const sessionId = req.params.sessionId;
+      const format = parseExportFormat(req.query.format);
+      const session = historyStore.getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          type: 'NOT_FOUND'
+        });
+      }
 
-// Add message to chat history
-function addToChatHistory(sessionId, role, content) {
-  try {
-    if (!sessionId || !role || !content) {
-      throw new VoiceAgentError('Invalid parameters for chat history', 'VALIDATION_ERROR', 400);
+      const conversation = buildConversationExport(session, getChatHistory(sessionId));
+      const body = format === 'zip'
+        ? createZip([
+          ...['json', 'markdown', 'text', 'vtt'].map(entryFormat => ({
+            name: `conversation.${EXPORT_FORMATS[entryFormat].extension}`,
+            data: renderConversation(conversation, entryFormat)
+          })),
+          ...turnAudio.list(sessionId).map(fileName => ({
+            name: `audio/${fileName}`,
+            data: turnAudio.read(sessionId, fileName)
+          }))
+        ])
+        : renderConversation(conversation, format);
+
+      logger.info('Exported conversation', { sessionId, format, messages: conversation.messages.length });
+      res.attachment(`${sessionId}.${EXPORT_FORMATS[format].extension}`);
+      res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.send(body);
+    } catch (error) {
+      next(error);
     }
-    
-    const history = getChatHistory(sessionId);
-    history.push({
-      role: role,
-      content: content,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Keep only last 20 messages to prevent memory issues
-    if (history.length > 20) {
-      history.splice(0, history.length - 20);
+  });
+
+  // Status of a background turn: queued, running (with its stage), then
+  // completed with the turn result, failed with an error, or cancelled
+  app.get('/agent/jobs/:jobId', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        type: 'NOT_FOUND'
+      });
     }
-    
-    console.log(`Added ${role} message to session ${sessionId}. History length: ${history.length}`);
-  } catch (error) {
-    console.error('Error adding to chat history:', error);
-    // Don't throw here as this shouldn't break the main flow
-  }
-}
+    res.json(job);
+  });
 
-// Chat endpoint with session management and comprehensive error handling
-app.post('/agent/chat/:sessionId', upload.single('audio'), async (req, res) => {
-  let uploadedFile = null;
-  
-  try {
-    const sessionId = req.params.sessionId;
-    
-    // Validate session ID
-    if (!sessionId || typeof sessionId !== 'string') {
-      return res.status(400).json({ 
-        error: 'Invalid session ID',
-        type: 'VALIDATION_ERROR'
+  // The reply audio of a completed job, as raw bytes
+  app.get('/agent/jobs/:jobId/audio', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        type: 'NOT_FOUND'
       });
     }
-    
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ 
-        error: 'No audio file provided',
-        type: 'VALIDATION_ERROR'
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        error: `Job is ${job.status}`,
+        type: 'NOT_READY'
       });
     }
 
-    uploadedFile = req.file;
-    console.log(`Processing audio for session: ${sessionId}`);
-    console.log('File size:', uploadedFile.size, 'bytes');
+    const audioData = Buffer.from(job.result.audio, 'base64');
+    res.set({
+      'Content-Type': job.result.audioContentType,
+      'Content-Length': audioData.length
+    });
+    res.send(audioData);
+  });
 
-    // Validate file size (max 10MB)
-    if (uploadedFile.size > 10 * 1024 * 1024) {
-      throw new VoiceAgentError('Audio file too large (max 10MB)', 'VALIDATION_ERROR', 400);
+  // Cancel a queued or running job
+  app.delete('/agent/jobs/:jobId', (req, res) => {
+    const job = jobs.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        type: 'NOT_FOUND'
+      });
     }
+    res.json(job);
+  });
 
-    // Read the uploaded audio file
-    const audioBuffer = fs.readFileSync(uploadedFile.path);
-
-    // Step 1: Transcribe audio using Assembly AI
-    console.log('Transcribing audio...');
-    let transcript;
+  // Transcript-finished callbacks from the STT provider (see PUBLIC_URL), so
+  // waiting transcriptions are fetched once instead of polled
+  app.post('/webhooks/stt', (req, res, next) => {
     try {
-      transcript = await transcribeAudio(audioBuffer);
+      if (typeof providers.stt.handleWebhook !== 'function') {
+        return res.status(404).json({
+          error: `${providers.stt.name} does not send webhooks`,
+          type: 'NOT_FOUND'
+        });
+      }
+      const handled = providers.stt.handleWebhook(req.headers, req.body);
+      res.json({ received: true, handled: handled });
     } catch (error) {
-      console.error('Transcription failed:', error);
-      // Use fallback transcript
-      transcript = 'Hello, I am having trouble understanding your audio. Could you please try again?';
+      next(error);
     }
-    
-    console.log('Transcription:', transcript);
-
-    // Step 2: Add user message to chat history
-    addToChatHistory(sessionId, 'user', transcript);
-
-    // Step 3: Get conversation history for context
-    const conversationHistory = getChatHistory(sessionId);
-    console.log('Conversation history:', conversationHistory);
+  });
 
-    // Step 4: Generate LLM response with context
-    console.log('Generating LLM response...');
-    let llmResponse;
+  // Prometheus scrape endpoint. Like /health it needs no credentials; labels
+  // are stage, provider and error type names, never user or session data.
+  app.get('/metrics', (req, res, next) => {
     try {
-      llmResponse = await generateLLMResponse(transcript, conversationHistory);
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(metrics.registry.render());
     } catch (error) {
-      console.error('LLM response generation failed:', error);
-      // Use fallback response
-      llmResponse = "I'm having trouble connecting to my AI services right now. Please try again in a moment.";
+      next(error);
     }
-    
-    console.log('LLM Response:', llmResponse);
-
-    // Step 5: Add AI response to chat history
-    addToChatHistory(sessionId, 'assistant', llmResponse);
+  });
 
-    // Step 6: Generate speech
-    console.log('Generating speech...');
-    let audioData;
+  // Health check endpoint with API validation
+  app.get('/health', (req, res) => {
     try {
-      audioData = await generateSpeech(llmResponse);
-    } catch (error) {
-      console.error('Speech generation failed:', error);
-      // Use fallback audio response
-      audioData = generateFallbackAudioResponse(llmResponse);
-    }
-
-    // Clean up uploaded file
-    if (uploadedFile && fs.existsSync(uploadedFile.path)) {
-      fs.unlinkSync(uploadedFile.path);
-      uploadedFile = null;
-    }
-
-    // Check if we got audio data or fallback text
-    if (audioData.length > 100) {
-      // Audio data
-      res.set({
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': audioData.length
-      });
-      res.send(audioData);
-    } else {
-      // Text fallback
-      res.set({
-        'Content-Type': 'text/plain',
-        'Content-Length': audioData.length
-      });
-      res.send(audioData);
-    }
+      const apiErrors = validateAPIConfig();
 
-  } catch (error) {
-    console.error('Error in /agent/chat:', error);
+      // Live circuit state per pipeline stage: closed, open or half-open, with
+      // the error rate over the breaker window
+      const providerHealth = {};
+      const circuitErrors = [];
+      for (const [stage, provider] of Object.entries(providers)) {
+        providerHealth[stage] = { name: provider.name, ...provider.circuit.snapshot() };
+        if (providerHealth[stage].state !== 'closed') {
+          circuitErrors.push(`${stage} provider ${provider.name} is ${providerHealth[stage].state}: ${providerHealth[stage].lastError}`);
+        }
+      }
     
-    // Clean up uploaded file if it exists
-    if (uploadedFile && fs.existsSync(uploadedFile.path)) {
-      try {
-        fs.unlinkSync(uploadedFile.path);
-      } catch (cleanupError) {
-        console.error('Error cleaning up file:', cleanupError);
+      if (apiErrors.length > 0 || circuitErrors.length > 0) {
+        return res.status(503).json({ 
+          status: 'DEGRADED',
+          message: apiErrors.length > 0
+            ? 'AI Voice Agent is running but some APIs are not configured'
+            : 'AI Voice Agent is running on fallbacks while some providers are failing',
+          errors: [...apiErrors, ...circuitErrors],
+          providers: providerHealth,
+          jobs: jobs.stats()
+        });
       }
+    
+      res.json({ 
+        status: 'OK', 
+        message: 'AI Voice Agent is running with all APIs configured',
+        providers: providerHealth,
+        jobs: jobs.stats()
+      });
+    } catch (error) {
+      logger.error('Health check error', { error });
+      res.status(500).json({ 
+        status: 'ERROR',
+        message: 'Health check failed',
+        error: error.message 
+      });
     }
+  });
 
-    // Handle specific error types
+  // Global error handler middleware
+  app.use((error, req, res, next) => {
     if (error instanceof VoiceAgentError) {
+      logger.warn('Request rejected', { error });
+      setRetryAfter(res, error);
       return res.status(error.statusCode).json({ 
         error: error.message,
         type: error.type
       });
     }
-
-    // Generic error response
-    res.status(500).json({ 
-      error: 'Failed to process audio',
-      type: 'INTERNAL_ERROR',
-      details: error.message 
-    });
-  }
-});
-
-// Get chat history endpoint with error handling
-app.get('/agent/chat/:sessionId/history', (req, res) => {
-  try {
-    const sessionId = req.params.sessionId;
-    
-    if (!sessionId || typeof sessionId !== 'string') {
-      return res.status(400).json({ 
-        error: 'Invalid session ID',
+  
+    // Handle multer errors
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: `File too large (max ${formatBytes(config.MAX_UPLOAD_BYTES)})`,
+        type: 'VALIDATION_ERROR'
+      });
+    }
+  
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        error: 'Too many files (max 1)',
+        type: 'VALIDATION_ERROR'
+      });
+    }
+  
+    if (error.message === 'Unexpected end of form') {
+      return res.status(400).json({
+        error: 'Invalid form data or missing audio file',
         type: 'VALIDATION_ERROR'
       });
     }
-    
-    const history = getChatHistory(sessionId);
-    
-    res.json({
-      sessionId: sessionId,
-      messages: history,
-      messageCount: history.length
-    });
-  } catch (error) {
-    console.error('Error getting chat history:', error);
-    res.status(500).json({ 
-      error: 'Failed to retrieve chat history',
-      type: 'INTERNAL_ERROR',
-      details: error.message 
-    });
-  }
-});
 
-// Clear chat history endpoint with error handling
-app.delete('/agent/chat/:sessionId/history', (req, res) => {
-  try {
-    const sessionId = req.params.sessionId;
-    
-    if (!sessionId || typeof sessionId !== 'string') {
-      return res.status(400).json({ 
-        error: 'Invalid session ID',
+    // body-parser errors: malformed JSON, or a body over the limit
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        error: 'Invalid JSON body',
         type: 'VALIDATION_ERROR'
       });
     }
-    
-    chatHistory.delete(sessionId);
-    
-    res.json({
-      message: 'Chat history cleared',
-      sessionId: sessionId
-    });
-  } catch (error) {
-    console.error('Error clearing chat history:', error);
-    res.status(500).json({ 
-      error: 'Failed to clear chat history',
-      type: 'INTERNAL_ERROR',
-      details: error.message 
-    });
-  }
-});
 
-// Health check endpoint with API validation
-app.get('/health', (req, res) => {
-  try {
-    const apiErrors = validateAPIConfig();
-    
-    if (apiErrors.length > 0) {
-      return res.status(503).json({ 
-        status: 'DEGRADED',
-        message: 'AI Voice Agent is running but some APIs are not configured',
-        errors: apiErrors
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: `Request body too large (max ${formatBytes(error.limit)})`,
+        type: 'VALIDATION_ERROR'
       });
     }
-    
-    res.json({ 
-      status: 'OK', 
-      message: 'AI Voice Agent is running with all APIs configured' 
-    });
-  } catch (error) {
-    console.error('Health check error:', error);
+  
+    logger.error('Unhandled error', { error });
     res.status(500).json({ 
-      status: 'ERROR',
-      message: 'Health check failed',
-      error: error.message 
+      error: 'Internal server error',
+      type: 'INTERNAL_ERROR'
     });
-  }
-});
+  });
 
-// Global error handler middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  
-  if (error instanceof VoiceAgentError) {
-    return res.status(error.statusCode).json({ 
-      error: error.message,
-      type: error.type
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ 
+      error: 'Endpoint not found',
+      type: 'NOT_FOUND'
     });
-  }
-  
-  // Handle multer errors
-  if (error.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({
-      error: 'File too large (max 10MB)',
-      type: 'VALIDATION_ERROR'
-    });
-  }
-  
-  if (error.code === 'LIMIT_FILE_COUNT') {
-    return res.status(400).json({
-      error: 'Too many files (max 1)',
-      type: 'VALIDATION_ERROR'
+  });
+
+  // Start accepting connections; port 0 picks a free one. Resolves with the
+  // port actually bound.
+  function listen(port = config.PORT) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
     });
   }
-  
-  if (error.message === 'Only audio files are allowed') {
-    return res.status(400).json({
-      error: 'Only audio files are allowed',
-      type: 'VALIDATION_ERROR'
+
+  // Stop accepting connections, drop open WebSockets and idle keep-alive
+  // connections, then close the history store
+  function close() {
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+    wss.close();
+    clearInterval(turnAudioPruner);
+    return new Promise((resolve) => {
+      server.close(() => {
+        historyStore.close();
+        resolve();
+      });
+      server.closeIdleConnections();
     });
   }
-  
-  if (error.message === 'Unexpected end of form') {
-    return res.status(400).json({
-      error: 'Invalid form data or missing audio file',
-      type: 'VALIDATION_ERROR'
-    });
+
+  return {
+    app,
+    server,
+    wss,
+    historyStore,
+    jobs,
+    metrics,
+    validateAPIConfig,
+    listen,
+    close
+  };
+}
+
+function main() {
+  // Invalid settings stop the server before it starts, listing every problem
+  let config;
+  try {
+    config = require('./config').load();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
-  
-  res.status(500).json({ 
-    error: 'Internal server error',
-    type: 'INTERNAL_ERROR'
+  configureLogger({
+    level: config.LOG_LEVEL,
+    format: config.LOG_FORMAT,
+    logUserContent: config.LOG_USER_CONTENT,
+    redact: (text) => redactText(config, text)
   });
-});
+  // Anything still written through console (dependencies) is scrubbed too
+  redactConsoleOutput(config);
+  logger.info('Configuration loaded', { sources: configSources(config) });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ 
-    error: 'Endpoint not found',
-    type: 'NOT_FOUND'
+  const agent = createVoiceAgentServer(config);
+  agent.listen(config.PORT).then((port) => {
+    logger.info('AI Voice Agent server running', { port: port, url: `http://localhost:${port}` });
+
+    // Check API configuration on startup
+    const apiErrors = agent.validateAPIConfig();
+    if (apiErrors.length > 0) {
+      logger.warn('API configuration incomplete; fallback responses will be used for failed APIs', { problems: apiErrors });
+    } else {
+      logger.info('All APIs are properly configured');
+    }
+  }, (error) => {
+    logger.error('Server failed to start', { port: config.PORT, error });
+    process.exit(1);
   });
-});
 
-// Start server with error handling
-const port = config.PORT || 3000; // Use config.PORT if available, otherwise default to 3000
-server.listen(port, () => {
-  console.log(`AI Voice Agent server running on port ${port}`);
-  console.log(`Open http://localhost:${port} to use the application`);
-  
-  // Check API configuration on startup
-  const apiErrors = validateAPIConfig();
-  if (apiErrors.length > 0) {
-    console.warn('⚠️  API Configuration Warnings:');
-    apiErrors.forEach(error => console.warn(`  - ${error}`));
-    console.warn('The application will use fallback responses for failed APIs.');
-  } else {
-    console.log('✅ All APIs are properly configured');
-  }
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
-
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+  // Graceful shutdown
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      logger.info(`${signal} received, shutting down gracefully`);
+      agent.close().then(() => {
+        logger.info('Server closed');
+        process.exit(0);
+      });
+    });
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createVoiceAgentServer
+};
@@ -27,7 +27,8 @@ async function testErrorHandling() {
     // Test 3: Test missing audio file
     console.log('\n3. Testing missing audio file...');
     try {
-        const response = await axios.post(`${baseUrl}/agent/chat/test-session`, {}, {
+        const session = await axios.post(`${baseUrl}/agent/sessions`, {});
+        const response = await axios.post(`${baseUrl}/agent/chat/${session.data.sessionId}`, {}, {
             headers: { 'Content-Type': 'multipart/form-data' }
         });
         console.log('✅ Missing audio response:', response.data);
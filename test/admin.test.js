@@ -0,0 +1,29 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startAgent } = require('./helpers/agent');
+
+describe('/admin without authentication', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent({ env: { TRUST_PROXY: 'true', GEMINI_API_KEY: 'gemini-secret-value' } });
+  });
+
+  after(() => server.close());
+
+  it('answers requests from this machine, with secrets redacted', async () => {
+    const response = await fetch(`${server.url}/admin/config`);
+
+    assert.equal(response.status, 200);
+    assert.doesNotMatch(await response.text(), /gemini-secret-value/);
+  });
+
+  it('refuses forwarded requests, whatever address they claim', async () => {
+    for (const forwardedFor of ['127.0.0.1', '203.0.113.7, 127.0.0.1', '::1']) {
+      const response = await fetch(`${server.url}/admin/config`, { headers: { 'X-Forwarded-For': forwardedFor } });
+
+      assert.equal(response.status, 403);
+      assert.deepEqual(await response.json(), { error: 'Admin access required', type: 'AUTH_ERROR' });
+    }
+  });
+});
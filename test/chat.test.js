@@ -0,0 +1,289 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeAssemblyAI, startFakeGemini } = require('./helpers/fake-upstreams');
+const { startAgent, toneWav, createSession, audioForm } = require('./helpers/agent');
+
+describe('POST /agent/chat/:sessionId', () => {
+  let assembly;
+  let gemini;
+  let server;
+
+  before(async () => {
+    assembly = await startFakeAssemblyAI();
+    gemini = await startFakeGemini();
+    server = await startAgent({ assembly, gemini });
+  });
+
+  after(async () => {
+    await server.close();
+    await assembly.close();
+    await gemini.close();
+  });
+
+  beforeEach(() => {
+    assembly.state.text = 'What time is it?';
+    assembly.state.error = null;
+    gemini.state.reply = 'It is noon. Anything else?';
+    gemini.state.status = null;
+  });
+
+  it('transcribes an upload, answers it and returns the turn as JSON', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: audioForm()
+    });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.sessionId, sessionId);
+    assert.equal(body.transcript, 'What time is it?');
+    assert.equal(body.response, 'It is noon. Anything else?');
+    assert.equal(body.audioContentType, 'audio/wav');
+    assert.equal(Buffer.from(body.audio, 'base64').toString('ascii', 0, 4), 'RIFF');
+    assert.deepEqual(body.inputAudio, { format: 'wav', codec: 'pcm_s16le', sampleRate: 16000, channels: 1, durationMs: 500 });
+    assert.equal(body.historyLength, 2);
+    assert.deepEqual(body.fallbacks, { transcription: false, response: false, speech: false });
+    assert.equal(body.provenance.stages.transcription.provider, 'assemblyai');
+    assert.equal(body.provenance.stages.response.provider, 'gemini');
+    assert.equal(body.provenance.stages.response.model, 'gemini-1.5-flash');
+    assert.match(response.headers.get('server-timing'), /^stt;dur=\d+;desc="assemblyai", llm;dur=\d+;desc="gemini gemini-1.5-flash", tts;dur=\d+;desc="wav", total;dur=\d+$/);
+    assert.equal(response.headers.get('x-turn-fallbacks'), null);
+  });
+
+  it('sends the upload to Assembly AI and the transcript to Gemini', async () => {
+    const { sessionId } = await createSession(server.url);
+    assembly.requests.length = 0;
+    gemini.requests.length = 0;
+    await fetch(`${server.url}/agent/chat/${sessionId}`, { method: 'POST', body: audioForm() });
+
+    assert.deepEqual(assembly.requests.map(request => `${request.method} ${request.path.replace(/\d+$/, 'N')}`), [
+      'POST /upload',
+      'POST /transcript',
+      'GET /transcript/transcript_N'
+    ]);
+    assert.ok(assembly.requests.every(request => request.authorization === 'test-assembly-key'));
+    // Normalized to 16 kHz mono, so the upload is the same size as the input
+    assert.equal(assembly.requests[0].bytes, toneWav().length);
+    const transcript = [...assembly.transcripts.values()].pop();
+    assert.equal(transcript.language_code, 'en');
+
+    assert.equal(gemini.requests.length, 1);
+    assert.equal(gemini.requests[0].key, 'test-gemini-key');
+    const contents = gemini.requests[0].body.contents;
+    assert.deepEqual(contents[contents.length - 1], { role: 'user', parts: [{ text: 'What time is it?' }] });
+  });
+
+  it('answers with the reply audio by default', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, { method: 'POST', body: audioForm() });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'audio/wav');
+    const audio = Buffer.from(await response.arrayBuffer());
+    assert.equal(audio.toString('ascii', 8, 12), 'WAVE');
+  });
+
+  it('skips transcription for typed input', async () => {
+    const { sessionId } = await createSession(server.url);
+    assembly.requests.length = 0;
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text: 'Hello there' })
+    });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.transcript, 'Hello there');
+    assert.equal(body.inputAudio, null);
+    assert.equal(body.provenance.stages.transcription, undefined);
+    assert.equal(assembly.requests.length, 0);
+  });
+
+  it('falls back to an intent reply when Gemini fails', async () => {
+    const { sessionId } = await createSession(server.url);
+    gemini.state.status = 500;
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text: 'Hello' })
+    });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.fallbacks.response, true);
+    assert.notEqual(body.response, '');
+    assert.deepEqual(body.provenance.stages.response.fallback, { reason: 'API_ERROR', servedBy: 'intents' });
+    assert.equal(response.headers.get('x-turn-fallbacks'), 'response=API_ERROR');
+  });
+
+  it('times a failed stream and its buffered retry as one response stage', async () => {
+    const { sessionId } = await createSession(server.url);
+    Object.assign(gemini.state, { status: 500, delayMs: 150 });
+    gemini.requests.length = 0;
+    try {
+      const response = await fetch(`${server.url}/agent/chat/${sessionId}?stream=1`, { method: 'POST', body: audioForm() });
+      const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      const done = events[events.length - 1];
+
+      assert.equal(done.type, 'done');
+      assert.deepEqual(gemini.requests.map(request => request.action), ['streamGenerateContent', 'generateContent']);
+      assert.deepEqual(done.provenance.stages.response.fallback, { reason: 'API_ERROR', servedBy: 'intents' });
+      const { response: responseMs, transcription: transcriptionMs, speech: speechMs, total } = done.provenance.durationsMs;
+      assert.ok(responseMs >= 300, `response took ${responseMs} ms`);
+      assert.ok(transcriptionMs + responseMs + speechMs <= total, `stages add up to more than the turn's ${total} ms`);
+    } finally {
+      Object.assign(gemini.state, { status: null, delayMs: 0 });
+    }
+  });
+
+  it('falls back to a canned transcript when Assembly AI reports an error', async () => {
+    const { sessionId } = await createSession(server.url);
+    assembly.state.error = 'Audio could not be decoded';
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: audioForm()
+    });
+
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.fallbacks.transcription, true);
+    assert.deepEqual(body.provenance.stages.transcription.fallback, { reason: 'API_ERROR', servedBy: 'canned' });
+  });
+
+  it('streams newline-delimited events with ?stream=1', async () => {
+    const { sessionId } = await createSession(server.url);
+    gemini.state.reply = 'The time right now is noon. Is there anything else I can do?';
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}?stream=1`, { method: 'POST', body: audioForm() });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+    const events = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(events[0], { type: 'transcript', text: 'What time is it?' });
+    const chunks = events.filter(event => event.type === 'audio_chunk');
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['The time right now is noon.', 'Is there anything else I can do?']);
+    assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1]);
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.response, 'The time right now is noon. Is there anything else I can do?');
+    assert.equal(done.historyLength, 2);
+    assert.ok(gemini.requests.some(request => request.action === 'streamGenerateContent'));
+  });
+
+  it('runs the turn as a job with ?async=1', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}?async=1`, { method: 'POST', body: audioForm() });
+
+    assert.equal(response.status, 202);
+    const job = await response.json();
+    assert.equal(job.sessionId, sessionId);
+    assert.equal(job.statusUrl, `/agent/jobs/${job.jobId}`);
+
+    let status;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      status = await (await fetch(`${server.url}${job.statusUrl}`)).json();
+      if (status.finishedAt) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(status.status, 'completed');
+    assert.equal(status.stage, 'done');
+    assert.equal(status.result.transcript, 'What time is it?');
+    assert.equal(status.result.response, 'It is noon. Anything else?');
+
+    const audio = await fetch(`${server.url}${job.statusUrl}/audio`);
+    assert.equal(audio.status, 200);
+    assert.equal(audio.headers.get('content-type'), 'audio/wav');
+  });
+
+  it('answers 404 for an unknown session', async () => {
+    const response = await fetch(`${server.url}/agent/chat/session_missing`, { method: 'POST', body: audioForm() });
+
+    assert.equal(response.status, 404);
+    const body = await response.json();
+    assert.equal(body.error, 'Session not found');
+    assert.equal(body.type, 'NOT_FOUND');
+  });
+
+  it('rejects a request with neither audio nor text', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'No audio file or text provided', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects audio it cannot identify before calling Assembly AI', async () => {
+    const { sessionId } = await createSession(server.url);
+    assembly.requests.length = 0;
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      body: audioForm(Buffer.from('definitely not audio'.repeat(10)))
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).type, 'VALIDATION_ERROR');
+    assert.equal(assembly.requests.length, 0);
+  });
+
+  it('accepts audio by its content rather than its declared type', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: audioForm(toneWav(), { type: 'text/plain', filename: 'turn.txt' })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).inputAudio.format, 'wav');
+  });
+
+  it('rejects WAV sample rates it would not resample', async () => {
+    const { sessionId } = await createSession(server.url);
+    assembly.requests.length = 0;
+    for (const sampleRate of [50, 96000]) {
+      // A valid tone with the header's sample rate rewritten
+      const audio = toneWav();
+      audio.writeUInt32LE(sampleRate, 24);
+      audio.writeUInt32LE(sampleRate * 2, 28);
+      const response = await fetch(`${server.url}/agent/chat/${sessionId}`, { method: 'POST', body: audioForm(audio) });
+
+      assert.equal(response.status, 400);
+      const body = await response.json();
+      assert.equal(body.type, 'VALIDATION_ERROR');
+      assert.equal(body.error, 'WAV sample rate must be between 8000 and 48000');
+    }
+    assert.equal(assembly.requests.length, 0);
+  });
+});
+
+describe('POST /agent/chat/:sessionId with the default speech provider', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent({ env: { STT_PROVIDER: 'mock', LLM_PROVIDER: 'mock', TTS_PROVIDER: '' } });
+  });
+
+  after(() => server.close());
+
+  it('speaks through Murf, and through the offline synthesizer without a key', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text: 'Hello' })
+    });
+
+    const body = await response.json();
+    assert.equal(body.provenance.stages.speech.provider, 'murf');
+    assert.deepEqual(body.provenance.stages.speech.fallback, { reason: 'CONFIG_ERROR', servedBy: 'wav' });
+  });
+});
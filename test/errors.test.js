@@ -0,0 +1,170 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistoryStore } = require('../lib/history');
+const { startAgent, testConfig, toneWav, createSession, audioForm } = require('./helpers/agent');
+
+// Each branch of the global error handler, then the 404 handler
+describe('global error handler', () => {
+  let server;
+  let sessionId;
+
+  before(async () => {
+    server = await startAgent({ env: { MAX_UPLOAD_BYTES: '4096' } });
+    ({ sessionId } = await createSession(server.url));
+  });
+
+  after(() => server.close());
+
+  function postChat(body, headers = {}) {
+    return fetch(`${server.url}/agent/chat/${sessionId}`, { method: 'POST', headers, body });
+  }
+
+  it('answers a VoiceAgentError with its status and type', async () => {
+    const response = await fetch(`${server.url}/agent/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ persona: 'no-such-persona' })
+    });
+
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.equal(body.type, 'VALIDATION_ERROR');
+    assert.match(body.error, /no-such-persona/);
+    assert.equal(response.headers.get('retry-after'), null);
+  });
+
+  it('rejects uploads over MAX_UPLOAD_BYTES', async () => {
+    const response = await postChat(audioForm(toneWav()));
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'File too large (max 4KB)', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects more than one file', async () => {
+    const audio = toneWav({ durationMs: 50 });
+    const form = audioForm(audio);
+    form.append('audio', new Blob([audio], { type: 'audio/wav' }), 'second.wav');
+    const response = await postChat(form);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Too many files (max 1)', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects files that are not audio, whatever their declared type', async () => {
+    for (const type of ['audio/wav', 'application/octet-stream', 'text/plain']) {
+      const response = await postChat(audioForm(Buffer.from('hello'), { type, filename: 'notes.txt' }));
+
+      assert.equal(response.status, 400, type);
+      const body = await response.json();
+      assert.equal(body.type, 'VALIDATION_ERROR');
+      assert.match(body.error, /^Unrecognized audio format/);
+    }
+  });
+
+  it('rejects a truncated multipart body', async () => {
+    const body = [
+      '--boundary',
+      'Content-Disposition: form-data; name="audio"; filename="turn.wav"',
+      'Content-Type: audio/wav',
+      '',
+      'RIFF'
+    ].join('\r\n');
+    const response = await postChat(body, { 'Content-Type': 'multipart/form-data; boundary=boundary' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Invalid form data or missing audio file', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects a malformed JSON body', async () => {
+    const response = await fetch(`${server.url}/agent/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{bad'
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Invalid JSON body', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects a JSON body over the limit', async () => {
+    const response = await fetch(`${server.url}/agent/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId: 'x'.repeat(200 * 1024) })
+    });
+
+    assert.equal(response.status, 413);
+    assert.deepEqual(await response.json(), { error: 'Request body too large (max 100KB)', type: 'VALIDATION_ERROR' });
+  });
+
+  it('answers unknown routes with 404', async () => {
+    const response = await fetch(`${server.url}/agent/nothing-here`);
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Endpoint not found', type: 'NOT_FOUND' });
+  });
+});
+
+describe('global error handler with a rate limit', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent({ env: { RATE_LIMIT_PER_MINUTE: '1', RATE_LIMIT_BURST: '1' } });
+  });
+
+  after(() => server.close());
+
+  it('sets Retry-After on a VoiceAgentError that carries one', async () => {
+    assert.equal((await fetch(`${server.url}/agent/sessions`)).status, 200);
+    const response = await fetch(`${server.url}/agent/sessions`);
+
+    assert.equal(response.status, 429);
+    assert.deepEqual(await response.json(), { error: 'Too many requests, slow down', type: 'RATE_LIMIT_ERROR' });
+    assert.ok(Number(response.headers.get('retry-after')) >= 1);
+  });
+});
+
+describe('rate limits behind a trusted proxy', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent({ env: { RATE_LIMIT_PER_MINUTE: '1', RATE_LIMIT_BURST: '1', TRUST_PROXY: 'true' } });
+  });
+
+  after(() => server.close());
+
+  function listFrom(forwardedFor) {
+    return fetch(`${server.url}/agent/sessions`, { headers: { 'X-Forwarded-For': forwardedFor } });
+  }
+
+  it('keys on the address the proxy added, not ones the client sent', async () => {
+    assert.equal((await listFrom('198.51.100.1, 203.0.113.7')).status, 200);
+    assert.equal((await listFrom('198.51.100.2, 203.0.113.7')).status, 429);
+    assert.equal((await listFrom('203.0.113.8')).status, 200);
+  });
+});
+
+describe('global error handler with a failing history store', () => {
+  let server;
+
+  before(async () => {
+    const historyStore = createHistoryStore(testConfig());
+    historyStore.createSession = () => {
+      throw new Error('disk full');
+    };
+    server = await startAgent({ historyStore });
+  });
+
+  after(() => server.close());
+
+  it('hides unexpected errors behind a 500', async () => {
+    const response = await fetch(`${server.url}/agent/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await response.json(), { error: 'Internal server error', type: 'INTERNAL_ERROR' });
+  });
+});
@@ -0,0 +1,252 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { startFakeAssemblyAI, startFakeGemini } = require('./helpers/fake-upstreams');
+const { startAgent, toneWav, createSession, audioForm } = require('./helpers/agent');
+
+// Entry name -> contents of a zip archive, from its central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+describe('conversation export and import', () => {
+  let assembly;
+  let gemini;
+  let server;
+  let audioDir;
+  let sessionId;
+
+  before(async () => {
+    audioDir = fs.mkdtempSync(path.join(os.tmpdir(), 'turn-audio-'));
+    assembly = await startFakeAssemblyAI({ text: 'Where is my <order>?' });
+    gemini = await startFakeGemini({ reply: 'Your order ships tomorrow.' });
+    server = await startAgent({ assembly, gemini, env: { TURN_AUDIO_DIR: audioDir, MAX_IMPORT_BYTES: String(256 * 1024) } });
+
+    ({ sessionId } = await createSession(server.url, { userId: 'support-7', persona: 'support' }));
+    await fetch(`${server.url}/agent/chat/${sessionId}`, { method: 'POST', body: audioForm() });
+    await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'Thanks' })
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await assembly.close();
+    await gemini.close();
+    fs.rmSync(audioDir, { recursive: true, force: true });
+  });
+
+  function exportAs(format) {
+    return fetch(`${server.url}/agent/chat/${sessionId}/export${format ? `?format=${format}` : ''}`);
+  }
+
+  it('exports JSON by default, with the stored audio file names', async () => {
+    const response = await exportAs();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="${sessionId}.json"`);
+    const conversation = await response.json();
+    assert.equal(conversation.format, 'ai-voice-agent.conversation');
+    assert.equal(conversation.version, 1);
+    assert.equal(conversation.session.sessionId, sessionId);
+    assert.equal(conversation.session.userId, 'support-7');
+    assert.deepEqual(conversation.messages.map(message => [message.role, message.content]), [
+      ['user', 'Where is my <order>?'],
+      ['assistant', 'Your order ships tomorrow.'],
+      ['user', 'Thanks'],
+      ['assistant', 'Your order ships tomorrow.']
+    ]);
+    const [recording, reply, typed] = conversation.messages;
+    assert.match(recording.audio[0], /^turn_[\w-]+-input\.wav$/);
+    assert.match(reply.audio[0], /^turn_[\w-]+-reply\.wav$/);
+    assert.equal(typed.audio, undefined);
+  });
+
+  it('exports a Markdown transcript', async () => {
+    const response = await exportAs('markdown');
+
+    assert.equal(response.headers.get('content-type'), 'text/markdown; charset=utf-8');
+    const markdown = await response.text();
+    assert.match(markdown, new RegExp(`^# Conversation ${sessionId}\n`));
+    assert.match(markdown, /- \*\*Persona:\*\* support/);
+    assert.match(markdown, /\*\*User\*\* \(\d{4}-\d\d-\d\dT[\d:.]+Z\)\n\n> Where is my <order>\?/);
+    assert.match(markdown, /\*\*Assistant\*\* \([^)]+\)\n\n> Your order ships tomorrow\./);
+  });
+
+  it('exports a plain-text transcript', async () => {
+    const text = await (await exportAs('text')).text();
+    const lines = text.trim().split('\n').slice(3);
+
+    assert.equal(lines.length, 4);
+    assert.match(lines[0], /^\[\d{4}-[\d-]+T[\d:.]+Z\] User: Where is my <order>\?$/);
+    assert.match(lines[3], /^\[[^\]]+\] Assistant: Your order ships tomorrow\.$/);
+  });
+
+  it('exports WebVTT captions timed from the first message', async () => {
+    const response = await exportAs('vtt');
+
+    assert.equal(response.headers.get('content-type'), 'text/vtt; charset=utf-8');
+    const cues = (await response.text()).trim().split('\n\n');
+    assert.equal(cues[0], `WEBVTT - Conversation ${sessionId}`);
+    assert.equal(cues.length, 5);
+    const [number, timing, text] = cues[1].split('\n');
+    assert.equal(number, '1');
+    assert.match(timing, /^00:00:00\.000 --> 00:00:\d\d\.\d{3}$/);
+    assert.equal(text, '<v User>Where is my &lt;order&gt;?');
+    for (const cue of cues.slice(1)) {
+      const [start, end] = cue.split('\n')[1].split(' --> ');
+      assert.ok(end > start, cue);
+    }
+  });
+
+  it('bundles every format and the turn audio in a zip', async () => {
+    const response = await exportAs('zip');
+
+    assert.equal(response.headers.get('content-type'), 'application/zip');
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="${sessionId}.zip"`);
+    const entries = readZip(Buffer.from(await response.arrayBuffer()));
+    const names = Object.keys(entries);
+    assert.deepEqual(names.slice(0, 4), ['conversation.json', 'conversation.md', 'conversation.txt', 'conversation.vtt']);
+
+    const conversation = JSON.parse(entries['conversation.json'].toString());
+    const [recording, reply] = conversation.messages;
+    assert.deepEqual(entries[`audio/${recording.audio[0]}`], toneWav());
+    assert.equal(entries[`audio/${reply.audio[0]}`].toString('ascii', 0, 4), 'RIFF');
+    // The recording and reply of the spoken turn, the reply of the typed one
+    assert.equal(names.filter(name => name.startsWith('audio/')).length, 3);
+  });
+
+  it('recreates the session from a JSON export', async () => {
+    const exported = await (await exportAs('json')).json();
+    const response = await fetch(`${server.url}/agent/sessions/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exported)
+    });
+
+    assert.equal(response.status, 201);
+    const session = await response.json();
+    assert.notEqual(session.sessionId, sessionId);
+    assert.equal(session.importedFrom, sessionId);
+    assert.equal(session.userId, 'support-7');
+    assert.equal(session.persona, 'support');
+    assert.equal(session.messageCount, 4);
+
+    const history = await (await fetch(`${server.url}/agent/chat/${session.sessionId}/history`)).json();
+    assert.deepEqual(history.messages.map(message => message.content), exported.messages.map(message => message.content));
+    assert.deepEqual(history.messages.map(message => message.timestamp), exported.messages.map(message => message.timestamp));
+    assert.ok(history.messages.every(message => message.audio === undefined));
+  });
+
+  it('continues an imported conversation with its history as context', async () => {
+    const exported = await (await exportAs('json')).json();
+    const session = await (await fetch(`${server.url}/agent/sessions/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exported)
+    })).json();
+    gemini.requests.length = 0;
+
+    await fetch(`${server.url}/agent/chat/${session.sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'And the one before?' })
+    });
+    const contents = gemini.requests[0].body.contents;
+    assert.equal(contents.length, 5);
+    assert.equal(contents[0].parts[0].text, 'Where is my <order>?');
+  });
+
+  it('imports exports larger than the default JSON body limit, up to MAX_IMPORT_BYTES', async () => {
+    const exported = await (await exportAs('json')).json();
+    // An export of `count` messages of 2000 characters each
+    const withMessages = (count) => JSON.stringify({
+      ...exported,
+      messages: Array.from({ length: count }, (_, i) => ({
+        ...exported.messages[i % 2],
+        content: `Message ${i} `.padEnd(2000, '.')
+      }))
+    });
+
+    const body = withMessages(80);
+    assert.ok(Buffer.byteLength(body) > 100 * 1024);
+    const imported = await fetch(`${server.url}/agent/sessions/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body
+    });
+    assert.equal(imported.status, 201);
+    assert.equal((await imported.json()).messageCount, 80);
+
+    const tooLarge = await fetch(`${server.url}/agent/sessions/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: withMessages(140)
+    });
+    assert.equal(tooLarge.status, 413);
+    assert.deepEqual(await tooLarge.json(), { error: 'Conversation export too large (max 256KB)', type: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects bodies that are not a conversation export', async () => {
+    const cases = [
+      [{ messages: [] }, /Expected a conversation export/],
+      [{ format: 'ai-voice-agent.conversation', version: 2, session: {}, messages: [] }, /Unsupported conversation export version: 2/],
+      [{ format: 'ai-voice-agent.conversation', version: 1, session: {}, messages: [{ role: 'system', content: 'x', timestamp: '2025-01-01T00:00:00Z' }] }, /messages\[0\]\.role/],
+      [{ format: 'ai-voice-agent.conversation', version: 1, session: {}, messages: [{ role: 'user', content: 'x', timestamp: 'yesterday' }] }, /messages\[0\]\.timestamp/],
+      [{ format: 'ai-voice-agent.conversation', version: 1, session: { persona: 'nobody' }, messages: [] }, /Unknown persona: nobody/]
+    ];
+    for (const [body, message] of cases) {
+      const response = await fetch(`${server.url}/agent/sessions/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      assert.equal(response.status, 400);
+      const error = await response.json();
+      assert.equal(error.type, 'VALIDATION_ERROR');
+      assert.match(error.error, message);
+    }
+  });
+
+  it('rejects unknown formats and sessions', async () => {
+    const badFormat = await exportAs('pdf');
+    assert.equal(badFormat.status, 400);
+    assert.equal((await badFormat.json()).error, 'format must be one of json, markdown, text, vtt, zip');
+
+    const missing = await fetch(`${server.url}/agent/chat/session_missing/export`);
+    assert.equal(missing.status, 404);
+  });
+
+  it('deletes the turn audio with its session', async () => {
+    const session = await createSession(server.url);
+    await fetch(`${server.url}/agent/chat/${session.sessionId}`, { method: 'POST', body: audioForm() });
+    assert.equal(fs.readdirSync(path.join(audioDir, session.sessionId)).length, 2);
+
+    await fetch(`${server.url}/agent/sessions/${session.sessionId}`, { method: 'DELETE' });
+    assert.equal(fs.existsSync(path.join(audioDir, session.sessionId)), false);
+  });
+});
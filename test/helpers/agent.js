@@ -0,0 +1,95 @@
+const path = require('path');
+const { load } = require('../../config');
+const { createVoiceAgentServer } = require('../../server');
+const { configureLogger } = require('../../lib/logger');
+const { encodeWav } = require('../../lib/audio/wav');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Server logs are noise in test output; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+  configureLogger({ write: () => {} });
+}
+
+// Settings every test server starts from: real providers pointed at the
+// fakes, no retries, breakers that never open within a test file, and only
+// the built-in tools (no TOOLS_FILE), as a default install has them
+const BASE_ENV = {
+  STT_PROVIDER: 'assemblyai',
+  LLM_PROVIDER: 'gemini',
+  TTS_PROVIDER: 'wav',
+  ASSEMBLY_API_KEY: 'test-assembly-key',
+  GEMINI_API_KEY: 'test-gemini-key',
+  UPSTREAM_RETRIES: '0',
+  BREAKER_MIN_REQUESTS: '1000',
+  SUMMARIZER: 'extractive',
+  RATE_LIMIT_PER_MINUTE: '0',
+  PROMPTS_DIR: path.join(ROOT, 'prompts'),
+  INTENTS_FILE: path.join(ROOT, 'intents.json'),
+  TOOLS_FILE: ''
+};
+
+// Build config from BASE_ENV plus env only: the caller's environment, .env
+// and agent.config.json are ignored
+function testConfig({ assembly, gemini, env = {} } = {}) {
+  return load({
+    env: {
+      ...BASE_ENV,
+      ...(assembly ? { ASSEMBLY_BASE_URL: assembly.url } : {}),
+      ...(gemini ? { GEMINI_BASE_URL: gemini.url } : {}),
+      ...env
+    },
+    cwd: __dirname
+  });
+}
+
+// Start the voice agent on a free port. Resolves with its HTTP and WebSocket
+// base URLs, the agent itself and close().
+async function startAgent(options = {}) {
+  const config = testConfig(options);
+  const agent = createVoiceAgentServer(config, { historyStore: options.historyStore });
+  const port = await agent.listen(0);
+  return {
+    config,
+    agent,
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    close: () => agent.close()
+  };
+}
+
+// Half a second of a 440 Hz tone as a 16 kHz mono WAV file
+function toneWav({ sampleRate = 16000, durationMs = 500 } = {}) {
+  const samples = new Int16Array(Math.round(sampleRate * durationMs / 1000));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return encodeWav(samples, sampleRate);
+}
+
+async function createSession(baseUrl, body = {}) {
+  const response = await fetch(`${baseUrl}/agent/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (response.status !== 201) {
+    throw new Error(`Creating a session failed with ${response.status}: ${await response.text()}`);
+  }
+  return response.json();
+}
+
+// multipart/form-data body with the audio upload
+function audioForm(audio = toneWav(), { type = 'audio/wav', filename = 'turn.wav' } = {}) {
+  const form = new FormData();
+  form.append('audio', new Blob([audio], { type }), filename);
+  return form;
+}
+
+module.exports = {
+  testConfig,
+  startAgent,
+  toneWav,
+  createSession,
+  audioForm
+};
@@ -0,0 +1,256 @@
+const http = require('http');
+const WebSocket = require('ws');
+
+// Local stand-ins for the upstream APIs, started on free ports. Each records
+// the requests it served and exposes `state` so a test can change what it
+// answers.
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Serve handler(req, res, body) on 127.0.0.1 and a free port
+async function startServer(handler) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handler(req, res, await readBody(req));
+    } catch (error) {
+      sendJSON(res, 500, { error: error.message });
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
+
+// Assembly AI's v2 REST API: POST /upload, POST /transcript, then polling
+// GET /transcript/:id. Transcripts finish on the first poll with state.text,
+// or fail with state.error. state.failUploads answers uploads with that status.
+async function startFakeAssemblyAI({ text = 'What time is it?' } = {}) {
+  const state = { text: text, error: null, failUploads: null, apiKey: null };
+  const requests = [];
+  const transcripts = new Map();
+
+  const upstream = await startServer((req, res, body) => {
+    requests.push({ method: req.method, path: req.url, authorization: req.headers.authorization, bytes: body.length });
+
+    if (state.apiKey && req.headers.authorization !== state.apiKey) {
+      return sendJSON(res, 401, { error: 'Invalid API key' });
+    }
+    if (req.method === 'POST' && req.url === '/upload') {
+      if (state.failUploads) {
+        return sendJSON(res, state.failUploads, { error: 'Upload failed' });
+      }
+      return sendJSON(res, 200, { upload_url: `https://cdn.example.test/${requests.length}` });
+    }
+    if (req.method === 'POST' && req.url === '/transcript') {
+      const id = `transcript_${transcripts.size + 1}`;
+      transcripts.set(id, JSON.parse(body.toString()));
+      return sendJSON(res, 200, { id: id, status: 'queued' });
+    }
+    const match = req.url.match(/^\/transcript\/([\w-]+)$/);
+    if (req.method === 'GET' && match && transcripts.has(match[1])) {
+      if (state.error) {
+        return sendJSON(res, 200, { id: match[1], status: 'error', error: state.error });
+      }
+      return sendJSON(res, 200, { id: match[1], status: 'completed', text: state.text, language_code: 'en' });
+    }
+    sendJSON(res, 404, { error: 'Not found' });
+  });
+
+  return { ...upstream, state, requests, transcripts };
+}
+
+// Gemini's generateContent and streamGenerateContent (?alt=sse). Replies
+// with state.reply, or with state.status and an error body when it is set,
+// after state.delayMs.
+// A request that declares tools while state.functionCalls holds calls
+// ([{ name, args }]) is answered with those calls instead, once.
+async function startFakeGemini({ reply = 'It is noon. Anything else?' } = {}) {
+  const state = { reply: reply, status: null, functionCalls: [], delayMs: 0 };
+  const requests = [];
+  const timers = new Set();
+
+  const upstream = await startServer((req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/models\/([\w.-]+):(generateContent|streamGenerateContent)$/);
+    const request = {
+      method: req.method,
+      model: match && match[1],
+      action: match && match[2],
+      key: url.searchParams.get('key'),
+      body: body.length ? JSON.parse(body.toString()) : null
+    };
+    requests.push(request);
+
+    if (state.delayMs > 0) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        respond(request, res);
+      }, state.delayMs);
+      timers.add(timer);
+    } else {
+      respond(request, res);
+    }
+  });
+
+  function respond(request, res) {
+    if (request.method !== 'POST' || !request.action) {
+      return sendJSON(res, 404, { error: { message: 'Not found' } });
+    }
+    if (state.status) {
+      return sendJSON(res, state.status, { error: { code: state.status, message: 'Fake Gemini failure' } });
+    }
+    const candidate = (parts) => ({ candidates: [{ content: { role: 'model', parts: parts } }] });
+    if (request.body.tools && state.functionCalls.length > 0) {
+      const calls = candidate(state.functionCalls.map(call => ({ functionCall: { name: call.name, args: call.args || {} } })));
+      state.functionCalls = [];
+      if (request.action === 'generateContent') {
+        return sendJSON(res, 200, calls);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      return res.end(`data: ${JSON.stringify(calls)}\n\n`);
+    }
+    if (request.action === 'generateContent') {
+      return sendJSON(res, 200, candidate([{ text: state.reply }]));
+    }
+
+    // One server-sent event per word
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const word of state.reply.match(/\S+\s*/g) || []) {
+      res.write(`data: ${JSON.stringify(candidate([{ text: word }]))}\n\n`);
+    }
+    res.end();
+  }
+
+  return {
+    ...upstream,
+    state,
+    requests,
+    close: () => {
+      timers.forEach(clearTimeout);
+      return upstream.close();
+    }
+  };
+}
+
+// Assembly AI's realtime transcription WebSocket. Each connection is
+// recorded with its query parameters, Authorization header, the PCM it
+// received and a promise that resolves when it closes. The first audio message is answered with a PartialTranscript per
+// entry of state.partials; terminate_session with a FinalTranscript of
+// state.text, then SessionTerminated. Instead, state.error sends an error
+// frame, state.closeCode closes the socket on the first audio, and
+// state.ignoreTerminate never answers terminate_session.
+async function startFakeRealtimeSTT({ partials = [], text = 'What time is it?' } = {}) {
+  const state = { partials: partials, text: text, error: null, closeCode: null, ignoreTerminate: false };
+  const connections = [];
+  const server = http.createServer();
+  const wss = new WebSocket.Server({ server });
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const connection = {
+      query: Object.fromEntries(url.searchParams),
+      authorization: req.headers.authorization,
+      audioBytes: 0,
+      terminated: false,
+      closed: new Promise(resolve => socket.on('close', resolve))
+    };
+    connections.push(connection);
+    socket.send(JSON.stringify({ message_type: 'SessionBegins', session_id: `realtime_${connections.length}` }));
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      if (message.audio_data) {
+        const first = connection.audioBytes === 0;
+        connection.audioBytes += Buffer.from(message.audio_data, 'base64').length;
+        if (!first) {
+          return;
+        }
+        if (state.error) {
+          return socket.send(JSON.stringify({ error: state.error }));
+        }
+        if (state.closeCode) {
+          return socket.close(state.closeCode);
+        }
+        state.partials.forEach(partial => socket.send(JSON.stringify({ message_type: 'PartialTranscript', text: partial })));
+      } else if (message.terminate_session) {
+        connection.terminated = true;
+        if (state.ignoreTerminate) {
+          return;
+        }
+        socket.send(JSON.stringify({ message_type: 'FinalTranscript', text: state.text }));
+        socket.send(JSON.stringify({ message_type: 'SessionTerminated' }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    state,
+    connections,
+    close: () => new Promise((resolve) => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close();
+      server.close(resolve);
+    })
+  };
+}
+
+// An HTTP API behind an HTTP tool (see lib/tools/http.js). Answers every
+// request with state.status and state.body as JSON, after state.delayMs.
+async function startFakeToolService() {
+  const state = { status: 200, body: { ok: true }, delayMs: 0 };
+  const requests = [];
+  const timers = new Set();
+
+  const upstream = await startServer((req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: body.length ? JSON.parse(body.toString()) : null
+    });
+
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      sendJSON(res, state.status, state.body);
+    }, state.delayMs);
+    timers.add(timer);
+  });
+
+  return {
+    ...upstream,
+    state,
+    requests,
+    close: () => {
+      timers.forEach(clearTimeout);
+      return upstream.close();
+    }
+  };
+}
+
+module.exports = {
+  startFakeAssemblyAI,
+  startFakeGemini,
+  startFakeRealtimeSTT,
+  startFakeToolService
+};
@@ -0,0 +1,255 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../lib/history');
+const createJSONFileStore = require('../lib/history/json-file-store');
+const { startFakeAssemblyAI, startFakeGemini } = require('./helpers/fake-upstreams');
+const { startAgent, createSession } = require('./helpers/agent');
+
+describe('chat history routes', () => {
+  let assembly;
+  let gemini;
+  let server;
+
+  before(async () => {
+    assembly = await startFakeAssemblyAI();
+    gemini = await startFakeGemini({ reply: 'Nice to meet you.' });
+    server = await startAgent({ assembly, gemini });
+  });
+
+  after(async () => {
+    await server.close();
+    await assembly.close();
+    await gemini.close();
+  });
+
+  async function say(sessionId, text) {
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it('starts empty for a new session', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}/history`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { sessionId, summary: null, messages: [], messageCount: 0 });
+  });
+
+  it('records both sides of each turn with its provenance', async () => {
+    const { sessionId } = await createSession(server.url);
+    const turn = await say(sessionId, 'Hi, I am Ada');
+
+    const history = await (await fetch(`${server.url}/agent/chat/${sessionId}/history`)).json();
+    assert.equal(history.messageCount, 2);
+    const [user, assistant] = history.messages;
+    assert.equal(user.role, 'user');
+    assert.equal(user.content, 'Hi, I am Ada');
+    assert.equal(assistant.role, 'assistant');
+    assert.equal(assistant.content, 'Nice to meet you.');
+    assert.ok(!Number.isNaN(Date.parse(assistant.timestamp)));
+    assert.equal(assistant.provenance.turnId, turn.provenance.turnId);
+    assert.equal(assistant.provenance.stages.response.provider, 'gemini');
+  });
+
+  it('sends earlier turns to Gemini as context', async () => {
+    const { sessionId } = await createSession(server.url);
+    await say(sessionId, 'Hi, I am Ada');
+    gemini.requests.length = 0;
+    await say(sessionId, 'What is my name?');
+
+    const contents = gemini.requests[0].body.contents;
+    assert.deepEqual(contents.map(content => [content.role, content.parts[0].text]), [
+      ['user', 'Hi, I am Ada'],
+      ['model', 'Nice to meet you.'],
+      ['user', 'What is my name?']
+    ]);
+  });
+
+  it('clears the messages but keeps the session', async () => {
+    const { sessionId } = await createSession(server.url);
+    await say(sessionId, 'Remember this');
+
+    const cleared = await fetch(`${server.url}/agent/chat/${sessionId}/history`, { method: 'DELETE' });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(await cleared.json(), { message: 'Chat history cleared', sessionId });
+
+    const history = await (await fetch(`${server.url}/agent/chat/${sessionId}/history`)).json();
+    assert.equal(history.messageCount, 0);
+    const session = await (await fetch(`${server.url}/agent/sessions/${sessionId}`)).json();
+    assert.equal(session.messageCount, 0);
+  });
+
+  it('answers 404 for unknown sessions', async () => {
+    for (const method of ['GET', 'DELETE']) {
+      const response = await fetch(`${server.url}/agent/chat/session_missing/history`, { method });
+      assert.equal(response.status, 404, method);
+      const body = await response.json();
+      assert.equal(body.error, 'Session not found');
+      assert.equal(body.type, 'NOT_FOUND');
+    }
+  });
+
+  it('is gone once the session is deleted', async () => {
+    const { sessionId } = await createSession(server.url);
+    await say(sessionId, 'Hello');
+
+    const deleted = await fetch(`${server.url}/agent/sessions/${sessionId}`, { method: 'DELETE' });
+    assert.equal(deleted.status, 200);
+    const history = await fetch(`${server.url}/agent/chat/${sessionId}/history`);
+    assert.equal(history.status, 404);
+  });
+});
+
+describe('session routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent();
+  });
+
+  after(() => server.close());
+
+  it('creates a session with the given metadata', async () => {
+    const session = await createSession(server.url, { userId: 'user-42', locale: 'fr-FR', ttlSeconds: 60 });
+
+    assert.match(session.sessionId, /^session_/);
+    assert.equal(session.userId, 'user-42');
+    assert.equal(session.locale, 'fr-FR');
+    assert.equal(session.messageCount, 0);
+    assert.equal(Date.parse(session.expiresAt) - Date.parse(session.lastActiveAt), 60 * 1000);
+  });
+
+  it('lists sessions and filters them by user', async () => {
+    const mine = await createSession(server.url, { userId: 'lister' });
+    await createSession(server.url, { userId: 'someone-else' });
+
+    const response = await fetch(`${server.url}/agent/sessions?userId=lister`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.sessions.map(session => session.sessionId), [mine.sessionId]);
+    assert.equal(body.total, 1);
+  });
+
+  it('updates a session with PATCH', async () => {
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/sessions/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ locale: 'de-DE', attributes: { plan: 'pro' } })
+    });
+
+    assert.equal(response.status, 200);
+    const session = await response.json();
+    assert.equal(session.locale, 'de-DE');
+    assert.deepEqual(session.attributes, { plan: 'pro' });
+  });
+
+  it('rejects invalid session input', async () => {
+    const response = await fetch(`${server.url}/agent/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ttlSeconds: -5 })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).type, 'VALIDATION_ERROR');
+  });
+});
+
+describe('JSON file history store', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function readFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  it('batches changes into one write after the delay', async () => {
+    const filePath = path.join(dir, 'batched.json');
+    const store = createJSONFileStore({ filePath, maxMessages: 20, ttlMs: 0, writeDelayMs: 20 });
+    store.createSession('s1');
+    store.appendMessage('s1', { role: 'user', content: 'Hello' });
+    store.appendMessage('s1', { role: 'assistant', content: 'Hi' });
+
+    assert.equal(fs.existsSync(filePath), false);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(readFile(filePath).s1.messages.length, 2);
+    store.close();
+  });
+
+  it('does not write when an expired session is read', async () => {
+    const filePath = path.join(dir, 'expired.json');
+    const store = createJSONFileStore({ filePath, maxMessages: 20, ttlMs: 0, writeDelayMs: 20 });
+    store.createSession('s1', { ttlMs: 1 });
+    store.close();
+
+    const reopened = createJSONFileStore({ filePath, maxMessages: 20, ttlMs: 0, writeDelayMs: 20 });
+    const written = fs.statSync(filePath).mtimeMs;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(reopened.getSession('s1'), null);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(fs.statSync(filePath).mtimeMs, written);
+    reopened.close();
+  });
+
+  it('writes pending changes on close and reloads them', () => {
+    const filePath = path.join(dir, 'closed.json');
+    const store = createJSONFileStore({ filePath, maxMessages: 20, ttlMs: 0, writeDelayMs: 60000 });
+    store.createSession('s1', { metadata: { locale: 'fr' } });
+    store.appendMessage('s1', { role: 'user', content: 'Bonjour' });
+    store.close();
+
+    const reopened = createJSONFileStore({ filePath, maxMessages: 20, ttlMs: 0 });
+    assert.equal(reopened.getSession('s1').metadata.locale, 'fr');
+    assert.deepEqual(reopened.getMessages('s1').map(message => message.content), ['Bonjour']);
+    reopened.close();
+  });
+});
+
+describe('history backends', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const backend of ['memory', 'json', 'sqlite']) {
+    it(`${backend}: does not recreate a deleted or expired session on append`, async () => {
+      const store = createHistoryStore({
+        HISTORY_STORE: backend,
+        HISTORY_FILE: path.join(dir, 'history.json'),
+        HISTORY_DB: ':memory:',
+        HISTORY_MAX_TURNS: 10
+      });
+      store.createSession('deleted', { metadata: { userId: 'u1' } });
+      store.deleteSession('deleted');
+      store.createSession('expired', { metadata: { userId: 'u1' }, ttlMs: 1 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      for (const sessionId of ['deleted', 'expired', 'unknown']) {
+        assert.equal(store.appendMessage(sessionId, { role: 'user', content: 'Hello' }), false, sessionId);
+        assert.equal(store.getSession(sessionId), null, sessionId);
+      }
+      store.close();
+    });
+  }
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobs');
+
+describe('job queue', () => {
+  // Submit a job that finishes with `result`, and wait for it
+  function runJob(queue, result) {
+    return new Promise((resolve) => {
+      const { jobId } = queue.submit(async () => result, { onFinish: () => resolve(jobId) });
+    });
+  }
+
+  it('keeps finished jobs until their TTL', async () => {
+    const queue = createJobQueue({ ttlMs: 30 });
+    const jobId = await runJob(queue, { response: 'Done' });
+
+    assert.deepEqual(queue.get(jobId).result, { response: 'Done' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(queue.get(jobId), null);
+  });
+
+  it('drops the oldest finished jobs beyond maxFinished', async () => {
+    const queue = createJobQueue({ maxFinished: 2 });
+    const jobIds = [];
+    for (let i = 0; i < 3; i++) {
+      jobIds.push(await runJob(queue, { index: i }));
+    }
+
+    assert.equal(queue.get(jobIds[0]), null);
+    assert.deepEqual(queue.get(jobIds[1]).result, { index: 1 });
+    assert.deepEqual(queue.get(jobIds[2]).result, { index: 2 });
+  });
+});
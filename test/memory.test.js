@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const createMemoryStore = require('../lib/history/memory-store');
+const { createMemoryManager } = require('../lib/memory');
+
+describe('conversation memory compaction', () => {
+  // A store with one session of eight long messages, and a manager whose
+  // summarizer waits for `release` before answering
+  function setup() {
+    const store = createMemoryStore({ maxMessages: 0 });
+    store.createSession('s1');
+    for (let i = 0; i < 8; i++) {
+      store.appendMessage('s1', { role: i % 2 ? 'assistant' : 'user', content: `Message ${i} `.repeat(10) });
+    }
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const manager = createMemoryManager({
+      store,
+      summarizer: async () => {
+        await gate;
+        return 'Summary';
+      },
+      tokenBudget: 50,
+      keepRecentMessages: 2
+    });
+    return { store, manager, release };
+  }
+
+  it('compacts the older messages into the summary', async () => {
+    const { store, manager, release } = setup();
+    const compacting = manager.maybeCompact('s1');
+    store.appendMessage('s1', { role: 'user', content: 'Arrived during summarization' });
+    release();
+
+    assert.equal(await compacting, true);
+    assert.equal(store.getSession('s1').summary, 'Summary');
+    assert.deepEqual(store.getMessages('s1').map(msg => msg.content), [
+      'Message 6 '.repeat(10),
+      'Message 7 '.repeat(10),
+      'Arrived during summarization'
+    ]);
+  });
+
+  it('leaves the history alone when it is cleared during summarization', async () => {
+    const { store, manager, release } = setup();
+    const compacting = manager.maybeCompact('s1');
+    store.clearMessages('s1');
+    store.appendMessage('s1', { role: 'user', content: 'A fresh start' });
+    release();
+
+    assert.equal(await compacting, false);
+    assert.equal(store.getSession('s1').summary, null);
+    assert.deepEqual(store.getMessages('s1').map(msg => msg.content), ['A fresh start']);
+  });
+
+  it('leaves the history alone when it is trimmed during summarization', async () => {
+    const { store, manager, release } = setup();
+    const compacting = manager.maybeCompact('s1');
+    // What HISTORY_MAX_TURNS trimming does to the oldest messages
+    store.compactHistory('s1', 3, null);
+    release();
+
+    assert.equal(await compacting, false);
+    assert.equal(store.getMessages('s1').length, 5);
+  });
+});
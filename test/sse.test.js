@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { parseSSE } = require('../lib/providers/sse');
+
+async function collect(chunks) {
+  const events = [];
+  for await (const data of parseSSE(Readable.from(chunks))) {
+    events.push(data);
+  }
+  return events;
+}
+
+describe('parseSSE', () => {
+  it('yields the data of each event', async () => {
+    const events = await collect([Buffer.from(': comment\r\nevent: x\r\ndata: one\r\n\r\ndata: two\ndata: lines\n\ndata: last')]);
+
+    assert.deepEqual(events, ['one', 'two\nlines', 'last']);
+  });
+
+  it('keeps multibyte characters split across chunks', async () => {
+    const bytes = Buffer.from('data: {"text":"Grüße, 日本語 👋"}\n\n');
+    // One byte per chunk splits every multibyte character
+    const chunks = [...bytes].map(byte => Buffer.from([byte]));
+
+    assert.deepEqual(await collect(chunks), ['{"text":"Grüße, 日本語 👋"}']);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFakeGemini, startFakeToolService } = require('./helpers/fake-upstreams');
+const { startAgent, createSession } = require('./helpers/agent');
+
+describe('tool calls', () => {
+  let gemini;
+  let server;
+
+  before(async () => {
+    gemini = await startFakeGemini({ reply: 'It is a quarter past ten in Paris right now.' });
+    server = await startAgent({ gemini, env: { STT_PROVIDER: 'mock' } });
+  });
+
+  after(async () => {
+    await server.close();
+    await gemini.close();
+  });
+
+  beforeEach(() => {
+    gemini.requests.length = 0;
+    gemini.state.functionCalls = [{ name: 'get_current_time', args: { timezone: 'Europe/Paris' } }];
+  });
+
+  async function ask(sessionId, text) {
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it('records the call and its result in history with the turn provenance', async () => {
+    const { sessionId } = await createSession(server.url);
+    const turn = await ask(sessionId, 'What time is it in Paris?');
+
+    assert.equal(turn.response, 'It is a quarter past ten in Paris right now.');
+    const history = await (await fetch(`${server.url}/agent/chat/${sessionId}/history`)).json();
+    assert.deepEqual(history.messages.map(message => message.role), ['user', 'assistant', 'tool', 'assistant']);
+    const [, call, result] = history.messages;
+    assert.equal(call.toolCalls[0].name, 'get_current_time');
+    assert.equal(result.name, 'get_current_time');
+    assert.equal(JSON.parse(result.content).timezone, 'Europe/Paris');
+    for (const message of history.messages) {
+      assert.equal(message.provenance.turnId, turn.provenance.turnId, message.role);
+    }
+    assert.equal(call.provenance.stages.response.provider, 'gemini');
+  });
+
+  async function askStreaming(sessionId, text) {
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}?stream=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text })
+    });
+    assert.equal(response.status, 200);
+    return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  it('streams a reply that needs no tool, with the tools declared', async () => {
+    const { sessionId } = await createSession(server.url);
+    gemini.state.functionCalls = [];
+    const events = await askStreaming(sessionId, 'Say something about Paris');
+
+    const chunks = events.filter(event => event.type === 'audio_chunk');
+    assert.deepEqual(chunks.map(chunk => chunk.text), ['It is a quarter past ten in Paris right now.']);
+    assert.equal(events[events.length - 1].response, 'It is a quarter past ten in Paris right now.');
+    assert.equal(gemini.requests.length, 1);
+    assert.equal(gemini.requests[0].action, 'streamGenerateContent');
+    assert.equal(gemini.requests[0].body.tools[0].functionDeclarations[0].name, 'get_current_time');
+  });
+
+  it('streams the answer that follows a tool call', async () => {
+    const { sessionId } = await createSession(server.url);
+    const events = await askStreaming(sessionId, 'What time is it in Paris?');
+
+    assert.deepEqual(gemini.requests.map(request => request.action), ['streamGenerateContent', 'streamGenerateContent']);
+    const [, second] = gemini.requests;
+    assert.equal(second.body.contents[1].parts[0].functionCall.name, 'get_current_time');
+    assert.ok(second.body.contents[2].parts[0].functionResponse);
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.response, 'It is a quarter past ten in Paris right now.');
+    assert.equal(done.historyLength, 4);
+    assert.equal(events.filter(event => event.type === 'audio_chunk').length, 1);
+  });
+});
+
+describe('HTTP tools', () => {
+  let gemini;
+  let service;
+  let server;
+  let toolsDir;
+
+  before(async () => {
+    gemini = await startFakeGemini({ reply: 'Done.' });
+    service = await startFakeToolService();
+    toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tools-'));
+    const toolsFile = path.join(toolsDir, 'tools.json');
+    fs.writeFileSync(toolsFile, JSON.stringify({
+      tools: [{
+        name: 'lookup_order',
+        description: 'Look up an order',
+        parameters: { type: 'object', properties: { orderId: { type: 'string' }, include: { type: 'string' } }, required: ['orderId'] },
+        http: { method: 'GET', url: `${service.url}/orders/{orderId}`, headers: { Authorization: 'Bearer ${TEST_ORDERS_TOKEN}' } }
+      }, {
+        name: 'open_ticket',
+        description: 'Open a support ticket for a customer',
+        parameters: { type: 'object', properties: { customerId: { type: 'string' }, subject: { type: 'string' } }, required: ['customerId'] },
+        http: { method: 'POST', url: `${service.url}/customers/{customerId}/tickets` }
+      }]
+    }));
+    process.env.TEST_ORDERS_TOKEN = 'orders-secret';
+    server = await startAgent({ gemini, env: { STT_PROVIDER: 'mock', TOOLS_FILE: toolsFile, TOOL_TIMEOUT_MS: '200' } });
+  });
+
+  after(async () => {
+    delete process.env.TEST_ORDERS_TOKEN;
+    await server.close();
+    await service.close();
+    await gemini.close();
+    fs.rmSync(toolsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    service.requests.length = 0;
+    Object.assign(service.state, { status: 200, body: { ok: true }, delayMs: 0 });
+  });
+
+  // Run a turn in which the model makes call, and return the result the
+  // model was sent back for it
+  async function callTool(name, args) {
+    gemini.requests.length = 0;
+    gemini.state.functionCalls = [{ name, args }];
+    const { sessionId } = await createSession(server.url);
+    const response = await fetch(`${server.url}/agent/chat/${sessionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ text: 'Help me with my order' })
+    });
+    assert.equal(response.status, 200);
+    const parts = gemini.requests[1].body.contents.flatMap(content => content.parts);
+    return parts.find(part => part.functionResponse).functionResponse.response;
+  }
+
+  it('fills URL placeholders and sends the other arguments as the query', async () => {
+    service.state.body = { orderId: 'A 42', status: 'shipped' };
+    const result = await callTool('lookup_order', { orderId: 'A 42', include: 'items' });
+
+    assert.deepEqual(result, { orderId: 'A 42', status: 'shipped' });
+    const [request] = service.requests;
+    assert.equal(request.method, 'GET');
+    assert.equal(request.path, '/orders/A%2042');
+    assert.deepEqual(request.query, { include: 'items' });
+    assert.equal(request.headers.authorization, 'Bearer orders-secret');
+  });
+
+  it('sends the other arguments as a JSON body for POST', async () => {
+    service.state.body = { ticketId: 7 };
+    const result = await callTool('open_ticket', { customerId: 'c-1', subject: 'Broken headset' });
+
+    assert.deepEqual(result, { ticketId: 7 });
+    const [request] = service.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/customers/c-1/tickets');
+    assert.deepEqual(request.query, {});
+    assert.deepEqual(request.body, { subject: 'Broken headset' });
+  });
+
+  it('passes 4xx and 5xx answers back to the model', async () => {
+    service.state.status = 404;
+    service.state.body = { message: 'No such order' };
+    assert.deepEqual(await callTool('lookup_order', { orderId: '999' }), {
+      error: 'Request failed with status 404',
+      status: 404,
+      data: { message: 'No such order' }
+    });
+
+    service.state.status = 503;
+    service.state.body = { message: 'Maintenance' };
+    const result = await callTool('lookup_order', { orderId: '999' });
+    assert.equal(result.status, 503);
+    assert.equal(result.error, 'Request failed with status 503');
+  });
+
+  it('gives up on a slow service after TOOL_TIMEOUT_MS', async () => {
+    service.state.delayMs = 1000;
+    const startedAt = Date.now();
+    const result = await callTool('lookup_order', { orderId: '42' });
+
+    assert.match(result.error, /timeout of 200ms exceeded/);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
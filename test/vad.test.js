@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createVoiceActivityDetector, frameLevel } = require('../lib/audio/vad');
+
+// 16-bit mono PCM: a 440 Hz tone, or silence with level 0
+function pcm(durationMs, { sampleRate = 16000, level = 0.25 } = {}) {
+  const buffer = Buffer.alloc(Math.round(sampleRate * durationMs / 1000) * 2);
+  for (let i = 0; i < buffer.length / 2; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * level * 32767), i * 2);
+  }
+  return buffer;
+}
+
+describe('voice activity detector', () => {
+  it('reports an utterance between silences', () => {
+    const detector = createVoiceActivityDetector();
+    const events = [];
+    detector.on('start', () => events.push('start'));
+    detector.on('end', ({ durationMs }) => events.push(`end ${durationMs}`));
+
+    detector.write(pcm(400, { level: 0 }));
+    detector.write(pcm(500));
+    detector.write(pcm(1000, { level: 0 }));
+
+    assert.deepEqual(events, ['start', 'end 500']);
+  });
+
+  it('refuses frames too short to hold a sample', () => {
+    assert.throws(() => createVoiceActivityDetector({ sampleRate: 1 }), /hold no samples/);
+    assert.throws(() => createVoiceActivityDetector({ sampleRate: -16000 }), /hold no samples/);
+    assert.throws(() => createVoiceActivityDetector({ sampleRate: NaN }), /hold no samples/);
+  });
+
+  it('measures frames without whole samples as silence', () => {
+    assert.equal(frameLevel(Buffer.alloc(0)), 0);
+    assert.equal(frameLevel(Buffer.from([0xff])), 0);
+
+    const oddTail = Buffer.concat([pcm(20), Buffer.from([0x7f])]);
+    assert.equal(frameLevel(oddTail), frameLevel(pcm(20)));
+    assert.ok(frameLevel(oddTail) > 0.1);
+  });
+});
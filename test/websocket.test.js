@@ -0,0 +1,412 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { startFakeAssemblyAI, startFakeGemini, startFakeRealtimeSTT } = require('./helpers/fake-upstreams');
+const { startAgent, toneWav, createSession } = require('./helpers/agent');
+
+// A WebSocket client that queues the server's JSON messages so a test can
+// wait for the next one of a given type
+function connect(url, options) {
+  const ws = new WebSocket(url, options);
+  const received = [];
+  const waiters = [];
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      return;
+    }
+    received.push(JSON.parse(data.toString()));
+    for (const waiter of [...waiters]) {
+      waiter();
+    }
+  });
+
+  // Resolve with the first unclaimed message of this type, skipping others
+  function next(type, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const index = received.findIndex(message => message.type === type);
+        if (index === -1) {
+          return false;
+        }
+        waiters.splice(waiters.indexOf(check), 1);
+        clearTimeout(timer);
+        resolve(received.splice(index, 1)[0]);
+        return true;
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(check), 1);
+        reject(new Error(`No ${type} message within ${timeoutMs} ms (got ${received.map(message => message.type).join(', ')})`));
+      }, timeoutMs);
+      waiters.push(check);
+      check();
+    });
+  }
+
+  function sendJSON(payload) {
+    ws.send(JSON.stringify(payload));
+  }
+
+  const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+  return { ws, next, sendJSON, closed, received };
+}
+
+describe('WebSocket protocol', () => {
+  let assembly;
+  let gemini;
+  let server;
+  const clients = [];
+
+  function open(query = '') {
+    const client = connect(`${server.wsUrl}/${query}`);
+    clients.push(client);
+    return client;
+  }
+
+  // Record one utterance and wait for the server to take it
+  async function sendRecording(client, start = {}) {
+    client.sendJSON({ type: 'recording_started', ...start });
+    await client.next('recording_confirmed');
+    client.ws.send(toneWav(), { binary: true });
+    await client.next('audio_received');
+    client.sendJSON({ type: 'recording_stopped' });
+    return client.next('recording_saved');
+  }
+
+  before(async () => {
+    assembly = await startFakeAssemblyAI({ text: 'Tell me a joke' });
+    gemini = await startFakeGemini({ reply: 'Why did the chicken cross the road? To get to the other side.' });
+    server = await startAgent({ assembly, gemini });
+  });
+
+  afterEach(() => {
+    while (clients.length > 0) {
+      clients.pop().ws.terminate();
+    }
+  });
+
+  after(async () => {
+    await server.close();
+    await assembly.close();
+    await gemini.close();
+  });
+
+  it('creates a session for a new connection', async () => {
+    const client = open('?userId=ws-user&locale=en-GB');
+    const established = await client.next('session_established');
+
+    assert.match(established.sessionId, /^ws_session_/);
+    assert.equal(established.vad, false);
+    const session = await (await fetch(`${server.url}/agent/sessions/${established.sessionId}`)).json();
+    assert.equal(session.userId, 'ws-user');
+    assert.equal(session.locale, 'en-GB');
+  });
+
+  it('continues an existing session with ?sessionId=', async () => {
+    const { sessionId } = await createSession(server.url);
+    const client = open(`?sessionId=${sessionId}`);
+
+    assert.equal((await client.next('session_established')).sessionId, sessionId);
+  });
+
+  it('refuses an unknown session and closes with 4404', async () => {
+    const client = open('?sessionId=session_missing');
+    const error = await client.next('error');
+
+    assert.equal(error.errorType, 'NOT_FOUND');
+    assert.deepEqual(await client.closed, { code: 4404, reason: 'Session not found' });
+  });
+
+  it('refuses a hands-free sample rate outside 8000-48000 Hz', async () => {
+    for (const sampleRate of ['1', '-16000', '96000', 'fast']) {
+      const client = open(`?vad=1&sampleRate=${sampleRate}`);
+      const error = await client.next('error');
+
+      assert.equal(error.errorType, 'VALIDATION_ERROR');
+      assert.deepEqual(await client.closed, { code: 4400, reason: 'sampleRate must be an integer between 8000 and 48000' });
+    }
+  });
+
+  it('starts hands-free mode at a valid sample rate', async () => {
+    const client = open('?vad=1&sampleRate=8000');
+
+    assert.equal((await client.next('session_established')).vad, true);
+  });
+
+  it('runs a recording through transcription, reply and speech', async () => {
+    const client = open();
+    const { sessionId } = await client.next('session_established');
+
+    const saved = await sendRecording(client);
+    assert.equal(saved.sessionId, sessionId);
+    assert.deepEqual(await client.next('transcript'), { type: 'transcript', text: 'Tell me a joke', sessionId });
+    const reply = await client.next('assistant_response');
+    assert.equal(reply.text, 'Why did the chicken cross the road? To get to the other side.');
+    const audio = await client.next('audio');
+    assert.equal(audio.contentType, 'audio/wav');
+    assert.equal(Buffer.from(audio.audio, 'base64').toString('ascii', 0, 4), 'RIFF');
+    assert.equal(audio.provenance.stages.transcription.provider, 'assemblyai');
+    assert.equal(audio.provenance.stages.speech.provider, 'wav');
+
+    const history = await (await fetch(`${server.url}/agent/chat/${sessionId}/history`)).json();
+    assert.deepEqual(history.messages.map(message => message.role), ['user', 'assistant']);
+  });
+
+  it('streams the reply sentence by sentence with streamResponse', async () => {
+    const client = open();
+    await client.next('session_established');
+
+    await sendRecording(client, { streamResponse: true });
+    const first = await client.next('audio_chunk');
+    const second = await client.next('audio_chunk');
+    assert.deepEqual([first.index, first.text], [0, 'Why did the chicken cross the road?']);
+    assert.deepEqual([second.index, second.text], [1, 'To get to the other side.']);
+    assert.ok((await client.next('assistant_response_delta')).text.length > 0);
+    const complete = await client.next('audio_complete');
+    assert.equal(complete.chunks, 2);
+    assert.equal(complete.provenance.stages.response.provider, 'gemini');
+  });
+
+  it('reports a recording_stopped without audio', async () => {
+    const client = open();
+    await client.next('session_established');
+    client.sendJSON({ type: 'recording_stopped' });
+
+    const error = await client.next('error');
+    assert.equal(error.error, 'No active recording to process');
+    assert.equal(error.errorType, 'VALIDATION_ERROR');
+  });
+
+  it('reports a recording file it cannot write and keeps the connection open', async () => {
+    const client = open();
+    const { sessionId } = await client.next('session_established');
+    // A directory where the recording file goes makes opening it fail
+    const filePath = path.join('uploads', `streaming_audio_${sessionId}.wav`);
+    fs.mkdirSync(filePath, { recursive: true });
+    try {
+      client.sendJSON({ type: 'recording_started' });
+      await client.next('recording_confirmed');
+      client.ws.send(toneWav(), { binary: true });
+
+      const error = await client.next('error');
+      assert.equal(error.error, 'Failed to save the recording');
+      assert.equal(error.errorType, 'INTERNAL_ERROR');
+      client.sendJSON({ type: 'recording_stopped' });
+      assert.equal((await client.next('error')).error, 'No active recording to process');
+      assert.equal(client.ws.readyState, WebSocket.OPEN);
+    } finally {
+      fs.rmSync(filePath, { recursive: true, force: true });
+    }
+  });
+
+  it('takes a new recording after an interrupt, but none while that turn runs', async () => {
+    gemini.state.delayMs = 300;
+    try {
+      const client = open();
+      await client.next('session_established');
+      await sendRecording(client);
+      await client.next('transcript');
+      client.sendJSON({ type: 'interrupt' });
+      assert.equal((await client.next('interrupted')).cancelled, true);
+
+      await sendRecording(client);
+      await client.next('transcript');
+      client.sendJSON({ type: 'recording_started' });
+      await client.next('recording_confirmed');
+      client.ws.send(toneWav(), { binary: true });
+      await client.next('audio_received');
+      client.sendJSON({ type: 'recording_stopped' });
+
+      assert.equal((await client.next('error')).error, 'No active recording to process');
+      await client.next('assistant_response');
+    } finally {
+      gemini.state.delayMs = 0;
+    }
+  });
+
+  it('answers an interrupt with no turn running', async () => {
+    const client = open();
+    const { sessionId } = await client.next('session_established');
+    client.sendJSON({ type: 'interrupt' });
+
+    assert.deepEqual(await client.next('interrupted'), { type: 'interrupted', sessionId, cancelled: false });
+  });
+
+  it('reports control messages that are not JSON', async () => {
+    const client = open();
+    await client.next('session_established');
+    client.ws.send('not json');
+
+    const error = await client.next('error');
+    assert.equal(error.error, 'Failed to process audio data');
+  });
+});
+
+describe('WebSocket streaming transcription', () => {
+  let assembly;
+  let gemini;
+  let realtime;
+  let server;
+  const clients = [];
+  // 16-bit mono PCM, as streamed recordings are sent
+  const pcm = toneWav().subarray(44);
+
+  before(async () => {
+    assembly = await startFakeAssemblyAI({ text: 'Batch transcript' });
+    gemini = await startFakeGemini({ reply: 'Sure, here you go.' });
+    realtime = await startFakeRealtimeSTT({ partials: ['What', 'What time'], text: 'What time is it?' });
+    server = await startAgent({
+      assembly,
+      gemini,
+      env: { ASSEMBLY_REALTIME_URL: realtime.url, STT_STREAM_END_TIMEOUT_MS: '300' }
+    });
+  });
+
+  beforeEach(() => {
+    Object.assign(realtime.state, { error: null, closeCode: null, ignoreTerminate: false });
+    realtime.connections.length = 0;
+    assembly.requests.length = 0;
+  });
+
+  afterEach(() => {
+    while (clients.length > 0) {
+      clients.pop().ws.terminate();
+    }
+  });
+
+  after(async () => {
+    await server.close();
+    await realtime.close();
+    await assembly.close();
+    await gemini.close();
+  });
+
+  // Stream one recording of PCM with streaming transcription
+  async function streamRecording(query = '') {
+    const client = connect(`${server.wsUrl}/${query}`);
+    clients.push(client);
+    await client.next('session_established');
+    client.sendJSON({ type: 'recording_started', streaming: true, sampleRate: 16000 });
+    assert.equal((await client.next('recording_confirmed')).streaming, true);
+    client.ws.send(pcm, { binary: true });
+    await client.next('audio_received');
+    client.sendJSON({ type: 'recording_stopped' });
+    return client;
+  }
+
+  it('relays partial and final transcripts and answers the streamed transcript', async () => {
+    const client = await streamRecording();
+
+    assert.equal((await client.next('partial_transcript')).text, 'What');
+    assert.equal((await client.next('partial_transcript')).text, 'What time');
+    assert.equal((await client.next('final_transcript')).text, 'What time is it?');
+    assert.equal((await client.next('transcript')).text, 'What time is it?');
+    assert.equal((await client.next('assistant_response')).text, 'Sure, here you go.');
+    await client.next('audio');
+
+    const [connection] = realtime.connections;
+    assert.equal(connection.query.sample_rate, '16000');
+    assert.equal(connection.query.language_code, 'en');
+    assert.equal(connection.authorization, 'test-assembly-key');
+    assert.equal(connection.audioBytes, pcm.length);
+    assert.equal(connection.terminated, true);
+    assert.equal(assembly.requests.length, 0);
+  });
+
+  it('transcribes in the session language', async () => {
+    const client = await streamRecording('?locale=fr-FR');
+    await client.next('final_transcript');
+
+    assert.equal(realtime.connections[0].query.language_code, 'fr');
+  });
+
+  it('removes the recording file when the client disconnects', async () => {
+    const client = await streamRecording();
+    const { filePath } = await client.next('recording_saved');
+    await client.next('audio');
+    assert.ok(fs.existsSync(filePath));
+
+    client.ws.close();
+    await new Promise(resolve => client.ws.once('close', resolve));
+    for (let i = 0; i < 50 && fs.existsSync(filePath); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.equal(fs.existsSync(filePath), false);
+  });
+
+  it('falls back to batch transcription on an error frame', async () => {
+    realtime.state.error = 'Audio format not supported';
+    const client = await streamRecording();
+
+    assert.equal((await client.next('transcript')).text, 'Batch transcript');
+    assert.ok(assembly.requests.some(request => request.path === '/upload'));
+    assert.equal(client.received.filter(message => message.type === 'partial_transcript').length, 0);
+  });
+
+  it('falls back to batch transcription when the connection drops', async () => {
+    for (const closeCode of [1011, 4001]) {
+      realtime.state.closeCode = closeCode;
+      assembly.requests.length = 0;
+      const client = await streamRecording();
+
+      assert.equal((await client.next('transcript')).text, 'Batch transcript', `close code ${closeCode}`);
+      assert.ok(assembly.requests.length > 0);
+    }
+  });
+
+  it('falls back to batch transcription when the final transcript never comes', async () => {
+    realtime.state.ignoreTerminate = true;
+    const client = await streamRecording();
+
+    assert.equal((await client.next('partial_transcript')).text, 'What');
+    assert.equal((await client.next('transcript')).text, 'Batch transcript');
+    assert.equal(realtime.connections[0].terminated, true);
+    assert.equal(client.received.filter(message => message.type === 'final_transcript').length, 0);
+  });
+
+  it('closes the realtime session when the client disconnects mid-recording', async () => {
+    const client = connect(server.wsUrl);
+    clients.push(client);
+    await client.next('session_established');
+    client.sendJSON({ type: 'recording_started', streaming: true, sampleRate: 16000 });
+    await client.next('recording_confirmed');
+    client.ws.send(pcm, { binary: true });
+    await client.next('partial_transcript');
+
+    client.ws.close();
+    await realtime.connections[0].closed;
+    assert.equal(realtime.connections[0].terminated, false);
+  });
+});
+
+describe('WebSocket origin checks', () => {
+  let server;
+
+  before(async () => {
+    server = await startAgent({ env: { CORS_ORIGINS: 'https://app.example.test' } });
+  });
+
+  after(() => server.close());
+
+  it('accepts an allowed origin', async () => {
+    const client = connect(server.wsUrl, { origin: 'https://app.example.test' });
+    await client.next('session_established');
+    client.ws.terminate();
+  });
+
+  it('rejects other origins with 403', async () => {
+    const ws = new WebSocket(server.wsUrl, { origin: 'https://evil.example.test' });
+    // Terminating a refused handshake reports an error we don't care about
+    ws.on('error', () => {});
+    const response = await new Promise((resolve, reject) => {
+      ws.on('unexpected-response', (req, res) => resolve(res));
+      ws.on('open', () => reject(new Error('Connection was accepted')));
+    });
+
+    assert.equal(response.statusCode, 403);
+    ws.terminate();
+  });
+});